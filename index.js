@@ -1,6 +1,14 @@
 #!/usr/bin/env node
 
-const path = require('path');
+const fs = require('fs');
+const { loadRun } = require('./src/checkpoint');
+const { loadConfig, configToOptions, validateOptions } = require('./src/config');
+const { formatCiSummary, isFailure } = require('./src/severity');
+const { RESULTS_SCHEMA } = require('./src/results-schema');
+const { loadHistory, formatHistory, resolveRun, loadResults, diffRuns, formatRunDiff } = require('./src/run-history');
+
+// Exit code of a completed run with issues at or above --fail-on; errors exit with 1
+const FAIL_ON_EXIT_CODE = 2;
 
 // CLI argument parsing
 function parseArguments() {
@@ -11,9 +19,10 @@ function parseArguments() {
     const arg = args[i];
     
     if (arg.startsWith('--')) {
-      if (arg.includes('=')) {
-        const [key, value] = arg.slice(2).split('=');
-        options[key] = value;
+      // Values may contain '=' themselves (--include=re:^/a=b), so split on the first one only
+      const separator = arg.indexOf('=');
+      if (separator !== -1) {
+        options[arg.slice(2, separator)] = arg.slice(separator + 1);
       } else {
         // Handle boolean flags like --quick
         const key = arg.slice(2);
@@ -29,6 +38,9 @@ function parseArguments() {
         // Handle single letter boolean flags
         options[key] = true;
       }
+    } else if (!options.command) {
+      // The first bare word selects a command, e.g. `snapshot`
+      options.command = arg;
     }
   }
   
@@ -43,57 +55,303 @@ function showUsage() {
   console.log('Usage:');
   console.log('  node index.js --old=<old-domain> --new=<new-domain> [--quick]');
   console.log('  node index.js -o <old-domain> -n <new-domain> [--quick]');
+  console.log('  node index.js --resume=<run-id>');
+  console.log('  node index.js snapshot --url=<domain> [--output=<file>]');
+  console.log('  node index.js --old-snapshot=<file> --new=<new-domain>');
+  console.log('  node index.js history [--limit=<count>]');
+  console.log('  node index.js diff-runs [--from=<run-id|file>] [--to=<run-id|file>] [--output=<file>]');
+  console.log('  node index.js schema');
   console.log('');
   console.log('Examples:');
   console.log('  node index.js --old=https://oldwebsite.com --new=https://newwebsite.com');
   console.log('  node index.js --old=https://oldwebsite.com --new=https://newwebsite.com --quick');
+  console.log('  node index.js --old=https://oldwebsite.com --new=https://newwebsite.com --concurrency=8 --delay=250');
+  console.log('  node index.js --old=https://oldwebsite.com --new=https://newwebsite.com --profiles=desktop,mobile,googlebot');
+  console.log('  node index.js --old=https://oldwebsite.com --new=https://newwebsite.com --screenshots --ignore-regions=".ad-slot,.carousel"');
+  console.log('  node index.js --config=staging.config.json --max-pages=50');
+  console.log('  node index.js --old=https://oldwebsite.com --new=https://newwebsite.com --format=csv,junit --fail-on=critical');
   console.log('  node index.js -o https://oldwebsite.com -n https://newwebsite.com');
   console.log('  node index.js -o https://oldwebsite.com -n https://newwebsite.com --quick');
+  console.log('  node index.js snapshot --url=https://oldwebsite.com --output=baseline.json');
+  console.log('  node index.js --old-snapshot=baseline.json --new=https://newwebsite.com');
+  console.log('  node index.js diff-runs');
+  console.log('  node index.js diff-runs --from=2025-06-18T06-30-00 --to=2025-06-19T06-30-00');
   console.log('');
   console.log('Options:');
-  console.log('  --old, -o    Old website domain (required)');
-  console.log('  --new, -n    New website domain (required)');
-  console.log('  --quick      Run quick comparison (max 10 pages each) instead of full comparison');
+  console.log('  --config             Config file (default: web-delta.config.js or web-delta.config.json');
+  console.log('                       in the working directory); flags override its settings');
+  console.log('  --old, -o    Old website domain (required unless --old-snapshot is given)');
+  console.log('  --new, -n    New website domain (required unless --new-snapshot is given)');
+  console.log('  --old-snapshot       Use a saved snapshot file instead of crawling the old site');
+  console.log('  --new-snapshot       Use a saved snapshot file instead of crawling the new site');
+  console.log('  --quick      Compare a sample of each site (max 10 pages each) instead of all of it');
+  console.log('  --sample             How --quick picks pages: depth (the shallowest by link depth,');
+  console.log('                       default) or random (random sitemap URLs of the old site)');
+  console.log('  --concurrency        Browser pages crawling each site in parallel (default: 4)');
+  console.log('  --max-pages          Maximum pages to crawl per site (default: unlimited, quick: 10)');
+  console.log('  --max-depth          Maximum link depth from the start page (default: unlimited)');
+  console.log('  --delay              Minimum milliseconds between requests to the same host');
+  console.log('  --rate-limit         Maximum requests per second to the same host');
+  console.log('  --timeout            Page load timeout in milliseconds (default: 30000)');
+  console.log('  --wait-until         When a page counts as loaded: load, domcontentloaded,');
+  console.log('                       networkidle0 or networkidle2 (default: networkidle2)');
+  console.log('  --include            Comma-separated URL path patterns to crawl (globs, or re:<regex>)');
+  console.log('  --exclude            Comma-separated URL path patterns never to crawl');
+  console.log('  --query-params       keep (default) or drop query parameters when normalizing URLs');
+  console.log('  --allow-params       Comma-separated query parameters kept even with --query-params=drop');
+  console.log('  --drop-params        Comma-separated query parameters always dropped, * as wildcard');
+  console.log('                       (e.g. utm_*,gclid,fbclid)');
+  console.log('  --sort-params        Sort query parameters by name when normalizing URLs');
+  console.log('  --strip-fragments    Drop #fragments when normalizing URLs');
+  console.log('  --trailing-slash     keep (default), add or remove trailing slashes on URL paths');
+  console.log('  --lowercase-paths    Treat URL paths that differ only in case as one page');
+  console.log('  --fields             Comma-separated fields to compare (default: all)');
+  console.log('  --ignore-fields      Comma-separated fields not to compare');
+  console.log('  --resume             Continue an interrupted comparison by its run ID');
+  console.log('  --content-threshold  Flag pages whose body text similarity falls below this');
+  console.log('                       percentage (default: 90)');
+  console.log('  --profiles           Comma-separated device profiles to render pages with:');
+  console.log('                       desktop, mobile, googlebot, custom (default: desktop).');
+  console.log('                       The first is the primary profile');
+  console.log('  --viewport           Viewport of the custom profile, e.g. 1280x800');
+  console.log('  --user-agent         User agent of the custom profile');
+  console.log('  --screenshots        Capture full-page screenshots and diff them pixel by pixel');
+  console.log('  --ignore-regions     Comma-separated CSS selectors (ads, carousels) left out of the');
+  console.log('                       screenshot diff');
+  console.log('  --visual-threshold   Flag pages whose screenshots differ by more than this');
+  console.log('                       percentage of pixels (default: 1)');
+  console.log('  --severity           Per-field severity overrides, e.g. keywords:warning,ogImage:critical');
+  console.log('                       (critical, warning or info)');
+  console.log('  --fail-on            Exit with code 2 when a change or missing URL is at least this');
+  console.log('                       severe: critical, warning or info');
+  console.log('  --perf-budgets       How much each performance metric may regress per page, e.g.');
+  console.log('                       lcp:800,cls:0.1,transferBytes:25% (ms, bytes or %)');
+  console.log('  --url-map    Comma-separated CSV/JSON files of old→new URL mappings and regex');
+  console.log('               rewrite rules, applied before pairing pages');
+  console.log('  --max-redirect-hops  Flag redirect chains longer than this many hops (default: 1)');
+  console.log('  --skip-redirects     Skip the redirect/status verification pass');
+  console.log('  --skip-sitemaps      Do not seed the crawl from robots.txt and sitemaps');
+  console.log('  --skip-accessibility Do not audit pages for accessibility regressions');
+  console.log('  --snapshots-dir      Directory for snapshots and run checkpoints (default: __snapshots)');
+  console.log('  --results-dir        Directory for results and reports (default: results)');
+  console.log('  --skip-html-report   Only write the JSON results and Markdown report');
+  console.log('  --format             Comma-separated extra result formats: csv, junit, sarif, or the');
+  console.log('                       path of a formatter module');
   console.log('');
   console.log('Description:');
   console.log('  Compares two websites and generates a detailed report of differences,');
   console.log('  including missing URLs, content changes, and SEO impact analysis.');
   console.log('  Use --quick for faster analysis of smaller websites.');
+  console.log('');
+  console.log('Commands:');
+  console.log('  snapshot     Crawl a single site (--url) and save it for later comparisons');
+  console.log('               (--output sets the file, default: __snapshots/site_<host>_<timestamp>.json)');
+  console.log('  history      List recorded runs, newest first (--limit, default: 20)');
+  console.log('  diff-runs    Show which issues were fixed, are new or persist between two runs');
+  console.log('               (--from/--to take run IDs or results files; default: the latest run');
+  console.log('               and the run of the same sites before it; --output saves the diff as JSON)');
+  console.log('  schema       Print the JSON Schema of the comparison results');
 }
 
-// Main execution
-if (require.main === module) {
-  const options = parseArguments();
-  
-  if (!options.old || !options.new) {
+// Map CLI flags onto comparator options. Flags that were not given stay undefined, so
+// settings from the config file apply instead.
+function buildComparatorOptions(options, config = null) {
+  const toNumber = (value) => value === undefined ? undefined : Number(value);
+
+  const flags = {
+    resume: options.resume,
+    mode: options.quick ? 'quick' : undefined,
+    sample: options.sample,
+    oldSnapshot: options['old-snapshot'],
+    newSnapshot: options['new-snapshot'],
+    concurrency: toNumber(options.concurrency),
+    maxPages: toNumber(options['max-pages']),
+    maxDepth: toNumber(options['max-depth']),
+    delay: toNumber(options.delay),
+    rateLimit: toNumber(options['rate-limit']),
+    contentThreshold: toNumber(options['content-threshold']),
+    profiles: options.profiles,
+    viewport: options.viewport,
+    userAgent: options['user-agent'],
+    screenshots: options.screenshots ? true : undefined,
+    ignoreRegions: options['ignore-regions'],
+    visualThreshold: toNumber(options['visual-threshold']),
+    performanceBudgets: options['perf-budgets'],
+    severity: options.severity,
+    failOn: options['fail-on'],
+    checkAccessibility: options['skip-accessibility'] ? false : undefined,
+    urlMap: options['url-map'],
+    checkRedirects: options['skip-redirects'] ? false : undefined,
+    useSitemaps: options['skip-sitemaps'] ? false : undefined,
+    maxRedirectHops: toNumber(options['max-redirect-hops']),
+    timeout: toNumber(options.timeout),
+    waitUntil: options['wait-until'],
+    include: options.include,
+    exclude: options.exclude,
+    normalize: {
+      query: options['query-params'],
+      allowParams: options['allow-params'],
+      dropParams: options['drop-params'],
+      sortParams: options['sort-params'] ? true : undefined,
+      stripFragment: options['strip-fragments'] ? true : undefined,
+      trailingSlash: options['trailing-slash'],
+      lowercasePaths: options['lowercase-paths'] ? true : undefined
+    },
+    fields: options.fields,
+    ignoreFields: options['ignore-fields'],
+    snapshotsDir: options['snapshots-dir'],
+    resultsDir: options['results-dir'],
+    htmlReport: options['skip-html-report'] ? false : undefined,
+    formats: options.format
+  };
+  const extractors = configToOptions(config).extractors || [];
+  validateOptions(flags, 'command line options', extractors.map(extractor => extractor.name));
+
+  const merged = configToOptions(config);
+  Object.keys(flags).filter(key => flags[key] !== undefined).forEach(key => {
+    merged[key] = flags[key];
+  });
+  // Normalization flags override single settings of the config's normalize section
+  merged.normalize = Object.assign({}, configToOptions(config).normalize);
+  Object.keys(flags.normalize).filter(key => flags.normalize[key] !== undefined).forEach(key => {
+    merged.normalize[key] = flags.normalize[key];
+  });
+  return merged;
+}
+
+function runSnapshot(options, comparatorOptions) {
+  if (!options.url) {
     showUsage();
     process.exit(1);
   }
 
-  // Determine which script to run
-  const scriptPath = options.quick 
-    ? path.join(__dirname, 'src', 'quick.js')
-    : path.join(__dirname, 'src', 'index.js');
+  const MigrationComparator = require('./src/index.js');
+  new MigrationComparator(options.url, null, comparatorOptions)
+    .snapshotWebsite(options.url, options.output)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Error taking snapshot:', error);
+      process.exit(1);
+    });
+}
 
-  // Import and run the appropriate script
+function runHistory(options, comparatorOptions) {
+  const runs = loadHistory(comparatorOptions.resultsDir || 'results');
+  console.log(formatHistory(runs, options.limit ? Number(options.limit) : undefined));
+}
+
+function runDiff(options, comparatorOptions) {
+  const resultsDir = comparatorOptions.resultsDir || 'results';
+  const later = resolveRun(resultsDir, options.to);
+  const laterResults = loadResults(later.file);
+  const earlier = resolveRun(resultsDir, options.from, {
+    id: later.id,
+    oldDomain: laterResults.testInfo.oldDomain,
+    newDomain: laterResults.testInfo.newDomain
+  });
+  const diff = diffRuns(loadResults(earlier.file), laterResults);
+
+  console.log(formatRunDiff(diff, earlier, later));
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(Object.assign({ from: earlier.file, to: later.file }, diff), null, 2));
+    console.log(`\nDiff saved to: ${options.output}`);
+  }
+}
+
+function runComparison(options, comparatorOptions) {
+  if ((!options.old && !options['old-snapshot']) || (!options.new && !options['new-snapshot'])) {
+    showUsage();
+    process.exit(1);
+  }
+
+  // Quick and full comparisons are modes of the same engine
   try {
-    const script = require(scriptPath);
-    const comparator = new script(options.old, options.new);
+    const MigrationComparator = require('./src/index.js');
+    const comparator = new MigrationComparator(options.old, options.new, comparatorOptions);
     
     comparator.compareWebsites()
       .then(results => {
-        const mode = options.quick ? 'quick' : 'full';
-        console.log(`\n${mode} migration comparison completed successfully!`);
-        process.exit(0);
+        console.log(`\n${comparator.mode} migration comparison completed successfully!`);
+        console.log(`\n${formatCiSummary(results, comparatorOptions.failOn)}`);
+        process.exit(isFailure(results.severity, comparatorOptions.failOn) ? FAIL_ON_EXIT_CODE : 0);
       })
       .catch(error => {
         console.error('Error during comparison:', error);
         process.exit(1);
       });
   } catch (error) {
-    console.error('Error loading comparison script:', error.message);
+    console.error('Error setting up the comparison:', error.message);
+    process.exit(1);
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const options = parseArguments();
+
+  // Settings come from web-delta.config.js/.json (or --config), and CLI flags override them
+  let config = null;
+  try {
+    config = loadConfig(options.config);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  if (config) {
+    console.log(`Using config file: ${config.file}`);
+    options.old = options.old || config.old;
+    options.new = options.new || config.new;
+  }
+
+  // A resumed run remembers which domains it was comparing
+  if (options.resume) {
+    try {
+      const snapshotsDir = options['snapshots-dir'] || configToOptions(config).snapshotsDir || '__snapshots';
+      const manifest = loadRun(snapshotsDir, options.resume);
+      options.old = options.old || manifest.oldDomain;
+      options.new = options.new || manifest.newDomain;
+      options['old-snapshot'] = options['old-snapshot'] || manifest.oldSnapshot || undefined;
+      options['new-snapshot'] = options['new-snapshot'] || manifest.newSnapshot || undefined;
+      options.quick = options.quick || manifest.mode === 'quick';
+      options.sample = options.sample || manifest.sample || undefined;
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+
+  let comparatorOptions;
+  try {
+    comparatorOptions = buildComparatorOptions(options, config);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (options.command === 'schema') {
+    console.log(JSON.stringify(RESULTS_SCHEMA, null, 2));
+    process.exit(0);
+  }
+
+  if (options.command === 'history' || options.command === 'diff-runs') {
+    try {
+      (options.command === 'history' ? runHistory : runDiff)(options, comparatorOptions);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  if (options.command === 'snapshot') {
+    runSnapshot(options, comparatorOptions);
+  } else if (options.command) {
+    console.error(`Unknown command: ${options.command}\n`);
+    showUsage();
     process.exit(1);
+  } else {
+    runComparison(options, comparatorOptions);
   }
 }
 
-module.exports = { parseArguments, showUsage }; 
\ No newline at end of file
+module.exports = { parseArguments, showUsage, buildComparatorOptions }; 
\ No newline at end of file
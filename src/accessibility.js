@@ -0,0 +1,212 @@
+const RULES = {
+  'image-alt': 'Images without alt text',
+  'form-label': 'Form fields without a label',
+  'landmark': 'Missing or duplicate main landmark',
+  'heading-order': 'Skipped heading levels',
+  'color-contrast': 'Insufficient color contrast',
+  'empty-link': 'Links without an accessible name',
+  'html-lang': 'Missing lang attribute'
+};
+
+// Issues kept per rule and page; the counts still cover all of them
+const MAX_ISSUES_PER_RULE = 50;
+// Text elements checked for contrast per page, since each one walks its ancestors
+const MAX_CONTRAST_CHECKS = 2000;
+
+// Runs in the rendered page. Every issue has a key that identifies it independently of
+// the domain (file name, field name, text), so old and new issues can be matched.
+function auditPage(maxIssues, maxContrastChecks) {
+  const issues = [];
+  const counts = {};
+  const report = (rule, key, target, url) => {
+    counts[rule] = (counts[rule] || 0) + 1;
+    if (counts[rule] <= maxIssues) {
+      issues.push(url ? { rule, key, target, url } : { rule, key, target });
+    }
+  };
+
+  const isHidden = (element) => Boolean(element.closest('[hidden], [aria-hidden="true"]')) ||
+    !(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+  const textOf = (element) => (element.textContent || '').replace(/\s+/g, ' ').trim();
+  const snippet = (text) => text.length > 60 ? `${text.slice(0, 60)}…` : text;
+  const labelledBy = (element) => (element.getAttribute('aria-labelledby') || '').split(/\s+/)
+    .map(id => document.getElementById(id))
+    .filter(Boolean)
+    .map(textOf)
+    .join(' ')
+    .trim();
+  const accessibleName = (element) => (element.getAttribute('aria-label') || '').trim() ||
+    labelledBy(element) ||
+    textOf(element) ||
+    Array.from(element.querySelectorAll('img[alt]')).map(image => image.getAttribute('alt').trim()).join(' ').trim() ||
+    (element.getAttribute('title') || '').trim();
+
+  const lang = document.documentElement.getAttribute('lang');
+  if (!lang || !lang.trim()) {
+    report('html-lang', 'html', '<html> has no lang attribute');
+  }
+
+  document.querySelectorAll('img:not([alt]), input[type="image" i]:not([alt])').forEach(image => {
+    const role = (image.getAttribute('role') || '').toLowerCase();
+    if (role === 'presentation' || role === 'none' || image.getAttribute('aria-label') || isHidden(image)) {
+      return;
+    }
+    const src = image.getAttribute('src') || '';
+    const fileName = src.split(/[?#]/)[0].split('/').pop().toLowerCase();
+    report('image-alt', fileName || '(no src)', `<${image.tagName.toLowerCase()} src="${src}">`);
+  });
+
+  const skippedTypes = ['hidden', 'submit', 'button', 'reset', 'image'];
+  document.querySelectorAll('input, select, textarea').forEach(field => {
+    if (skippedTypes.includes((field.getAttribute('type') || '').toLowerCase()) || isHidden(field)) {
+      return;
+    }
+    const labelled = Array.from(field.labels || []).some(label => textOf(label)) ||
+      (field.getAttribute('aria-label') || '').trim() ||
+      labelledBy(field) ||
+      (field.getAttribute('title') || '').trim() ||
+      (field.getAttribute('placeholder') || '').trim();
+    if (!labelled) {
+      const tag = field.tagName.toLowerCase();
+      const name = field.getAttribute('name');
+      const target = name ? ` name="${name}"` : (field.id ? ` id="${field.id}"` : '');
+      report('form-label', `${tag}:${name || field.id || field.getAttribute('type') || ''}`, `<${tag}${target}>`);
+    }
+  });
+
+  const mains = document.querySelectorAll('main, [role="main" i]').length;
+  if (mains === 0) {
+    report('landmark', 'no-main', 'No <main> landmark');
+  } else if (mains > 1) {
+    report('landmark', 'multiple-main', `${mains} main landmarks`);
+  }
+
+  let previousLevel = 0;
+  document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    if (isHidden(heading)) {
+      return;
+    }
+    const level = Number(heading.tagName.charAt(1));
+    if (previousLevel > 0 && level > previousLevel + 1) {
+      const text = snippet(textOf(heading));
+      report('heading-order', `h${previousLevel}>h${level}:${text.toLowerCase()}`, `H${previousLevel} → H${level}: ${text}`);
+    }
+    previousLevel = level;
+  });
+
+  document.querySelectorAll('a[href]').forEach(link => {
+    if (!isHidden(link) && !accessibleName(link)) {
+      report('empty-link', link.href, `<a href="${link.getAttribute('href')}">`, link.href);
+    }
+  });
+
+  // Contrast is only judged on solid backgrounds; text over images is skipped
+  const parseColor = (value) => {
+    const match = /rgba?\(([^)]+)\)/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 };
+  };
+  const blend = (top, bottom) => ({
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a),
+    a: 1
+  });
+  const background = (element) => {
+    const layers = [];
+    for (let current = element; current; current = current.parentElement) {
+      const style = getComputedStyle(current);
+      if (style.backgroundImage && style.backgroundImage !== 'none') {
+        return null;
+      }
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) {
+          break;
+        }
+      }
+    }
+    return layers.reduceRight((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+  };
+  const luminance = (color) => {
+    const channel = (value) => {
+      const srgb = value / 255;
+      return srgb <= 0.03928 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(color.r) + 0.7152 * channel(color.g) + 0.0722 * channel(color.b);
+  };
+
+  const textElements = new Set();
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode() && textElements.size < maxContrastChecks) {
+    const parent = walker.currentNode.parentElement;
+    if (parent && walker.currentNode.textContent.trim() && !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(parent.tagName)) {
+      textElements.add(parent);
+    }
+  }
+
+  textElements.forEach(element => {
+    if (isHidden(element)) {
+      return;
+    }
+    const style = getComputedStyle(element);
+    const foreground = parseColor(style.color);
+    const behind = background(element);
+    if (!foreground || !behind || style.visibility === 'hidden') {
+      return;
+    }
+    const text = blend(foreground, behind);
+    const lighter = Math.max(luminance(text), luminance(behind));
+    const darker = Math.min(luminance(text), luminance(behind));
+    const ratio = (lighter + 0.05) / (darker + 0.05);
+
+    // WCAG AA: 4.5:1, or 3:1 for large text (24px, or 18.66px bold)
+    const fontSize = parseFloat(style.fontSize);
+    const large = fontSize >= 24 || (fontSize >= 18.66 && Number(style.fontWeight) >= 700);
+    if (ratio < (large ? 3 : 4.5)) {
+      const content = snippet(textOf(element));
+      report('color-contrast', `${element.tagName.toLowerCase()}:${content.toLowerCase()}`, `"${content}" (${ratio.toFixed(2)}:1)`);
+    }
+  });
+
+  return { issues, counts };
+}
+
+async function auditAccessibility(page) {
+  return page.evaluate(auditPage, MAX_ISSUES_PER_RULE, MAX_CONTRAST_CHECKS);
+}
+
+// Issues on the new page that the old page did not have. Keys are counted, so a page
+// that had two unlabelled "email" fields and now has three gains one issue.
+function compareAccessibility(oldAudit, newAudit, mapUrl = url => url) {
+  const oldKeys = {};
+  oldAudit.issues.forEach(issue => {
+    const key = `${issue.rule}|${issue.url ? mapUrl(issue.url) : issue.key}`;
+    oldKeys[key] = (oldKeys[key] || 0) + 1;
+  });
+
+  const regressions = newAudit.issues.filter(issue => {
+    const key = `${issue.rule}|${issue.url || issue.key}`;
+    if (oldKeys[key] > 0) {
+      oldKeys[key]--;
+      return false;
+    }
+    return true;
+  });
+
+  return {
+    oldCounts: oldAudit.counts,
+    newCounts: newAudit.counts,
+    regressions: regressions
+  };
+}
+
+module.exports = {
+  RULES,
+  auditAccessibility,
+  compareAccessibility
+};
@@ -0,0 +1,142 @@
+// A page regressed when it grew by more than this fraction...
+const WEIGHT_REGRESSION_RATIO = 0.2;
+// ...and by at least this many bytes, so tiny pages are not flagged for a few KB
+const MIN_WEIGHT_INCREASE = 100 * 1024;
+const MAX_EXAMPLE_PAGES = 5;
+
+// Chrome aborts requests it no longer needs (lazy images, superseded preloads); those are not broken
+const isBroken = (resource) => (Boolean(resource.error) && resource.error !== 'net::ERR_ABORTED') ||
+  resource.status >= 400;
+
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Last path segment, so images moved to a CDN or new folder still match
+function fileName(url) {
+  try {
+    const segment = new URL(url).pathname.split('/').pop();
+    return decodeURIComponent(segment).toLowerCase();
+  } catch (error) {
+    return url.toLowerCase();
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return 'n/a';
+  }
+  if (Math.abs(bytes) < 1024) {
+    return `${bytes} B`;
+  }
+  if (Math.abs(bytes) < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function summarizeResources(resources = []) {
+  const byType = {};
+  resources.forEach(resource => {
+    byType[resource.type] = byType[resource.type] || { count: 0, bytes: 0 };
+    byType[resource.type].count++;
+    byType[resource.type].bytes += resource.size || 0;
+  });
+  return {
+    requests: resources.length,
+    bytes: resources.reduce((sum, resource) => sum + (resource.size || 0), 0),
+    byType: byType
+  };
+}
+
+// Matches old images to new ones by mapped URL, falling back to the file name
+function findImage(images, oldImage, mapUrl) {
+  const mapped = mapUrl(oldImage.src);
+  return images.find(image => image.src === mapped) ||
+    images.find(image => fileName(image.src) === fileName(oldImage.src)) ||
+    null;
+}
+
+// oldPage/newPage are { resources, images } for one page pair
+function comparePageAssets(oldPage, newPage, mapUrl = url => url) {
+  const oldSummary = summarizeResources(oldPage.resources);
+  const newSummary = summarizeResources(newPage.resources);
+  const weightChange = newSummary.bytes - oldSummary.bytes;
+
+  const realImages = (images = []) => images.filter(image => image.src && /^https?:/i.test(image.src));
+  const oldImages = realImages(oldPage.images);
+  const newImages = realImages(newPage.images);
+  const missingImages = [];
+  const lostAlt = [];
+
+  oldImages.forEach(oldImage => {
+    const newImage = findImage(newImages, oldImage, mapUrl);
+    if (!newImage) {
+      missingImages.push(oldImage.src);
+    } else if (oldImage.alt && !newImage.alt) {
+      lostAlt.push({ oldSrc: oldImage.src, newSrc: newImage.src, oldAlt: oldImage.alt });
+    }
+  });
+
+  return {
+    oldWeight: oldSummary.bytes,
+    newWeight: newSummary.bytes,
+    oldRequests: oldSummary.requests,
+    newRequests: newSummary.requests,
+    weightChange: oldSummary.bytes > 0 ? Math.round(weightChange / oldSummary.bytes * 100) : null,
+    weightRegression: weightChange >= MIN_WEIGHT_INCREASE && weightChange > oldSummary.bytes * WEIGHT_REGRESSION_RATIO,
+    oldByType: oldSummary.byType,
+    newByType: newSummary.byType,
+    missingImages: Array.from(new Set(missingImages)),
+    lostAlt: lostAlt
+  };
+}
+
+// Groups one site's resources matching a predicate by URL, keeping a few example pages
+function groupResources(resourcesByPage, pageUrls, predicate) {
+  const groups = {};
+
+  Object.keys(resourcesByPage).forEach(urlKey => {
+    resourcesByPage[urlKey].filter(predicate).forEach(resource => {
+      const group = groups[resource.url] = groups[resource.url] || {
+        url: resource.url,
+        type: resource.type,
+        status: resource.status,
+        error: resource.error,
+        pages: 0,
+        examplePages: []
+      };
+      group.pages++;
+      if (group.examplePages.length < MAX_EXAMPLE_PAGES) {
+        group.examplePages.push(pageUrls[urlKey] || urlKey);
+      }
+    });
+  });
+
+  return Object.values(groups).sort((a, b) => b.pages - a.pages);
+}
+
+// Site-wide problems among the new site's resources
+function findAssetIssues(resourcesByPage, pageUrls, oldBaseUrl, newBaseUrl) {
+  const oldHost = hostOf(oldBaseUrl);
+  // A migration that keeps the host cannot hotlink from the old site
+  const checkHotlinks = oldHost !== hostOf(newBaseUrl);
+  return {
+    brokenAssets: groupResources(resourcesByPage, pageUrls, isBroken),
+    oldDomainAssets: checkHotlinks
+      ? groupResources(resourcesByPage, pageUrls, resource => hostOf(resource.url) === oldHost)
+      : [],
+    mixedContent: groupResources(resourcesByPage, pageUrls, resource => resource.mixedContent)
+  };
+}
+
+module.exports = {
+  formatBytes,
+  summarizeResources,
+  comparePageAssets,
+  findAssetIssues
+};
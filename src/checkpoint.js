@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RUNS_DIR = 'runs';
+
+// Writes go to a temp file first so a crash mid-write never corrupts state
+function writeFileAtomic(file, content) {
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, content);
+  fs.renameSync(tempFile, file);
+}
+
+class CrawlCheckpoint {
+  constructor(dir) {
+    this.dir = dir;
+    this.pagesDir = path.join(dir, 'pages');
+    this.stateFile = path.join(dir, 'state.json');
+
+    fs.mkdirSync(this.pagesDir, { recursive: true });
+  }
+
+  // URL keys can exceed filename limits, so pages are stored under a hash
+  pageFile(urlKey, extension = 'html') {
+    const hash = crypto.createHash('sha1').update(urlKey).digest('hex');
+    return path.join(this.pagesDir, `${hash}.${extension}`);
+  }
+
+  // What was recorded about a page is written next to its HTML, so state.json only grows
+  // with the queue and the list of visited pages
+  savePage(urlKey, html, data = {}) {
+    writeFileAtomic(this.pageFile(urlKey, 'json'), JSON.stringify(data));
+    writeFileAtomic(this.pageFile(urlKey), html);
+  }
+
+  saveState(state) {
+    writeFileAtomic(this.stateFile, JSON.stringify(state));
+  }
+
+  load() {
+    if (!fs.existsSync(this.stateFile)) {
+      return null;
+    }
+
+    const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+
+    // Secondary device profiles store their pages under "<profile>/<urlKey>"
+    const deviceProfiles = {};
+    Object.keys(state.deviceProfiles || {}).forEach(name => {
+      deviceProfiles[name] = this.loadPages(state.deviceProfiles[name].snapshotKeys, `${name}/`);
+    });
+
+    return Object.assign({}, state, this.loadPages(state.snapshotKeys), { deviceProfiles });
+  }
+
+  loadPages(urlKeys, prefix = '') {
+    const snapshots = {};
+    const pageData = {};
+    urlKeys.forEach(urlKey => {
+      const file = this.pageFile(`${prefix}${urlKey}`);
+      if (fs.existsSync(file)) {
+        snapshots[urlKey] = fs.readFileSync(file, 'utf8');
+        const dataFile = this.pageFile(`${prefix}${urlKey}`, 'json');
+        pageData[urlKey] = fs.existsSync(dataFile) ? JSON.parse(fs.readFileSync(dataFile, 'utf8')) : {};
+      }
+    });
+    return { snapshots, pageData };
+  }
+}
+
+function runDir(snapshotsDir, runId) {
+  return path.join(snapshotsDir, RUNS_DIR, runId);
+}
+
+function createRun(snapshotsDir, runId, manifest) {
+  const dir = runDir(snapshotsDir, runId);
+  fs.mkdirSync(dir, { recursive: true });
+  writeFileAtomic(path.join(dir, 'run.json'), JSON.stringify(Object.assign({ runId }, manifest), null, 2));
+  return dir;
+}
+
+function loadRun(snapshotsDir, runId) {
+  const manifestFile = path.join(runDir(snapshotsDir, runId), 'run.json');
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error(`No interrupted run found with ID "${runId}" (looked in ${manifestFile})`);
+  }
+  return JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+}
+
+function removeRun(snapshotsDir, runId) {
+  fs.rmSync(runDir(snapshotsDir, runId), { recursive: true, force: true });
+}
+
+module.exports = CrawlCheckpoint;
+module.exports.createRun = createRun;
+module.exports.loadRun = loadRun;
+module.exports.removeRun = removeRun;
+module.exports.runDir = runDir;
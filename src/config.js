@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const { parseBudgets } = require('./performance');
+const { FIELDS } = require('./field-rules');
+const { validateExtractor } = require('./extractors');
+const { SEVERITIES, parseSeverities } = require('./severity');
+const { FORMATTERS } = require('./formatters');
+
+// Looked up in the working directory when --config is not given
+const CONFIG_FILES = ['web-delta.config.js', 'web-delta.config.json'];
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Validators return an error message, or null when the value is fine
+const describe = (value) => value instanceof RegExp || typeof value === 'number' ? String(value) : JSON.stringify(value);
+const check = (test, expected) => (value) => test(value) ? null : `expected ${expected}, got ${describe(value)}`;
+
+const is = {
+  string: check(value => typeof value === 'string' && value.trim() !== '', 'a non-empty string'),
+  boolean: check(value => typeof value === 'boolean', 'true or false'),
+  url: check(value => typeof value === 'string' && /^https?:\/\/[^/]+/i.test(value), 'an http(s) URL'),
+  positiveInteger: check(value => Number.isInteger(value) && value > 0, 'a positive integer'),
+  nonNegativeInteger: check(value => Number.isInteger(value) && value >= 0, 'an integer of 0 or more'),
+  positiveNumber: check(value => typeof value === 'number' && value > 0, 'a positive number'),
+  nonNegativeNumber: check(value => typeof value === 'number' && value >= 0, 'a number of 0 or more'),
+  percentage: check(value => typeof value === 'number' && value >= 0 && value <= 100, 'a number from 0 to 100'),
+  viewport: check(value => typeof value === 'string' && /^\d+x\d+$/i.test(value), 'a viewport like "1280x800"'),
+  pattern: check(value => value instanceof RegExp || (typeof value === 'string' && value.trim() !== ''), 'a glob, a "re:" regular expression or a RegExp'),
+  field: (fields) => check(value => fields.includes(value), `a field name (${fields.join(', ')})`),
+  oneOf: (...values) => check(value => values.includes(value), `one of ${values.map(item => `"${item}"`).join(', ')}`),
+
+  // A list setting also accepts a comma-separated string, like the matching CLI flag
+  list: (item) => (value) => {
+    if (typeof value === 'string') {
+      value = value.split(',').map(entry => entry.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(value)) {
+      return `expected a list, got ${describe(value)}`;
+    }
+    const errors = value.map((entry, index) => {
+      const error = item(entry);
+      return error ? `item ${index + 1}: ${error}` : null;
+    }).filter(Boolean);
+    return errors.length > 0 ? errors.join('; ') : null;
+  },
+
+  profile: (value) => {
+    if (typeof value === 'string') {
+      return is.string(value);
+    }
+    const valid = value && typeof value === 'object' && typeof value.name === 'string' &&
+      value.viewport && Number.isInteger(value.viewport.width) && Number.isInteger(value.viewport.height) &&
+      typeof value.userAgent === 'string';
+    return valid ? null : `expected a profile name or { name, viewport: { width, height }, userAgent }, got ${describe(value)}`;
+  },
+
+  ignoreRule: (fields) => (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `expected { pattern, fields }, got ${describe(value)}`;
+    }
+    const unknown = Object.keys(value).filter(key => key !== 'pattern' && key !== 'fields');
+    if (unknown.length > 0) {
+      return `unknown ignore rule setting "${unknown[0]}" (expected pattern, fields)`;
+    }
+    if (!(value.pattern instanceof RegExp)) {
+      try {
+        new RegExp(value.pattern);
+      } catch (error) {
+        return `invalid pattern ${describe(value.pattern)}: ${error.message}`;
+      }
+      if (typeof value.pattern !== 'string' || value.pattern === '') {
+        return `expected pattern to be a regular expression string, got ${describe(value.pattern)}`;
+      }
+    }
+    return value.fields === undefined ? null : is.list(is.field(fields))(value.fields);
+  },
+
+  extractor: (value) => validateExtractor(value),
+
+  // A built-in format, or the path of a formatter module
+  format: check(value => typeof value === 'string' && (Object.prototype.hasOwnProperty.call(FORMATTERS, value) || /[\\/]|\.js$/.test(value)),
+    `a format (${Object.keys(FORMATTERS).join(', ')}) or a formatter module path`),
+
+  severities: (fields) => (value) => {
+    try {
+      parseSeverities(value, fields);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+
+  budgets: (value) => {
+    try {
+      parseBudgets(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+};
+
+// Leaf names match the MigrationComparator options they set. Field settings also accept
+// the names of custom extractors, so the schema is built per field list.
+const schemaFor = (fields) => ({
+  old: is.url,
+  new: is.url,
+  crawl: {
+    mode: is.oneOf('full', 'quick'),
+    sample: is.oneOf('depth', 'random'),
+    concurrency: is.positiveInteger,
+    maxPages: is.positiveInteger,
+    maxDepth: is.nonNegativeInteger,
+    delay: is.nonNegativeNumber,
+    rateLimit: is.positiveNumber,
+    timeout: is.positiveInteger,
+    waitUntil: is.oneOf('load', 'domcontentloaded', 'networkidle0', 'networkidle2'),
+    useSitemaps: is.boolean,
+    include: is.list(is.pattern),
+    exclude: is.list(is.pattern),
+    normalize: {
+      stripFragment: is.boolean,
+      query: is.oneOf('keep', 'drop'),
+      allowParams: is.list(is.string),
+      dropParams: is.list(is.string),
+      sortParams: is.boolean,
+      trailingSlash: is.oneOf('keep', 'add', 'remove'),
+      lowercasePaths: is.boolean
+    }
+  },
+  render: {
+    profiles: is.list(is.profile),
+    viewport: is.viewport,
+    userAgent: is.string,
+    screenshots: is.boolean,
+    ignoreRegions: is.list(is.string),
+    visualThreshold: is.percentage
+  },
+  compare: {
+    fields: is.list(is.field(fields)),
+    ignoreFields: is.list(is.field(fields)),
+    ignore: is.list(is.ignoreRule(fields)),
+    extractors: is.list(is.extractor),
+    contentThreshold: is.percentage,
+    urlMap: is.list(is.string),
+    checkRedirects: is.boolean,
+    maxRedirectHops: is.nonNegativeInteger,
+    performanceBudgets: is.budgets,
+    checkAccessibility: is.boolean,
+    severity: is.severities(fields),
+    failOn: is.oneOf(...SEVERITIES)
+  },
+  output: {
+    snapshotsDir: is.string,
+    resultsDir: is.string,
+    htmlReport: is.boolean,
+    formats: is.list(is.format)
+  }
+});
+const SCHEMA = schemaFor(FIELDS);
+
+function validateSection(values, schema, prefix, errors) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    errors.push(`${prefix || 'config'}: expected an object, got ${describe(values)}`);
+    return;
+  }
+  Object.keys(values).forEach(key => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const rule = has(schema, key) ? schema[key] : null;
+    if (!rule) {
+      errors.push(`${name}: unknown setting (expected one of: ${Object.keys(schema).join(', ')})`);
+    } else if (typeof rule === 'function') {
+      const error = values[key] === undefined ? null : rule(values[key]);
+      if (error) {
+        errors.push(`${name}: ${error}`);
+      }
+    } else {
+      validateSection(values[key], rule, name, errors);
+    }
+  });
+}
+
+// Throws one error listing every problem, so a config can be fixed in one pass.
+// customFields are extractor names defined outside it, like the config file's when
+// validating CLI flags.
+function validateConfig(config, file = 'config', customFields = []) {
+  const errors = [];
+  const extractors = config && config.compare && Array.isArray(config.compare.extractors) ? config.compare.extractors : [];
+  const names = extractors.filter(extractor => extractor && typeof extractor.name === 'string').map(extractor => extractor.name);
+  validateSection(config, schemaFor(FIELDS.concat(customFields, names)), '', errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in ${file}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  return config;
+}
+
+// Validates flat comparator options, such as the ones CLI flags set, against the same
+// schema; options without a config setting are not checked
+function validateOptions(options, source = 'options', customFields = []) {
+  const nested = {};
+  Object.keys(options).filter(key => options[key] !== undefined).forEach(key => {
+    const section = Object.keys(SCHEMA).find(name => typeof SCHEMA[name] === 'object' && has(SCHEMA[name], key));
+    if (section) {
+      nested[section] = nested[section] || {};
+      nested[section][key] = options[key];
+    }
+  });
+  return validateConfig(nested, source, customFields);
+}
+
+function readConfig(file) {
+  if (file.endsWith('.js')) {
+    try {
+      return require(path.resolve(file));
+    } catch (error) {
+      throw new Error(`Could not load ${file}: ${error.message}`);
+    }
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+}
+
+// Loads and validates the given config file, or the first default one found in cwd.
+// Returns null when there is none.
+function loadConfig(file = null, cwd = process.cwd()) {
+  if (file && !fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+  const configFile = file || CONFIG_FILES.map(name => path.join(cwd, name)).find(candidate => fs.existsSync(candidate));
+  if (!configFile) {
+    return null;
+  }
+
+  const config = validateConfig(readConfig(configFile), configFile);
+  return Object.assign({ file: configFile }, config);
+}
+
+// Flattens a config into MigrationComparator options
+function configToOptions(config) {
+  if (!config) {
+    return {};
+  }
+  return Object.assign({}, config.crawl, config.render, config.compare, config.output);
+}
+
+module.exports = {
+  CONFIG_FILES,
+  validateConfig,
+  validateOptions,
+  loadConfig,
+  configToOptions
+};
@@ -0,0 +1,254 @@
+// Above this many DP cells (or Myers steps) a diff gives up: blocks are reported as wholly
+// removed/added and the edit distance is overestimated, so similarity errs on the low side
+const MAX_DIFF_CELLS = 4000000;
+const MAX_HUNKS = 10;
+const MAX_EXCERPT_LENGTH = 300;
+const MIN_EDIT_SIMILARITY = 50;
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function toWords(text) {
+  return normalizeText(text).split(' ').filter(Boolean);
+}
+
+// LCS-based diff returning runs of equal/removed/added items
+function diffSequences(oldItems, newItems) {
+  const n = oldItems.length;
+  const m = newItems.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    return [
+      { type: 'removed', items: oldItems },
+      { type: 'added', items: newItems }
+    ].filter(op => op.items.length > 0);
+  }
+
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = oldItems[i] === newItems[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, item) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.items.push(item);
+    } else {
+      ops.push({ type, items: [item] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldItems[i] === newItems[j]) {
+      push('equal', oldItems[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', oldItems[i++]);
+    } else {
+      push('added', newItems[j++]);
+    }
+  }
+  while (i < n) {
+    push('removed', oldItems[i++]);
+  }
+  while (j < m) {
+    push('added', newItems[j++]);
+  }
+
+  return ops;
+}
+
+// Myers' O((N+M)D) edit distance with linear memory, for whole-page word counts. Past
+// MAX_DIFF_CELLS steps it gives up and falls back to approximateEditDistance.
+function editDistance(oldItems, newItems) {
+  const n = oldItems.length;
+  const m = newItems.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  let steps = 0;
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldItems[x] === newItems[y]) {
+        x++;
+        y++;
+        steps++;
+      }
+      if (++steps > MAX_DIFF_CELLS) {
+        return approximateEditDistance(oldItems, newItems);
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return d;
+      }
+    }
+  }
+  return max;
+}
+
+// Upper bound of the edit distance from a common subsequence found greedily: after the
+// shared start and end, each word is matched with its next occurrence on the other side.
+// An overestimate flags a large page that changed little rather than passing one that
+// was rewritten.
+function approximateEditDistance(oldItems, newItems) {
+  let start = 0;
+  while (start < oldItems.length && start < newItems.length && oldItems[start] === newItems[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < oldItems.length - start && end < newItems.length - start &&
+    oldItems[oldItems.length - 1 - end] === newItems[newItems.length - 1 - end]) {
+    end++;
+  }
+  const oldMiddle = oldItems.slice(start, oldItems.length - end);
+  const newMiddle = newItems.slice(start, newItems.length - end);
+  const common = start + end + Math.max(greedyCommonLength(oldMiddle, newMiddle), greedyCommonLength(newMiddle, oldMiddle));
+  return oldItems.length + newItems.length - 2 * common;
+}
+
+// Length of a common subsequence that takes every item of b it can find in a, in order
+function greedyCommonLength(a, b) {
+  const positions = new Map();
+  a.forEach((item, index) => {
+    if (!positions.has(item)) {
+      positions.set(item, []);
+    }
+    positions.get(item).push(index);
+  });
+
+  let last = -1;
+  let length = 0;
+  b.forEach(item => {
+    const list = positions.get(item);
+    if (!list) {
+      return;
+    }
+    // First occurrence after the previous match
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (list[middle] <= last) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    if (low < list.length) {
+      last = list[low];
+      length++;
+    }
+  });
+  return length;
+}
+
+function similarity(oldWords, newWords) {
+  const total = oldWords.length + newWords.length;
+  if (total === 0) {
+    return 100;
+  }
+  const distance = editDistance(oldWords, newWords);
+  return Math.round((1 - distance / total) * 1000) / 10;
+}
+
+function truncate(text) {
+  return text.length > MAX_EXCERPT_LENGTH ? `${text.slice(0, MAX_EXCERPT_LENGTH)}…` : text;
+}
+
+// Marks removed words as ~~struck~~ and added words as **bold** within a paragraph
+function inlineWordDiff(oldParagraph, newParagraph) {
+  return diffSequences(toWords(oldParagraph), toWords(newParagraph)).map(op => {
+    const text = op.items.join(' ');
+    if (op.type === 'removed') {
+      return `~~${text}~~`;
+    }
+    if (op.type === 'added') {
+      return `**${text}**`;
+    }
+    return text;
+  }).join(' ');
+}
+
+function buildHunks(oldBlocks, newBlocks) {
+  const ops = diffSequences(oldBlocks, newBlocks);
+  const hunks = [];
+
+  for (let index = 0; index < ops.length; index++) {
+    const op = ops[index];
+    const next = ops[index + 1];
+
+    if (op.type === 'equal') {
+      continue;
+    }
+
+    // A removal directly followed by an addition is shown as paragraph edits
+    // when the paired paragraphs are still mostly alike
+    if (op.type === 'removed' && next && next.type === 'added') {
+      const pairs = Math.min(op.items.length, next.items.length);
+      for (let p = 0; p < pairs; p++) {
+        const oldParagraph = op.items[p];
+        const newParagraph = next.items[p];
+        if (similarity(toWords(oldParagraph), toWords(newParagraph)) >= MIN_EDIT_SIMILARITY) {
+          hunks.push({ type: 'modified', text: truncate(inlineWordDiff(oldParagraph, newParagraph)) });
+        } else {
+          hunks.push({ type: 'removed', text: truncate(oldParagraph) });
+          hunks.push({ type: 'added', text: truncate(newParagraph) });
+        }
+      }
+      op.items.slice(pairs).forEach(text => hunks.push({ type: 'removed', text: truncate(text) }));
+      next.items.slice(pairs).forEach(text => hunks.push({ type: 'added', text: truncate(text) }));
+      index++;
+      continue;
+    }
+
+    op.items.forEach(text => hunks.push({ type: op.type, text: truncate(text) }));
+  }
+
+  return hunks;
+}
+
+function compareContent(oldBlocks = [], newBlocks = [], threshold = 90) {
+  const oldParagraphs = oldBlocks.map(normalizeText).filter(Boolean);
+  const newParagraphs = newBlocks.map(normalizeText).filter(Boolean);
+  const oldWords = toWords(oldParagraphs.join(' '));
+  const newWords = toWords(newParagraphs.join(' '));
+  const score = similarity(oldWords, newWords);
+  const flagged = score < threshold;
+  const hunks = flagged ? buildHunks(oldParagraphs, newParagraphs) : [];
+
+  return {
+    similarity: score,
+    threshold: threshold,
+    flagged: flagged,
+    oldWordCount: oldWords.length,
+    newWordCount: newWords.length,
+    removedParagraphs: hunks.filter(hunk => hunk.type === 'removed').length,
+    addedParagraphs: hunks.filter(hunk => hunk.type === 'added').length,
+    modifiedParagraphs: hunks.filter(hunk => hunk.type === 'modified').length,
+    excerpt: hunks.slice(0, MAX_HUNKS),
+    truncated: hunks.length > MAX_HUNKS
+  };
+}
+
+module.exports = {
+  normalizeText,
+  diffSequences,
+  editDistance,
+  similarity,
+  inlineWordDiff,
+  compareContent
+};
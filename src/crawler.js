@@ -0,0 +1,547 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { observeMetrics, readMetrics } = require('./performance');
+const { auditAccessibility } = require('./accessibility');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Very long pages are cut off so screenshots stay small enough to diff in memory
+const MAX_SCREENSHOT_HEIGHT = 8000;
+
+// Errors after which a worker's browser pages are unusable and must be replaced
+const CONNECTION_ERROR = /detached|Connection closed|Target closed|Session closed/i;
+
+// Stops a run between pages once its AbortSignal fires
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason || Object.assign(new Error('The run was aborted'), { name: 'AbortError' });
+  }
+}
+
+// Response headers worth keeping with each snapshot (HTML alone cannot show them)
+const KEPT_HEADERS = ['x-robots-tag', 'content-type', 'content-language', 'link'];
+
+function describeResponse(response) {
+  if (!response) {
+    return { status: null, headers: {} };
+  }
+  const headers = response.headers();
+  const kept = {};
+  KEPT_HEADERS.forEach(name => {
+    if (headers[name] !== undefined) {
+      kept[name] = headers[name];
+    }
+  });
+  return { status: response.status(), headers: kept };
+}
+
+// Rewriting the crawl state after every page costs O(pages²) bytes on large sites, so it
+// is saved at most this often (ms), and once more when the crawl stops
+const CHECKPOINT_INTERVAL = 5000;
+
+// Spaces out requests to the same host, shared by every worker of every crawl
+class HostRateLimiter {
+  constructor(delay = 0) {
+    this.delay = delay;
+    this.nextSlot = {};
+  }
+
+  async wait(url) {
+    if (!this.delay) {
+      return;
+    }
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot[host] || 0);
+    this.nextSlot[host] = slot + this.delay;
+    await sleep(slot - now);
+  }
+}
+
+// Records every subresource a page loads while a render is in progress. Requests are
+// observed rather than intercepted: interception holds each request until it is continued
+// by hand and turns off the browser cache, so pages would load differently.
+// Sizes are the bytes each request transferred as Chrome reports them (headers plus the
+// body as sent, so compressed when the server compresses), the same measure as the
+// document's transferSize. Content-Length or the decoded body would mix compressed and
+// uncompressed bytes, and a site that gzips would look lighter than one that does not.
+async function trackResources(page, pageUrl) {
+  const requests = [];
+  const transferred = {};
+  const secure = pageUrl.startsWith('https:');
+
+  const session = await page.createCDPSession();
+  await session.send('Network.enable');
+  const onLoaded = (event) => {
+    transferred[event.requestId] = event.encodedDataLength;
+  };
+  session.on('Network.loadingFinished', onLoaded);
+
+  const describe = ({ request, error }) => {
+    const url = request.url();
+    const response = error ? null : request.response();
+    return {
+      url: url,
+      type: request.resourceType(),
+      status: response ? response.status() : null,
+      size: error ? 0 : Math.round(transferred[request.id] || 0),
+      mixedContent: secure && url.startsWith('http:'),
+      error: error || null
+    };
+  };
+
+  // The page's own document is not an asset
+  const isDocument = (request) => request.isNavigationRequest() && request.frame() === page.mainFrame();
+
+  const onFinished = (request) => {
+    if (!isDocument(request)) {
+      requests.push({ request: request, error: null });
+    }
+  };
+
+  const onFailed = (request) => {
+    if (!isDocument(request)) {
+      const failure = request.failure();
+      requests.push({ request: request, error: failure ? failure.errorText : 'Request failed' });
+    }
+  };
+
+  page.on('requestfinished', onFinished);
+  page.on('requestfailed', onFailed);
+
+  return {
+    stop: async () => {
+      page.off('requestfinished', onFinished);
+      page.off('requestfailed', onFailed);
+      session.off('Network.loadingFinished', onLoaded);
+      await session.detach().catch(() => {});
+      return requests.map(describe).filter(resource => /^https?:/i.test(resource.url));
+    }
+  };
+}
+
+class Crawler {
+  constructor(options = {}) {
+    // getBrowser returns a connected browser, relaunching it if it crashed
+    this.getBrowser = options.getBrowser;
+    this.setupPage = options.setupPage || (async () => {});
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.maxPages = options.maxPages || Infinity;
+    this.maxDepth = options.maxDepth === undefined ? Infinity : options.maxDepth;
+    this.rateLimiter = options.rateLimiter || new HostRateLimiter(options.delay);
+    this.timeout = options.timeout || 30000;
+    this.waitUntil = options.waitUntil || 'networkidle2';
+    // url => boolean; URLs it rejects are neither crawled nor listed (the start page always is)
+    this.urlFilter = options.urlFilter || (() => true);
+    // url => url applied to every discovered link, so variants of a page are crawled once
+    this.normalizeUrl = options.normalizeUrl || (url => url);
+    // Optional CrawlCheckpoint; pages are saved as they are crawled, the queue periodically
+    this.checkpoint = options.checkpoint || null;
+    this.checkpointInterval = options.checkpointInterval === undefined ? CHECKPOINT_INTERVAL : options.checkpointInterval;
+    // Optional full-page screenshots, with the boxes of ignoreRegions selectors recorded
+    this.screenshotDir = options.screenshotDir || null;
+    this.ignoreRegions = options.ignoreRegions || [];
+    this.maxScreenshotHeight = options.maxScreenshotHeight || MAX_SCREENSHOT_HEIGHT;
+    // Device profiles ({ name, viewport, userAgent }); every page is rendered once per
+    // profile, and the first one is the primary whose results are returned at the top level
+    this.profiles = options.profiles && options.profiles.length > 0 ? options.profiles : [null];
+    // Audit every rendered page for accessibility issues (primary profile)
+    this.accessibility = options.accessibility !== false;
+    this.logger = options.logger || console;
+    // Optional AbortSignal; workers stop taking pages once it fires
+    this.signal = options.signal || null;
+    // Called with (url, { depth, crawled, queued }) after every crawled page, and with
+    // (message, error, url) for errors the crawl continues after
+    this.onPage = options.onPage || (() => {});
+    this.onError = options.onError || ((message, error) => this.logger.error(message, error.message));
+  }
+
+  async createPage(profile = null) {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    await this.setupPage(page, profile);
+    return page;
+  }
+
+  // Each worker keeps one page per profile, so viewports never switch mid-crawl
+  async createPages() {
+    const pages = [];
+    for (const profile of this.profiles) {
+      pages.push(await this.createPage(profile));
+    }
+    // Performance metrics are measured with the primary profile only
+    await pages[0].evaluateOnNewDocument(observeMetrics);
+    return pages;
+  }
+
+  async takeScreenshot(page, urlKey, screenshotDir) {
+    const layout = await page.evaluate((selectors) => {
+      const regions = [];
+      selectors.forEach(selector => {
+        document.querySelectorAll(selector).forEach(element => {
+          const rect = element.getBoundingClientRect();
+          if (rect.width > 0 && rect.height > 0) {
+            regions.push({
+              selector: selector,
+              x: Math.floor(rect.left + window.scrollX),
+              y: Math.floor(rect.top + window.scrollY),
+              width: Math.ceil(rect.width),
+              height: Math.ceil(rect.height)
+            });
+          }
+        });
+      });
+      return {
+        width: document.documentElement.clientWidth,
+        height: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0),
+        regions: regions
+      };
+    }, this.ignoreRegions);
+
+    const hash = crypto.createHash('sha1').update(urlKey).digest('hex');
+    const file = path.join(screenshotDir, `${hash}.png`);
+    await page.screenshot({
+      path: file,
+      clip: { x: 0, y: 0, width: layout.width, height: Math.min(layout.height, this.maxScreenshotHeight) },
+      captureBeyondViewport: true
+    });
+
+    return {
+      file: file,
+      truncated: layout.height > this.maxScreenshotHeight,
+      ignoreRegions: layout.regions
+    };
+  }
+
+  async crawl(baseUrl, seedUrls = []) {
+    // The start page is crawled even if normalizing moves it outside baseUrl (a removed trailing slash)
+    const startUrl = this.normalizeUrl(baseUrl);
+    const allUrls = new Set();
+    const queuedUrls = new Set();
+    const htmlSnapshots = {};
+    const responses = {};
+    const screenshots = {};
+    const urlSources = {};
+    // Every link on every crawled page (primary profile), keyed by the linking page
+    const linkGraph = {};
+    // Subresources each page loaded (primary profile), keyed like the snapshots
+    const resources = {};
+    // Lab performance metrics per page (primary profile), keyed like the snapshots
+    const pageMetrics = {};
+    // Accessibility issues per page (primary profile), keyed like the snapshots
+    const accessibility = {};
+    // Why pages could not be crawled, keyed by URL
+    const crawlErrors = {};
+    // Renders for the secondary profiles, keyed by profile name
+    const deviceProfiles = {};
+    this.profiles.slice(1).forEach(profile => {
+      deviceProfiles[profile.name] = { snapshots: {}, responses: {}, screenshots: {} };
+    });
+    let pageCount = 0;
+    let activeWorkers = 0;
+
+    // Links are crawled breadth-first; sitemap seeds fill in once links run out
+    const linkQueue = [];
+    const seedQueue = [];
+    const inProgress = new Set();
+
+    // Record how each URL was discovered (start page, link, sitemap)
+    const tagSource = (url, source) => {
+      urlSources[url] = urlSources[url] || [];
+      if (!urlSources[url].includes(source)) {
+        urlSources[url].push(source);
+      }
+    };
+
+    const enqueue = (queue, url, depth) => {
+      if (queuedUrls.has(url) || (!url.startsWith(baseUrl) && url !== startUrl) || depth > this.maxDepth) {
+        return;
+      }
+      queuedUrls.add(url);
+      queue.push({ url, depth });
+    };
+
+    // Pages in flight go back on the frontier so a resumed crawl retries them. Pages crawled
+    // since the last save are crawled again on resume; their files are simply rewritten.
+    let lastSave = 0;
+    const persist = (complete = false, force = complete) => {
+      if (!this.checkpoint || (!force && Date.now() - lastSave < this.checkpointInterval)) {
+        return;
+      }
+      lastSave = Date.now();
+      this.checkpoint.saveState({
+        baseUrl: baseUrl,
+        complete: complete,
+        pageCount: pageCount - inProgress.size,
+        linkQueue: [...inProgress, ...linkQueue],
+        seedQueue: seedQueue,
+        queuedUrls: Array.from(queuedUrls),
+        allUrls: Array.from(allUrls),
+        sources: urlSources,
+        errors: crawlErrors,
+        snapshotKeys: Object.keys(htmlSnapshots),
+        deviceProfiles: Object.keys(deviceProfiles).reduce((state, name) => {
+          state[name] = { snapshotKeys: Object.keys(deviceProfiles[name].snapshots) };
+          return state;
+        }, {})
+      });
+    };
+
+    // Copies a page's saved data back into the maps the crawl result is built from
+    const restorePage = (store, urlKey, data) => {
+      store.responses[urlKey] = data.response;
+      if (data.screenshot) {
+        store.screenshots[urlKey] = data.screenshot;
+      }
+      if (data.links) {
+        linkGraph[data.url] = data.links;
+      }
+      if (data.resources) {
+        resources[urlKey] = data.resources;
+      }
+      if (data.performance) {
+        pageMetrics[urlKey] = data.performance;
+      }
+      if (data.accessibility) {
+        accessibility[urlKey] = data.accessibility;
+      }
+    };
+
+    const restore = (state) => {
+      state.queuedUrls.forEach(url => queuedUrls.add(url));
+      state.allUrls.forEach(url => allUrls.add(url));
+      Object.assign(urlSources, state.sources);
+      Object.assign(crawlErrors, state.errors || {});
+      Object.assign(htmlSnapshots, state.snapshots);
+      Object.keys(state.pageData).forEach(urlKey => {
+        restorePage({ responses, screenshots }, urlKey, state.pageData[urlKey]);
+      });
+      Object.keys(deviceProfiles).forEach(name => {
+        const profileState = (state.deviceProfiles || {})[name];
+        if (profileState) {
+          Object.assign(deviceProfiles[name].snapshots, profileState.snapshots);
+          Object.keys(profileState.pageData).forEach(urlKey => {
+            restorePage(deviceProfiles[name], urlKey, profileState.pageData[urlKey]);
+          });
+        }
+      });
+      linkQueue.push(...state.linkQueue);
+      seedQueue.push(...state.seedQueue);
+      pageCount = state.pageCount;
+    };
+
+    // Renders one URL with one profile's page and returns every http(s) link it contains
+    const renderPage = async (page, url, profileIndex) => {
+      const profile = this.profiles[profileIndex];
+      const secondary = profileIndex > 0;
+      const store = secondary
+        ? deviceProfiles[profile.name]
+        : { snapshots: htmlSnapshots, responses: responses, screenshots: screenshots };
+
+      this.logger.log(secondary ? `Crawling (${profile.name}): ${url}` : `Crawling: ${url}`);
+      await this.rateLimiter.wait(url);
+
+      const urlKey = url.replace(/[^a-zA-Z0-9]/g, '_');
+      const tracker = secondary ? null : await trackResources(page, url);
+      let response;
+      try {
+        response = await page.goto(url, {
+          waitUntil: this.waitUntil,
+          timeout: this.timeout
+        });
+      } catch (error) {
+        if (tracker) {
+          await tracker.stop();
+        }
+        throw error;
+      }
+      if (tracker) {
+        resources[urlKey] = await tracker.stop();
+        try {
+          pageMetrics[urlKey] = await readMetrics(page, resources[urlKey]);
+        } catch (error) {
+          this.onError(`Error reading performance metrics of ${url}:`, error, url);
+        }
+      }
+
+      if (!secondary && this.accessibility) {
+        try {
+          accessibility[urlKey] = await auditAccessibility(page);
+        } catch (error) {
+          this.onError(`Error auditing accessibility of ${url}:`, error, url);
+        }
+      }
+
+      // Take HTML snapshot
+      const html = await page.content();
+      store.snapshots[urlKey] = html;
+      store.responses[urlKey] = describeResponse(response);
+
+      if (this.screenshotDir) {
+        try {
+          const screenshotDir = secondary ? path.join(this.screenshotDir, profile.name) : this.screenshotDir;
+          store.screenshots[urlKey] = await this.takeScreenshot(page, urlKey, screenshotDir);
+        } catch (error) {
+          this.onError(`Error taking screenshot of ${url}:`, error, url);
+        }
+      }
+
+      // Extract all links with their anchor text and rel, one entry per distinct
+      // normalized link
+      const links = await page.evaluate(() => Array.from(document.links)
+        .filter(link => /^https?:/i.test(link.href))
+        .map(link => ({
+          href: link.href,
+          text: (link.innerText || link.textContent || link.getAttribute('aria-label') ||
+            (link.querySelector('img[alt]') || { alt: '' }).alt).replace(/\s+/g, ' ').trim(),
+          rel: (link.getAttribute('rel') || '').trim().toLowerCase()
+        })));
+      const seen = new Set();
+      const pageLinks = links
+        .map(link => Object.assign(link, { href: this.normalizeUrl(link.href) }))
+        .filter(link => {
+          const key = `${link.href}|${link.text}|${link.rel}`;
+          if (seen.has(key)) {
+            return false;
+          }
+          seen.add(key);
+          return true;
+        });
+
+      if (this.checkpoint) {
+        const data = { url: url, response: store.responses[urlKey], screenshot: store.screenshots[urlKey] };
+        if (!secondary) {
+          Object.assign(data, {
+            links: pageLinks,
+            resources: resources[urlKey],
+            performance: pageMetrics[urlKey],
+            accessibility: accessibility[urlKey]
+          });
+        }
+        this.checkpoint.savePage(secondary ? `${profile.name}/${urlKey}` : urlKey, html, data);
+      }
+
+      return pageLinks;
+    };
+
+    const crawlPage = async (pages, { url, depth }) => {
+      const links = await renderPage(pages[0], url, 0);
+      linkGraph[url] = links;
+      const pageUrls = new Set(links.map(link => link.href).filter(href => href.startsWith(baseUrl) && this.urlFilter(href)));
+
+      // Secondary profiles may serve different markup; their links are followed too
+      for (let index = 1; index < pages.length; index++) {
+        try {
+          (await renderPage(pages[index], url, index))
+            .filter(link => link.href.startsWith(baseUrl) && this.urlFilter(link.href))
+            .forEach(link => pageUrls.add(link.href));
+        } catch (error) {
+          if (CONNECTION_ERROR.test(error.message)) {
+            throw error;
+          }
+          this.onError(`Error crawling ${url} as ${this.profiles[index].name}:`, error, url);
+        }
+      }
+
+      pageUrls.forEach(pageUrl => {
+        allUrls.add(pageUrl);
+        tagSource(pageUrl, 'link');
+        enqueue(linkQueue, pageUrl, depth + 1);
+      });
+    };
+
+    const worker = async () => {
+      let pages = await this.createPages();
+
+      try {
+        while (true) {
+          if (pageCount >= this.maxPages || (this.signal && this.signal.aborted)) {
+            return;
+          }
+
+          const item = linkQueue.shift() || seedQueue.shift();
+          if (!item) {
+            // Another worker may still add links; stop once everyone is idle
+            if (activeWorkers === 0) {
+              return;
+            }
+            await sleep(50);
+            continue;
+          }
+
+          activeWorkers++;
+          pageCount++;
+          inProgress.add(item);
+          try {
+            await crawlPage(pages, item);
+            delete crawlErrors[item.url];
+            this.onPage(item.url, { depth: item.depth, crawled: pageCount - inProgress.size + 1, queued: linkQueue.length + seedQueue.length });
+          } catch (error) {
+            this.onError(`Error crawling ${item.url}:`, error, item.url);
+            crawlErrors[item.url] = error.message;
+            // If it's a connection error, replace this worker's pages
+            if (CONNECTION_ERROR.test(error.message)) {
+              try {
+                await Promise.all(pages.map(page => page.close().catch(() => {})));
+                pages = await this.createPages();
+              } catch (reinitError) {
+                this.onError('Failed to reinitialize browser page:', reinitError, item.url);
+                return;
+              }
+            }
+          } finally {
+            activeWorkers--;
+            inProgress.delete(item);
+            persist();
+          }
+        }
+      } finally {
+        await Promise.all(pages.map(page => page.close().catch(() => {})));
+      }
+    };
+
+    const restored = this.checkpoint ? this.checkpoint.load() : null;
+    if (restored && restored.baseUrl === baseUrl) {
+      restore(restored);
+      this.logger.log(`Resuming crawl of ${baseUrl}: ${pageCount} pages done, ${linkQueue.length + seedQueue.length} queued`);
+      if (restored.complete) {
+        return { urls: Array.from(allUrls), snapshots: htmlSnapshots, sources: urlSources, responses: responses, screenshots: screenshots, linkGraph: linkGraph, resources: resources, performance: pageMetrics, accessibility: accessibility, deviceProfiles: deviceProfiles, errors: crawlErrors };
+      }
+    }
+
+    tagSource(startUrl, 'start');
+    allUrls.add(startUrl);
+    enqueue(linkQueue, startUrl, 0);
+
+    // Queue sitemap URLs the link graph may never reach (orphans, JS-routed pages)
+    seedUrls.map(this.normalizeUrl).filter(url => url.startsWith(baseUrl) && this.urlFilter(url)).forEach(url => {
+      allUrls.add(url);
+      tagSource(url, 'sitemap');
+      enqueue(seedQueue, url, 0);
+    });
+
+    if (this.screenshotDir) {
+      fs.mkdirSync(this.screenshotDir, { recursive: true });
+      // Secondary profiles screenshot into a directory of their own
+      this.profiles.slice(1).forEach(profile => {
+        fs.mkdirSync(path.join(this.screenshotDir, profile.name), { recursive: true });
+      });
+    }
+
+    await Promise.all(Array.from({ length: this.concurrency }, () => worker()));
+    // An aborted crawl keeps its checkpoint incomplete, so it can be resumed
+    if (this.signal && this.signal.aborted) {
+      persist(false, true);
+      throwIfAborted(this.signal);
+    }
+    persist(true);
+
+    return { urls: Array.from(allUrls), snapshots: htmlSnapshots, sources: urlSources, responses: responses, screenshots: screenshots, linkGraph: linkGraph, resources: resources, performance: pageMetrics, accessibility: accessibility, deviceProfiles: deviceProfiles, errors: crawlErrors };
+  }
+}
+
+module.exports = Crawler;
+module.exports.HostRateLimiter = HostRateLimiter;
+module.exports.trackResources = trackResources;
+module.exports.throwIfAborted = throwIfAborted;
@@ -0,0 +1,77 @@
+const PROFILES = {
+  desktop: {
+    name: 'desktop',
+    viewport: { width: 1920, height: 1080 },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+  },
+  mobile: {
+    name: 'mobile',
+    viewport: { width: 390, height: 844, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'
+  },
+  // Google indexes mobile-first with this crawler
+  googlebot: {
+    name: 'googlebot',
+    viewport: { width: 412, height: 915, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.6478.126 Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'
+  }
+};
+
+function parseViewport(value) {
+  const match = /^(\d+)x(\d+)$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid viewport "${value}" (expected <width>x<height>, e.g. 1280x800)`);
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+// The custom profile starts from desktop and overrides the viewport and/or user agent
+function customProfile(custom = {}) {
+  if (!custom.viewport && !custom.userAgent) {
+    throw new Error('The custom profile needs --viewport and/or --user-agent');
+  }
+  return {
+    name: 'custom',
+    viewport: custom.viewport ? parseViewport(custom.viewport) : PROFILES.desktop.viewport,
+    userAgent: custom.userAgent || PROFILES.desktop.userAgent
+  };
+}
+
+// Resolves profile names (an array or comma-separated string); the first is the primary profile
+function resolveProfiles(names, custom = {}) {
+  const list = !names ? ['desktop'] : (Array.isArray(names) ? names : String(names).split(','));
+  const profiles = [];
+
+  list.forEach(entry => {
+    const profile = typeof entry === 'object' ? entry : null;
+    const name = profile ? profile.name : String(entry).trim().toLowerCase();
+    if (!name) {
+      return;
+    }
+    if (profiles.some(existing => existing.name === name)) {
+      throw new Error(`Device profile "${name}" is listed more than once`);
+    }
+
+    if (profile) {
+      profiles.push(profile);
+    } else if (name === 'custom') {
+      profiles.push(customProfile(custom));
+    } else if (PROFILES[name]) {
+      profiles.push(PROFILES[name]);
+    } else {
+      throw new Error(`Unknown device profile "${name}" (available: ${Object.keys(PROFILES).join(', ')}, custom)`);
+    }
+  });
+
+  return profiles.length > 0 ? profiles : [PROFILES.desktop];
+}
+
+function describeProfile(profile) {
+  return `${profile.name} (${profile.viewport.width}x${profile.viewport.height}${profile.viewport.isMobile ? ', mobile' : ''})`;
+}
+
+module.exports = {
+  PROFILES,
+  resolveProfiles,
+  describeProfile
+};
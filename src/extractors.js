@@ -0,0 +1,188 @@
+const path = require('path');
+const { FIELDS } = require('./field-rules');
+
+// Custom fields are extracted from both sites and compared like the built-in ones:
+//   { name: 'price', selector: '.price', mode: 'text' }
+//   { name: 'sku', xpath: '//*[@itemprop="sku"]/@content' }
+//   { name: 'ctaCount', selector: '.cta', mode: 'count' }
+//   { name: 'breadcrumb', selector: '.breadcrumb a', all: true }
+//   { name: 'author', plugin: './extractors/author.js' }
+// A plugin (or an extract function in a .js config) runs in the rendered page with the
+// page URL as its argument, so it cannot use variables from outside its own body.
+const MODES = ['text', 'attribute', 'count'];
+const SETTINGS = ['name', 'selector', 'xpath', 'mode', 'attribute', 'all', 'plugin', 'extract'];
+// Values of all matches are joined with this when all is set
+const SEPARATOR = '; ';
+
+// Returns an error message, or null when the definition is fine
+function validateExtractor(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return `expected { name, selector | xpath | plugin | extract, ... }, got ${JSON.stringify(definition)}`;
+  }
+  const unknown = Object.keys(definition).filter(key => !SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    return `unknown extractor setting "${unknown[0]}" (expected ${SETTINGS.join(', ')})`;
+  }
+  const { name, mode = 'text' } = definition;
+  if (typeof name !== 'string' || !/^[A-Za-z][\w-]*$/.test(name)) {
+    return `expected name to be a word like "price", got ${JSON.stringify(name)}`;
+  }
+  if (FIELDS.includes(name)) {
+    return `"${name}" is a built-in field`;
+  }
+
+  const sources = ['selector', 'xpath', 'plugin', 'extract'].filter(key => definition[key] !== undefined);
+  if (sources.length !== 1) {
+    return `extractor "${name}" needs exactly one of selector, xpath, plugin or extract`;
+  }
+  if (definition.extract !== undefined && typeof definition.extract !== 'function') {
+    return `extractor "${name}": extract must be a function`;
+  }
+  if (['selector', 'xpath', 'plugin'].some(key => definition[key] !== undefined &&
+    (typeof definition[key] !== 'string' || definition[key].trim() === ''))) {
+    return `extractor "${name}": ${sources[0]} must be a non-empty string`;
+  }
+  if (definition.plugin || definition.extract) {
+    return definition.mode || definition.attribute || definition.all !== undefined
+      ? `extractor "${name}": mode, attribute and all only apply to selector and xpath extractors`
+      : null;
+  }
+  if (!MODES.includes(mode)) {
+    return `extractor "${name}": expected mode to be one of ${MODES.join(', ')}, got ${JSON.stringify(mode)}`;
+  }
+  if (mode === 'attribute' && (typeof definition.attribute !== 'string' || definition.attribute === '')) {
+    return `extractor "${name}": mode "attribute" needs an attribute name`;
+  }
+  if (definition.all !== undefined && typeof definition.all !== 'boolean') {
+    return `extractor "${name}": all must be true or false`;
+  }
+  return null;
+}
+
+function loadPlugin(file, name) {
+  let plugin;
+  try {
+    plugin = require(path.resolve(file));
+  } catch (error) {
+    throw new Error(`Could not load extractor plugin ${file}: ${error.message}`);
+  }
+  const extract = typeof plugin === 'function' ? plugin : plugin && plugin.extract;
+  if (typeof extract !== 'function') {
+    throw new Error(`Extractor plugin ${file} must export a function (or { extract }) for "${name}"`);
+  }
+  return extract;
+}
+
+// Validates extractor definitions and loads their plugins
+function compileExtractors(definitions = []) {
+  const names = new Set();
+  return definitions.map(definition => {
+    const error = validateExtractor(definition);
+    if (error) {
+      throw new Error(`Invalid extractor: ${error}`);
+    }
+    if (names.has(definition.name)) {
+      throw new Error(`Invalid extractor: "${definition.name}" is defined twice`);
+    }
+    names.add(definition.name);
+
+    if (definition.plugin || definition.extract) {
+      return {
+        name: definition.name,
+        plugin: definition.plugin,
+        extract: definition.extract || loadPlugin(definition.plugin, definition.name)
+      };
+    }
+    return {
+      name: definition.name,
+      selector: definition.selector,
+      xpath: definition.xpath,
+      mode: definition.mode || 'text',
+      attribute: definition.attribute,
+      all: Boolean(definition.all)
+    };
+  });
+}
+
+// Runs in the page: one value per selector/xpath extractor, '' when nothing matches
+function querySelectors(extractors, separator) {
+  const values = {};
+  extractors.forEach(extractor => {
+    let nodes;
+    try {
+      if (extractor.xpath) {
+        const result = document.evaluate(extractor.xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        nodes = Array.from({ length: result.snapshotLength }, (item, index) => result.snapshotItem(index));
+      } else {
+        nodes = Array.from(document.querySelectorAll(extractor.selector));
+      }
+    } catch (error) {
+      values[extractor.name] = { error: error.message };
+      return;
+    }
+
+    if (extractor.mode === 'count') {
+      values[extractor.name] = String(nodes.length);
+      return;
+    }
+    const read = (node) => extractor.mode === 'attribute'
+      ? (node.getAttribute ? node.getAttribute(extractor.attribute) || '' : '')
+      : (node.textContent || '');
+    const found = nodes.map(node => read(node).replace(/\s+/g, ' ').trim());
+    values[extractor.name] = extractor.all ? found.filter(Boolean).join(separator) : (found[0] || '');
+  });
+  return values;
+}
+
+// Short description for reports, e.g. `.price` (text)
+function describeExtractor(extractor) {
+  if (extractor.extract) {
+    return extractor.plugin ? `plugin \`${extractor.plugin}\`` : 'extract function';
+  }
+  const mode = extractor.mode === 'attribute' ? `attribute ${extractor.attribute}` : extractor.mode;
+  return `${extractor.xpath ? 'XPath ' : ''}\`${extractor.xpath || extractor.selector}\` (${mode}${extractor.all ? ', all matches' : ''})`;
+}
+
+const toValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'string' ? value.trim() : JSON.stringify(value);
+};
+
+// Extracts every custom field from a page the snapshot was loaded into. A failing
+// extractor yields '' and is reported, so one bad selector does not hide the others.
+async function extractCustomFields(page, extractors, url, reportError = (message, error) => console.error(message, error.message)) {
+  const custom = {};
+  const queries = extractors.filter(extractor => !extractor.extract);
+  if (queries.length > 0) {
+    const values = await page.evaluate(querySelectors, queries, SEPARATOR);
+    queries.forEach(extractor => {
+      const value = values[extractor.name];
+      if (value && value.error) {
+        reportError(`Error running extractor "${extractor.name}" on ${url}:`, new Error(value.error));
+        custom[extractor.name] = '';
+      } else {
+        custom[extractor.name] = value;
+      }
+    });
+  }
+
+  for (const extractor of extractors.filter(item => item.extract)) {
+    try {
+      custom[extractor.name] = toValue(await page.evaluate(extractor.extract, url));
+    } catch (error) {
+      reportError(`Error running extractor "${extractor.name}" on ${url}:`, error);
+      custom[extractor.name] = '';
+    }
+  }
+  return custom;
+}
+
+module.exports = {
+  MODES,
+  validateExtractor,
+  compileExtractors,
+  describeExtractor,
+  extractCustomFields
+};
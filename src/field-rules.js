@@ -0,0 +1,68 @@
+// Every field a page comparison can report
+const FIELDS = [
+  'title', 'description', 'keywords', 'canonical', 'hreflang', 'prev', 'next',
+  'metaRefresh', 'lang', 'robots', 'xRobotsTag', 'ogTitle', 'ogDescription', 'ogImage',
+  'twitterCard', 'twitterTitle', 'twitterDescription', 'headings', 'structuredData', 'content',
+  'visual', 'pageWeight', 'images', 'imageAlt', 'performance', 'accessibility'
+];
+
+function toList(value) {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+}
+
+// customFields are the names of user-defined extractors, which are valid fields too
+function checkFields(fields, setting, customFields = []) {
+  const known = FIELDS.concat(customFields);
+  fields.forEach(field => {
+    if (!known.includes(field)) {
+      throw new Error(`Unknown field "${field}" in ${setting} (available: ${known.join(', ')})`);
+    }
+  });
+}
+
+// Returns field => boolean from a whitelist (fields) and/or a blacklist (ignoreFields)
+function createFieldFilter({ fields, ignoreFields, customFields = [] } = {}) {
+  const only = toList(fields);
+  const ignored = toList(ignoreFields);
+  checkFields(only, 'fields', customFields);
+  checkFields(ignored, 'ignoreFields', customFields);
+  return (field) => (only.length === 0 || only.includes(field)) && !ignored.includes(field);
+}
+
+// Ignore rules remove volatile text (a brand suffix, a build number) from field values
+// before they are compared: [{ pattern: ' \\| Old Brand$', fields: ['title'] }]
+function compileIgnoreRules(rules = [], customFields = []) {
+  return rules.map(rule => {
+    const fields = toList(rule.fields);
+    checkFields(fields, 'ignore rule fields', customFields);
+    let pattern;
+    try {
+      pattern = rule.pattern instanceof RegExp
+        ? new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`)
+        : new RegExp(rule.pattern, 'g');
+    } catch (error) {
+      throw new Error(`Invalid ignore pattern ${rule.pattern}: ${error.message}`);
+    }
+    return { pattern: pattern, fields: fields };
+  });
+}
+
+function applyIgnoreRules(rules, field, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return rules
+    .filter(rule => rule.fields.length === 0 || rule.fields.includes(field))
+    .reduce((result, rule) => result.replace(rule.pattern, ''), value)
+    .trim();
+}
+
+module.exports = {
+  FIELDS,
+  createFieldFilter,
+  compileIgnoreRules,
+  applyIgnoreRules
+};
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+
+// Extra output formats written next to the JSON results and reports, selected with
+// --format. A formatter has a file extension and a format(results) function returning
+// the file's content, or an object of contents by file name part for several files.
+// A module path instead of a name loads a custom formatter exporting the same shape.
+
+const toText = (value) => value === undefined || value === null ? '' : String(value);
+const detailOf = (change) => change.headingChange || change.structuredDataChange || change.metric || change.rule || change.path || '';
+
+// RFC 4180: quote every value that needs it, doubling quotes inside
+const csvValue = (value) => {
+  const text = toText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+// The byte order mark makes spreadsheet apps read the files as UTF-8
+const toCsv = (header, rows) => '\ufeff' + [header].concat(rows).map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+
+function formatCsv(results) {
+  const changes = [];
+  results.pageComparisons.forEach(page => {
+    page.changes.forEach(change => {
+      changes.push([page.url, page.oldUrl || '', change.field, change.severity, change.type, detailOf(change), change.old, change.new]);
+    });
+  });
+  const missingUrlSeverity = results.severity.missingUrls.severity;
+  return {
+    changes: toCsv(['url', 'old_url', 'field', 'severity', 'type', 'detail', 'old_value', 'new_value'], changes),
+    missing_urls: toCsv(['url', 'severity'], results.missingUrls.map(url => [url, missingUrlSeverity])),
+    new_urls: toCsv(['url'], results.newUrls.map(url => [url]))
+  };
+}
+
+const escapeXml = (value) => toText(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const describeChange = (change) => {
+  const detail = detailOf(change);
+  return `[${change.severity}] ${change.field}${detail ? ` (${detail})` : ''}: ${JSON.stringify(toText(change.old))} → ${JSON.stringify(toText(change.new))}`;
+};
+
+// Every compared URL is a test case that fails on critical changes, and every missing
+// URL one that fails when missing URLs are critical
+function formatJunit(results) {
+  const testCase = (classname, name, failure, output) => [
+    `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}">`,
+    failure ? `      <failure type="critical" message="${escapeXml(failure.message)}">${escapeXml(failure.details)}</failure>` : null,
+    output ? `      <system-out>${escapeXml(output)}</system-out>` : null,
+    '    </testcase>'
+  ].filter(Boolean).join('\n');
+  const testSuite = (name, cases) => [
+    `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${cases.filter(item => item.failed).length}" errors="0" timestamp="${escapeXml(results.testInfo.timestamp.replace(/Z$/, ''))}">`,
+    ...cases.map(item => item.xml),
+    '  </testsuite>'
+  ].join('\n');
+
+  const changesByUrl = new Map(results.pageComparisons.map(page => [page.url, page.changes]));
+  const pages = (results.comparedUrls || Array.from(changesByUrl.keys())).map(url => {
+    const changes = changesByUrl.get(url) || [];
+    const critical = changes.filter(change => change.severity === 'critical');
+    const others = changes.filter(change => change.severity !== 'critical');
+    const failure = critical.length > 0
+      ? { message: `${critical.length} critical change(s)`, details: critical.map(describeChange).join('\n') }
+      : null;
+    return {
+      failed: Boolean(failure),
+      xml: testCase('pages', url, failure, others.map(describeChange).join('\n'))
+    };
+  });
+
+  const missingUrlSeverity = results.severity.missingUrls.severity;
+  const missingUrls = results.missingUrls.map(url => {
+    const failed = missingUrlSeverity === 'critical';
+    return {
+      failed: failed,
+      xml: testCase('missing-urls', url, failed ? { message: 'URL not found on the new site', details: url } : null,
+        failed ? '' : `[${missingUrlSeverity}] URL not found on the new site`)
+    };
+  });
+
+  const suites = [testSuite('Pages', pages), testSuite('Missing URLs', missingUrls)];
+  const failures = pages.concat(missingUrls).filter(item => item.failed).length;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="web-delta" tests="${pages.length + missingUrls.length}" failures="${failures}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+// SARIF levels for the severities
+const SARIF_LEVELS = { critical: 'error', warning: 'warning', info: 'note' };
+
+// SARIF 2.1.0: one rule per changed field, one result per change or missing URL, located
+// at the page's URL
+function formatSarif(results) {
+  const sarifResults = [];
+  const ruleIds = [];
+  const addResult = (ruleId, severity, message, url, properties) => {
+    if (!ruleIds.includes(ruleId)) {
+      ruleIds.push(ruleId);
+    }
+    sarifResults.push({
+      ruleId: ruleId,
+      ruleIndex: ruleIds.indexOf(ruleId),
+      level: SARIF_LEVELS[severity] || 'warning',
+      message: { text: message },
+      locations: [{ physicalLocation: { artifactLocation: { uri: url } } }],
+      properties: Object.assign({ severity: severity }, properties)
+    });
+  };
+
+  results.pageComparisons.forEach(page => {
+    page.changes.forEach(change => {
+      addResult(change.field, change.severity, describeChange(change), page.url, {
+        oldUrl: page.oldUrl || undefined,
+        type: change.type,
+        detail: detailOf(change) || undefined,
+        old: change.old,
+        new: change.new
+      });
+    });
+  });
+  results.missingUrls.forEach(url => {
+    const severity = results.severity.missingUrls.severity;
+    addResult('missingUrl', severity, `[${severity}] URL not found on the new site`, url, {});
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'web-delta',
+          version: version,
+          rules: ruleIds.map(id => ({
+            id: id,
+            shortDescription: { text: id === 'missingUrl' ? 'URL missing on the new site' : `${id} changed between the old and new site` }
+          }))
+        }
+      },
+      results: sarifResults,
+      properties: { severity: results.severity }
+    }]
+  }, null, 2);
+}
+
+const FORMATTERS = {
+  csv: { extension: 'csv', format: formatCsv },
+  junit: { extension: 'xml', format: formatJunit },
+  sarif: { extension: 'sarif', format: formatSarif }
+};
+
+function loadFormatter(file) {
+  let formatter;
+  try {
+    formatter = require(path.resolve(file));
+  } catch (error) {
+    throw new Error(`Could not load formatter ${file}: ${error.message}`);
+  }
+  if (!formatter || typeof formatter.format !== 'function' || typeof formatter.extension !== 'string') {
+    throw new Error(`Formatter ${file} must export { extension, format(results) }`);
+  }
+  return formatter;
+}
+
+// Accepts "csv,junit" (the CLI format) or a list; returns [{ name, extension, format }]
+function loadFormatters(formats) {
+  if (!formats) {
+    return [];
+  }
+  const names = typeof formats === 'string' ? formats.split(',').map(name => name.trim()).filter(Boolean) : formats;
+  return Array.from(new Set(names)).map(name => {
+    if (/[\\/]|\.js$/.test(name)) {
+      return Object.assign({ name: path.basename(name, '.js') }, loadFormatter(name));
+    }
+    if (!FORMATTERS[name]) {
+      throw new Error(`Unknown format "${name}" (expected ${Object.keys(FORMATTERS).join(', ')} or a formatter module path)`);
+    }
+    return Object.assign({ name: name }, FORMATTERS[name]);
+  });
+}
+
+// Writes each format as migration_<name>_<timestamp>.<extension> (multi-file formats use
+// their part names instead) and returns the files written
+function writeFormats(formatters, results, resultsDir, prefix, timestamp) {
+  const files = [];
+  formatters.forEach(formatter => {
+    const output = formatter.format(results);
+    const parts = typeof output === 'string' ? { [formatter.name]: output } : output;
+    Object.keys(parts).forEach(part => {
+      const file = path.join(resultsDir, `${prefix}_${part}_${timestamp}.${formatter.extension}`);
+      fs.writeFileSync(file, parts[part]);
+      files.push(file);
+    });
+  });
+  return files;
+}
+
+module.exports = {
+  FORMATTERS,
+  loadFormatters,
+  writeFormats,
+  formatCsv,
+  formatJunit,
+  formatSarif
+};
@@ -0,0 +1,75 @@
+const { diffSequences, normalizeText } = require('./content-diff');
+
+const headingKey = (heading) => `${heading.level}|${normalizeText(heading.text).toLowerCase()}`;
+const textKey = (heading) => normalizeText(heading.text).toLowerCase();
+
+function compareHeadings(oldHeadings = [], newHeadings = []) {
+  const oldKeys = oldHeadings.map(headingKey);
+  const newKeys = newHeadings.map(headingKey);
+
+  // Walk the LCS ops keeping track of positions in both outlines
+  const removed = [];
+  const added = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  diffSequences(oldKeys, newKeys).forEach(op => {
+    op.items.forEach(() => {
+      if (op.type === 'equal') {
+        oldIndex++;
+        newIndex++;
+      } else if (op.type === 'removed') {
+        removed.push({ heading: oldHeadings[oldIndex], position: oldIndex + 1 });
+        oldIndex++;
+      } else {
+        added.push({ heading: newHeadings[newIndex], position: newIndex + 1 });
+        newIndex++;
+      }
+    });
+  });
+
+  // A heading that left one place and appeared in another was moved or re-leveled
+  const changes = [];
+  removed.forEach(oldEntry => {
+    const matchIndex = added.findIndex(newEntry => textKey(newEntry.heading) === textKey(oldEntry.heading));
+    if (matchIndex === -1) {
+      changes.push({ change: 'removed', old: oldEntry.heading, new: null, oldPosition: oldEntry.position, newPosition: null });
+      return;
+    }
+
+    const [newEntry] = added.splice(matchIndex, 1);
+    changes.push({
+      change: newEntry.heading.level !== oldEntry.heading.level ? 'releveled' : 'moved',
+      old: oldEntry.heading,
+      new: newEntry.heading,
+      oldPosition: oldEntry.position,
+      newPosition: newEntry.position
+    });
+  });
+
+  added.forEach(newEntry => {
+    changes.push({ change: 'added', old: null, new: newEntry.heading, oldPosition: null, newPosition: newEntry.position });
+  });
+
+  return changes;
+}
+
+function checkH1(headings = []) {
+  const h1Count = headings.filter(heading => heading.level === 1).length;
+  if (h1Count === 0) {
+    return { issue: 'missing_h1', h1Count, message: 'Page has no h1' };
+  }
+  if (h1Count > 1) {
+    return { issue: 'multiple_h1', h1Count, message: `Page has ${h1Count} h1 headings` };
+  }
+  return null;
+}
+
+function formatHeading(heading, position) {
+  if (!heading) {
+    return '';
+  }
+  return `h${heading.level}: ${heading.text}${position ? ` (#${position})` : ''}`;
+}
+
+module.exports = { compareHeadings, checkH1, formatHeading };
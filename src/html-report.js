@@ -0,0 +1,343 @@
+const path = require('path');
+const { diffSequences } = require('./content-diff');
+
+const SEVERITY_RANK = { critical: 0, warning: 1, info: 2 };
+// Below this share of unchanged characters, values are shown as wholly replaced
+const MIN_SHARED_CHARACTERS = 0.3;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Objects (hreflang sets, structured data values) are shown as JSON
+const toText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Readable labels for result keys, e.g. pagesWithTitleChanges → Pages with title changes
+const WORDS = { url: 'URL', urls: 'URLs', h1: 'H1', json: 'JSON', ld: 'LD' };
+function humanize(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(' ').map(word => WORDS[word.toLowerCase()] || word.toLowerCase());
+  return words.join(' ').replace(/^./, char => char.toUpperCase());
+}
+
+// Old and new values as HTML with the changed characters marked. Common prefixes and
+// suffixes are trimmed first, which keeps the LCS small for typical edits.
+function inlineCharDiff(oldValue, newValue) {
+  const oldText = toText(oldValue);
+  const newText = toText(newValue);
+  let start = 0;
+  while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < oldText.length - start && end < newText.length - start &&
+    oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) {
+    end++;
+  }
+
+  const prefix = escapeHtml(oldText.slice(0, start));
+  const suffix = escapeHtml(oldText.slice(oldText.length - end));
+  const oldMiddle = oldText.slice(start, oldText.length - end);
+  const newMiddle = newText.slice(start, newText.length - end);
+
+  let ops = diffSequences(Array.from(oldMiddle), Array.from(newMiddle));
+  const shared = ops.filter(op => op.type === 'equal').reduce((sum, op) => sum + op.items.length, 0);
+  if (shared < Math.max(oldMiddle.length, newMiddle.length) * MIN_SHARED_CHARACTERS) {
+    ops = [{ type: 'removed', items: [oldMiddle] }, { type: 'added', items: [newMiddle] }];
+  }
+
+  const render = (skipped, tag) => ops
+    .filter(op => op.type !== skipped && op.items.length > 0 && op.items.join('') !== '')
+    .map(op => op.type === 'equal' ? escapeHtml(op.items.join('')) : `<${tag}>${escapeHtml(op.items.join(''))}</${tag}>`)
+    .join('');
+  return {
+    old: `${prefix}${render('added', 'del')}${suffix}`,
+    new: `${prefix}${render('removed', 'ins')}${suffix}`
+  };
+}
+
+const badge = (severity) => severity
+  ? `<span class="badge ${escapeHtml(severity)}">${escapeHtml(severity)}</span>`
+  : '';
+
+function renderSummary(results) {
+  const rows = Object.keys(results.summary).map(key => [humanize(key), results.summary[key]]);
+  if (results.seoImpact) {
+    Object.keys(results.seoImpact).forEach(key => rows.push([humanize(key), results.seoImpact[key]]));
+  }
+  const severity = results.severity;
+  const cards = severity
+    ? Object.keys(SEVERITY_RANK).map(name => `<div class="card ${name}"><strong>${severity.issues[name]}</strong><span>${name} issue(s) on ${severity.pages[name]} page(s)</span></div>`).join('')
+    : '';
+
+  return `<section>
+<h2>Summary</h2>
+<div class="cards">${cards}</div>
+<table class="sortable">
+<thead><tr><th>Metric</th><th>Count</th></tr></thead>
+<tbody>
+${rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td data-value="${Number(value) || 0}">${escapeHtml(toText(value))}</td></tr>`).join('\n')}
+</tbody>
+</table>
+</section>`;
+}
+
+function renderUrlList(title, id, urls) {
+  const body = urls.length > 0
+    ? `<table class="sortable">
+<thead><tr><th>#</th><th>URL</th></tr></thead>
+<tbody>
+${urls.map((url, index) => `<tr data-url="${escapeHtml(url)}"><td data-value="${index + 1}">${index + 1}</td><td><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></td></tr>`).join('\n')}
+</tbody>
+</table>`
+    : '<p class="empty">None</p>';
+  return `<section id="${id}">
+<details${urls.length > 0 && urls.length <= 50 ? ' open' : ''}>
+<summary><h2>${escapeHtml(title)} (${urls.length})</h2></summary>
+${body}
+</details>
+</section>`;
+}
+
+function renderContentExcerpt(content) {
+  if (!content || !content.flagged) {
+    return '';
+  }
+  // Modified paragraphs carry Markdown ~~removed~~ and **added** markers
+  const markup = (text) => escapeHtml(text)
+    .replace(/~~(.+?)~~/g, '<del>$1</del>')
+    .replace(/\*\*(.+?)\*\*/g, '<ins>$1</ins>');
+  return `<div class="content-diff">
+<p><strong>Content similarity:</strong> ${content.similarity}% (threshold ${content.threshold}%), ${content.oldWordCount} → ${content.newWordCount} words</p>
+${content.excerpt.map(hunk => `<blockquote class="${hunk.type}"><span>${hunk.type}</span> ${markup(hunk.text)}</blockquote>`).join('\n')}
+${content.truncated ? '<p class="empty">Further content changes omitted</p>' : ''}
+</div>`;
+}
+
+function renderPage(page, link, visual) {
+  const rank = Math.min(...page.changes.map(change => SEVERITY_RANK[change.severity] === undefined ? 3 : SEVERITY_RANK[change.severity]));
+  const highest = Object.keys(SEVERITY_RANK).find(name => SEVERITY_RANK[name] === rank);
+
+  const links = [];
+  if (page.oldUrl) {
+    links.push(`Old URL: <a href="${escapeHtml(page.oldUrl)}">${escapeHtml(page.oldUrl)}</a>${page.mappingRule ? ` (rule: ${escapeHtml(page.mappingRule)})` : ''}`);
+  }
+  if (page.snapshots) {
+    links.push(`Snapshots: <a href="${escapeHtml(link(page.snapshots.old))}">old</a> · <a href="${escapeHtml(link(page.snapshots.new))}">new</a>`);
+  }
+  if (visual && visual.diffImage) {
+    links.push(`Screenshots: <a href="${escapeHtml(link(visual.oldScreenshot))}">old</a> · <a href="${escapeHtml(link(visual.newScreenshot))}">new</a> · <a href="${escapeHtml(link(visual.diffImage))}">diff</a> (${visual.mismatch}% changed)`);
+  }
+
+  const rows = page.changes.map(change => {
+    const detail = change.headingChange || change.metric || change.rule || (change.structuredDataChange && `${change.structuredDataChange}: ${change.path}`);
+    const diff = inlineCharDiff(change.old, change.new);
+    return `<tr data-field="${escapeHtml(change.field)}" data-severity="${escapeHtml(change.severity || '')}">
+<td data-value="${SEVERITY_RANK[change.severity] === undefined ? 3 : SEVERITY_RANK[change.severity]}">${badge(change.severity)}</td>
+<td>${escapeHtml(change.field)}${detail ? `<br><small>${escapeHtml(detail)}</small>` : ''}</td>
+<td class="old">${diff.old || '<span class="empty">(empty)</span>'}</td>
+<td class="new">${diff.new || '<span class="empty">(empty)</span>'}</td>
+</tr>`;
+  }).join('\n');
+
+  return `<details class="page" data-url="${escapeHtml(page.url)}" data-old-url="${escapeHtml(page.oldUrl || '')}" data-rank="${rank}" data-changes="${page.changes.length}">
+<summary>${badge(highest)} <span class="url">${escapeHtml(page.url)}</span> <small>${page.changes.length} change(s)</small></summary>
+${links.length > 0 ? `<p class="links">${links.join('<br>')}</p>` : ''}
+<table class="sortable changes">
+<thead><tr><th>Severity</th><th>Field</th><th>Old</th><th>New</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+${renderContentExcerpt(page.content)}
+</details>`;
+}
+
+const STYLE = `
+body { font: 14px/1.45 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+header, main { max-width: 1280px; margin: 0 auto; padding: 16px 24px; }
+header { background: #fff; border-bottom: 1px solid #d0d7de; max-width: none; }
+h1 { margin: 0 0 4px; font-size: 22px; }
+h2 { font-size: 17px; margin: 0; display: inline; }
+section { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; margin: 16px 0; }
+table { border-collapse: collapse; width: 100%; margin-top: 8px; table-layout: auto; }
+th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; word-break: break-word; white-space: pre-wrap; }
+th { background: #f6f8fa; cursor: pointer; user-select: none; white-space: nowrap; }
+th.asc::after { content: " ▲"; } th.desc::after { content: " ▼"; }
+td.old { background: #fff5f5; width: 38%; } td.new { background: #f3fff5; width: 38%; }
+del { background: #ffcecb; text-decoration: line-through; } ins { background: #aceebb; text-decoration: none; }
+.badge { display: inline-block; padding: 0 6px; border-radius: 10px; font-size: 12px; color: #fff; }
+.badge.critical, .card.critical strong { background: #cf222e; } .badge.warning, .card.warning strong { background: #bf8700; } .badge.info, .card.info strong { background: #0969da; }
+.cards { display: flex; gap: 12px; margin: 8px 0; }
+.card { display: flex; align-items: center; gap: 8px; } .card strong { color: #fff; border-radius: 4px; padding: 2px 8px; font-size: 18px; }
+.filters { position: sticky; top: 0; z-index: 1; display: flex; flex-wrap: wrap; gap: 12px; align-items: center; }
+.filters input[type=search] { width: 280px; padding: 4px 6px; }
+details.page { border-top: 1px solid #d0d7de; padding: 6px 0; }
+details.page > summary { cursor: pointer; } .url { font-family: ui-monospace, Consolas, monospace; }
+.links, .empty, small { color: #57606a; }
+blockquote { margin: 6px 0; padding: 4px 8px; border-left: 4px solid #d0d7de; white-space: pre-wrap; }
+blockquote.removed { border-color: #cf222e; } blockquote.added { border-color: #1a7f37; } blockquote.modified { border-color: #bf8700; }
+blockquote > span { font-weight: 600; text-transform: capitalize; }
+[hidden] { display: none !important; }
+`;
+
+// Filtering, sorting and expanding run in the browser; the report needs no network
+const SCRIPT = `
+(function () {
+  var list = document.getElementById('pages');
+  var pages = Array.prototype.slice.call(document.querySelectorAll('details.page'));
+  var urlInput = document.getElementById('filter-url');
+  var fieldSelect = document.getElementById('filter-field');
+  var severityBoxes = Array.prototype.slice.call(document.querySelectorAll('.filter-severity'));
+  var counter = document.getElementById('page-count');
+
+  // "*" is a wildcard; anything else matches as a substring
+  function urlMatcher(value) {
+    value = value.trim().toLowerCase();
+    if (!value) {
+      return null;
+    }
+    if (value.indexOf('*') === -1) {
+      return function (url) { return url.toLowerCase().indexOf(value) !== -1; };
+    }
+    var pattern = new RegExp(value.split('*').map(function (part) {
+      return part.replace(/[.+?^$\\{\\}()|[\\]\\\\]/g, '\\\\$&');
+    }).join('.*'), 'i');
+    return function (url) { return pattern.test(url); };
+  }
+
+  function applyFilters() {
+    var matches = urlMatcher(urlInput.value);
+    var field = fieldSelect.value;
+    var severities = severityBoxes.filter(function (box) { return box.checked; }).map(function (box) { return box.value; });
+    var shown = 0;
+    pages.forEach(function (page) {
+      var urlMatch = !matches || matches(page.dataset.url) || (page.dataset.oldUrl && matches(page.dataset.oldUrl));
+      var visibleRows = 0;
+      Array.prototype.forEach.call(page.querySelectorAll('tr[data-field]'), function (row) {
+        var visible = urlMatch && (!field || row.dataset.field === field) &&
+          (!row.dataset.severity || severities.indexOf(row.dataset.severity) !== -1);
+        row.hidden = !visible;
+        visibleRows += visible ? 1 : 0;
+      });
+      page.hidden = visibleRows === 0;
+      shown += page.hidden ? 0 : 1;
+    });
+    Array.prototype.forEach.call(document.querySelectorAll('tr[data-url]'), function (row) {
+      row.hidden = Boolean(matches) && !matches(row.dataset.url);
+    });
+    counter.textContent = shown + ' of ' + pages.length + ' page(s)';
+  }
+
+  function sortPages() {
+    var key = document.getElementById('sort-pages').value;
+    pages.sort(function (a, b) {
+      if (key === 'url') {
+        return a.dataset.url.localeCompare(b.dataset.url);
+      }
+      if (key === 'changes') {
+        return b.dataset.changes - a.dataset.changes;
+      }
+      return (a.dataset.rank - b.dataset.rank) || (b.dataset.changes - a.dataset.changes);
+    }).forEach(function (page) { list.appendChild(page); });
+  }
+
+  function sortTable(header) {
+    var table = header.closest('table');
+    var index = Array.prototype.indexOf.call(header.parentNode.children, header);
+    var ascending = !header.classList.contains('asc');
+    Array.prototype.forEach.call(header.parentNode.children, function (th) { th.classList.remove('asc', 'desc'); });
+    header.classList.add(ascending ? 'asc' : 'desc');
+    var body = table.tBodies[0];
+    var value = function (row) {
+      var cell = row.children[index];
+      return cell.dataset.value !== undefined ? Number(cell.dataset.value) : cell.textContent.trim().toLowerCase();
+    };
+    Array.prototype.slice.call(body.rows).sort(function (a, b) {
+      var x = value(a);
+      var y = value(b);
+      var order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+      return ascending ? order : -order;
+    }).forEach(function (row) { body.appendChild(row); });
+  }
+
+  document.addEventListener('click', function (event) {
+    var header = event.target.closest('table.sortable th');
+    if (header) {
+      sortTable(header);
+    }
+  });
+  document.getElementById('expand-all').addEventListener('click', function () {
+    pages.forEach(function (page) { page.open = !page.hidden; });
+  });
+  document.getElementById('collapse-all').addEventListener('click', function () {
+    pages.forEach(function (page) { page.open = false; });
+  });
+  urlInput.addEventListener('input', applyFilters);
+  fieldSelect.addEventListener('change', applyFilters);
+  severityBoxes.forEach(function (box) { box.addEventListener('change', applyFilters); });
+  document.getElementById('sort-pages').addEventListener('change', sortPages);
+  sortPages();
+  applyFilters();
+  // The most severe pages start expanded, up to a readable number
+  pages.slice(0, 20).forEach(function (page) { page.open = true; });
+})();
+`;
+
+// Renders results as one HTML file with inline CSS and JS. Links to snapshots and
+// screenshots are relative to reportDir, so the results folder can be moved as a whole.
+function renderHtmlReport(results, reportDir, title = 'Web Delta Migration Report') {
+  const link = (file) => path.relative(reportDir, file).split(path.sep).join('/');
+  const visuals = {};
+  ((results.visualAnalysis && results.visualAnalysis.pages) || []).forEach(page => {
+    visuals[page.url] = page;
+  });
+  const fields = Array.from(new Set([].concat(...results.pageComparisons.map(page => page.changes.map(change => change.field))))).sort();
+  const info = results.testInfo;
+  const source = (label, domain, from) => `${label}: <a href="${escapeHtml(domain || '')}">${escapeHtml(domain || '')}</a>${from && from.type === 'snapshot' ? ` (snapshot <code>${escapeHtml(from.file)}</code>)` : ''}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<div>${source('Old', info.oldDomain, info.oldSource)} · ${source('New', info.newDomain, info.newSource)}</div>
+<div><small>Generated ${escapeHtml(info.timestamp)}${info.deviceProfile ? ` · ${escapeHtml(info.deviceProfile)}` : ''}</small></div>
+</header>
+<main>
+${renderSummary(results)}
+<section class="filters">
+<label>URL <input type="search" id="filter-url" placeholder="/blog/* or part of a URL"></label>
+<label>Field <select id="filter-field"><option value="">All fields</option>${fields.map(field => `<option>${escapeHtml(field)}</option>`).join('')}</select></label>
+<span>Severity ${Object.keys(SEVERITY_RANK).map(name => `<label><input type="checkbox" class="filter-severity" value="${name}" checked> ${name}</label>`).join(' ')}</span>
+<label>Sort pages <select id="sort-pages"><option value="severity">by severity</option><option value="changes">by number of changes</option><option value="url">by URL</option></select></label>
+<button type="button" id="expand-all">Expand all</button> <button type="button" id="collapse-all">Collapse all</button>
+<strong id="page-count"></strong>
+</section>
+<section>
+<h2>Pages with Changes (${results.pageComparisons.length})</h2>
+<div id="pages">
+${results.pageComparisons.length > 0
+    ? results.pageComparisons.map(page => renderPage(page, link, visuals[page.url])).join('\n')
+    : '<p class="empty">No pages with changes found</p>'}
+</div>
+</section>
+${renderUrlList('Missing URLs', 'missing-urls', results.missingUrls)}
+${renderUrlList('New URLs', 'new-urls', results.newUrls)}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtmlReport, inlineCharDiff };
@@ -0,0 +1,50 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Single HTTP request without following redirects, so callers can inspect every hop
+function request(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    timeout = 30000,
+    readBody = true
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      reject(new Error(`Invalid URL: ${url}`));
+      return;
+    }
+
+    const client = parsed.protocol === 'https:' ? https : http;
+    const req = client.request(parsed, {
+      method: method,
+      headers: Object.assign({ 'User-Agent': DEFAULT_USER_AGENT }, headers)
+    }, (res) => {
+      // A connection reset mid-response errors the response, whether or not it is read
+      res.on('error', reject);
+      if (!readBody) {
+        res.resume();
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: null }));
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`Request timed out after ${timeout}ms`));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+module.exports = { request, DEFAULT_USER_AGENT };
@@ -1,18 +1,172 @@
 const puppeteer = require('puppeteer');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
+const UrlMapper = require('./url-mapper');
+const { describeRule } = require('./url-mapper');
+const RedirectChecker = require('./redirect-checker');
+const { discoverSite, diffDiscovery } = require('./site-discovery');
+const Crawler = require('./crawler');
+const { HostRateLimiter, throwIfAborted } = require('./crawler');
+const CrawlCheckpoint = require('./checkpoint');
+const { createRun, loadRun, removeRun, runDir } = require('./checkpoint');
+const { compareContent } = require('./content-diff');
+const { compareHeadings, checkH1, formatHeading } = require('./heading-diff');
+const { checkLinkTags, formatHreflang } = require('./seo-checks');
+const { parseStructuredData, compareStructuredData } = require('./structured-data');
+const { diffScreenshots } = require('./visual-diff');
+const { resolveProfiles, describeProfile } = require('./device-profiles');
+const { analyzeLinkGraph, internalTargets } = require('./link-graph');
+const { comparePageAssets, findAssetIssues, formatBytes } = require('./asset-diff');
+const { RULES, compareAccessibility } = require('./accessibility');
+const { createUrlFilter } = require('./url-filter');
+const { createUrlNormalizer } = require('./url-normalizer');
+const { createFieldFilter, compileIgnoreRules, applyIgnoreRules } = require('./field-rules');
+const { compileExtractors, describeExtractor, extractCustomFields } = require('./extractors');
+const { renderHtmlReport } = require('./html-report');
+const { loadFormatters, writeFormats } = require('./formatters');
+const { SCHEMA_VERSION } = require('./results-schema');
+const { describeRun, recordRun } = require('./run-history');
+const { parseSeverities, checkSeverity, severityOf, summarizeSeverity } = require('./severity');
+const { METRICS, parseBudgets, comparePerformance, aggregatePerformance, formatMetric, formatBudget } = require('./performance');
 
-class MigrationComparator {
-  constructor(oldDomain, newDomain) {
+// Internal link targets the crawl never reached are requested directly, up to this many
+const MAX_LINK_CHECKS = 500;
+
+// Quick mode compares a sample of each site: its shallowest pages by link depth, or random
+// sitemap URLs of the old site and their new counterparts
+const MODES = ['full', 'quick'];
+const SAMPLES = ['depth', 'random'];
+const QUICK_MAX_PAGES = 10;
+
+// Picks count URLs at random (Fisher-Yates)
+function sampleUrls(urls, count) {
+  const shuffled = urls.slice();
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const other = Math.floor(Math.random() * (index + 1));
+    [shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+  }
+  return shuffled.slice(0, count);
+}
+
+// Emits page:crawled, page:compared, progress and (non-fatal) error events while a run goes on
+class MigrationComparator extends EventEmitter {
+  constructor(oldDomain, newDomain, options = {}) {
+    super();
     this.oldDomain = oldDomain;
     this.newDomain = newDomain;
-    this.snapshotsDir = '__snapshots';
-    this.resultsDir = 'results';
+    this.options = options;
+    this.snapshotsDir = options.snapshotsDir || '__snapshots';
+    this.resultsDir = options.resultsDir || 'results';
+    // With writeFiles false, nothing is written: no snapshots, checkpoints, reports or history
+    this.writeFiles = options.writeFiles !== false;
+    // Progress messages and non-fatal errors; anything with log and error methods
+    this.logger = options.logger || console;
+    // An AbortSignal that stops the run at the next page
+    this.signal = options.signal || null;
+    // A browser passed in options.browser is used as is and left open
     this.browser = null;
-    this.page = null;
+    this.browserLaunch = null;
+
+    if (!this.writeFiles && (options.screenshots || options.resume)) {
+      throw new Error('Screenshots and resumed runs need files, so they cannot be used with writeFiles: false');
+    }
+
+    // Full or quick comparison; quick runs keep the simple_ file names they always had
+    this.mode = options.mode || 'full';
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown mode "${this.mode}" (expected ${MODES.join(' or ')})`);
+    }
+    if (options.sample && this.mode !== 'quick') {
+      throw new Error('Sampling only applies to quick comparisons (mode: "quick")');
+    }
+    this.sample = this.mode === 'quick' ? options.sample || 'depth' : null;
+    if (this.sample && !SAMPLES.includes(this.sample)) {
+      throw new Error(`Unknown sample "${this.sample}" (expected ${SAMPLES.join(' or ')})`);
+    }
+    if (this.sample === 'random' && options.useSitemaps === false) {
+      throw new Error('A random sample is drawn from the sitemap, so it cannot be used with useSitemaps: false');
+    }
+    this.filePrefix = this.mode === 'quick' ? 'simple_' : '';
+
+    // Crawl limits and politeness; the rate limiter is shared by both sites' crawls
+    this.concurrency = options.concurrency || 4;
+    this.maxPages = options.maxPages || (this.mode === 'quick' ? QUICK_MAX_PAGES : Infinity);
+    this.maxDepth = options.maxDepth;
+    this.rateLimiter = new HostRateLimiter(this.resolveDelay(options));
+    this.urlFilter = createUrlFilter({ include: options.include, exclude: options.exclude });
+    this.normalizeUrl = createUrlNormalizer(options.normalize);
+
+    // User-defined fields (selectors, XPath, plugins) compared alongside the built-in ones
+    this.extractors = compileExtractors(options.extractors);
+    const customFields = this.extractors.map(extractor => extractor.name);
+
+    // Which fields are compared, and volatile text stripped from values before comparing
+    this.fieldFilter = createFieldFilter({ fields: options.fields, ignoreFields: options.ignoreFields, customFields: customFields });
+    this.ignoreRules = compileIgnoreRules(options.ignore, customFields);
+
+    // Per-field severity overrides, and the severity that fails a CI run
+    this.severities = parseSeverities(options.severity, customFields);
+    this.failOn = checkSeverity(options.failOn, 'failOn');
+    this.formatters = loadFormatters(options.formats);
+
+    // Device profiles to render every page with; the first drives the main comparison
+    this.profiles = resolveProfiles(options.profiles, {
+      viewport: options.viewport,
+      userAgent: options.userAgent
+    });
+
+    // Old→new URL pairing rules (explicit redirect maps and regex rewrites)
+    this.urlMapper = new UrlMapper(oldDomain, newDomain);
+    this.loadUrlMaps(options.urlMap);
+
+    // Pages whose body text similarity (0-100) falls below this are flagged
+    this.contentThreshold = options.contentThreshold === undefined ? 90 : options.contentThreshold;
+
+    // Visual regression: pages whose screenshots differ by more than this percentage are flagged
+    this.ignoreRegions = this.parseSelectors(options.ignoreRegions);
+    this.visualThreshold = options.visualThreshold === undefined ? 1 : options.visualThreshold;
+
+    // How much each lab performance metric may regress per page before it is flagged
+    this.performanceBudgets = parseBudgets(options.performanceBudgets);
+
+    this.redirectChecker = new RedirectChecker({
+      maxHops: options.maxRedirectHops,
+      rateLimiter: this.rateLimiter,
+      logger: this.logger,
+      signal: this.signal
+    });
     
     // Create directories if they don't exist
-    this.createDirectories();
+    if (this.writeFiles) {
+      this.createDirectories();
+    }
+  }
+
+  // Logs a non-fatal error and emits it; EventEmitter throws 'error' events nobody listens to
+  reportError(message, error, context = {}) {
+    this.logger.error(message, error.message);
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error, context);
+    }
+  }
+
+  loadUrlMaps(urlMap) {
+    if (!urlMap) {
+      return;
+    }
+    const files = Array.isArray(urlMap) ? urlMap : String(urlMap).split(',');
+    files.map(file => file.trim()).filter(Boolean).forEach(file => {
+      this.urlMapper.loadFile(file);
+    });
+  }
+
+  parseSelectors(selectors) {
+    if (!selectors) {
+      return [];
+    }
+    const list = Array.isArray(selectors) ? selectors : String(selectors).split(',');
+    return list.map(selector => selector.trim()).filter(Boolean);
   }
 
   createDirectories() {
@@ -23,19 +177,53 @@ class MigrationComparator {
     });
   }
 
+  resolveDelay(options) {
+    const rateLimitDelay = options.rateLimit ? Math.ceil(1000 / options.rateLimit) : 0;
+    return Math.max(options.delay || 0, rateLimitDelay);
+  }
+
   async initialize() {
+    if (this.options.browser) {
+      this.browser = this.options.browser;
+      return;
+    }
     this.browser = await puppeteer.launch({ 
       headless: true,
       args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
     });
-    this.page = await this.browser.newPage();
-    
-    // Set viewport and user agent for consistent rendering
-    await this.page.setViewport({ width: 1920, height: 1080 });
-    await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+  }
+
+  // Returns a connected browser, relaunching once if it crashed mid-crawl
+  async getBrowser() {
+    if (this.browser && this.browser.isConnected()) {
+      return this.browser;
+    }
+    if (this.options.browser) {
+      throw new Error('The browser passed in options.browser disconnected');
+    }
+    if (!this.browserLaunch) {
+      this.logger.log('Browser disconnected, reinitializing...');
+      this.browserLaunch = this.initialize().finally(() => {
+        this.browserLaunch = null;
+      });
+    }
+    await this.browserLaunch;
+    return this.browser;
+  }
+
+  async setupPage(page, profile = null) {
+    // Set viewport and user agent from the device profile for consistent rendering
+    const { viewport, userAgent } = profile || this.profiles[0];
+    await page.setViewport(viewport);
+    await page.setUserAgent(userAgent);
   }
 
   async close() {
+    // A browser passed in belongs to the caller, and the crawl has closed its own pages
+    if (this.options.browser) {
+      this.browser = null;
+      return;
+    }
     if (this.browser) {
       try {
         // Close all pages first
@@ -50,124 +238,219 @@ class MigrationComparator {
           this.browser.process().kill('SIGKILL');
         }
       } catch (error) {
-        console.error('Error closing browser:', error.message);
+        this.logger.error('Error closing browser:', error.message);
         // Force kill as last resort
         try {
           if (this.browser.process()) {
             this.browser.process().kill('SIGKILL');
           }
         } catch (killError) {
-          console.error('Error force killing browser process:', killError.message);
+          this.logger.error('Error force killing browser process:', killError.message);
         }
       } finally {
         this.browser = null;
-        this.page = null;
       }
     }
   }
 
-  async crawlWebsite(baseUrl) {
-    const allUrls = new Set();
-    const visitedUrls = new Set();
-    const htmlSnapshots = {};
-
-    const crawlPage = async (url) => {
-      if (visitedUrls.has(url) || !url.startsWith(baseUrl)) {
-        return;
-      }
-
-      console.log(`Crawling: ${url}`);
-      visitedUrls.add(url);
-
-      try {
-        // Check if browser is still connected
-        if (!this.browser.isConnected()) {
-          console.log('Browser disconnected, reinitializing...');
-          await this.initialize();
-        }
-
-        await this.page.goto(url, { 
-          waitUntil: 'networkidle2', 
-          timeout: 30000 
-        });
-
-        // Take HTML snapshot
-        const html = await this.page.content();
-        const urlKey = url.replace(/[^a-zA-Z0-9]/g, '_');
-        htmlSnapshots[urlKey] = html;
-
-        // Extract all links
-        const pageUrls = await this.page.evaluate((baseUrl) => {
-          const urlArray = Array.from(document.links).map((link) => link.href);
-          const uniqueUrlArray = [...new Set(urlArray)];
-          return uniqueUrlArray.filter(url => url.startsWith(baseUrl));
-        }, baseUrl);
-
-        pageUrls.forEach(url => allUrls.add(url));
-
-        // Recursively crawl each new URL
-        for (const newUrl of pageUrls) {
-          if (!visitedUrls.has(newUrl)) {
-            await crawlPage(newUrl);
-          }
-        }
-
-      } catch (error) {
-        console.error(`Error crawling ${url}:`, error.message);
-        // If it's a connection error, try to reinitialize
-        if (error.message.includes('detached') || error.message.includes('Connection closed')) {
-          try {
-            await this.initialize();
-          } catch (reinitError) {
-            console.error('Failed to reinitialize browser:', reinitError.message);
-          }
-        }
+  // Normalized URL => crawled URL for the URLs the include/exclude rules keep; the crawled
+  // URL still keys the page's snapshot data. The first variant of a page wins.
+  indexUrls(urls) {
+    const index = new Map();
+    urls.filter(url => this.urlFilter(url)).forEach(url => {
+      const normalized = this.normalizeUrl(url);
+      if (!index.has(normalized)) {
+        index.set(normalized, url);
       }
-    };
+    });
+    return index;
+  }
 
-    await crawlPage(baseUrl);
-    return { urls: Array.from(allUrls), snapshots: htmlSnapshots };
+  async crawlWebsite(baseUrl, seedUrls = [], checkpoint = null, screenshotDir = null, maxDepth = this.maxDepth) {
+    const crawler = new Crawler({
+      getBrowser: () => this.getBrowser(),
+      setupPage: (page, profile) => this.setupPage(page, profile),
+      profiles: this.profiles,
+      concurrency: this.concurrency,
+      maxPages: this.maxPages,
+      maxDepth: maxDepth,
+      rateLimiter: this.rateLimiter,
+      timeout: this.options.timeout,
+      waitUntil: this.options.waitUntil,
+      urlFilter: this.urlFilter,
+      normalizeUrl: this.normalizeUrl,
+      checkpoint: checkpoint,
+      screenshotDir: screenshotDir,
+      ignoreRegions: this.ignoreRegions,
+      accessibility: this.options.checkAccessibility !== false,
+      logger: this.logger,
+      signal: this.signal,
+      onPage: (url, progress) => {
+        this.emit('page:crawled', Object.assign({ site: baseUrl, url: url }, progress));
+        this.emit('progress', { stage: 'crawl', site: baseUrl, done: progress.crawled, total: Number.isFinite(this.maxPages) ? this.maxPages : null });
+      },
+      onError: (message, error, url) => this.reportError(message, error, { site: baseUrl, url: url, stage: 'crawl' })
+    });
+    return crawler.crawl(baseUrl, seedUrls);
   }
 
-  async extractPageInfo(html, url) {
+  async extractPageInfo(html, url, response = {}, profile = null) {
     let tempPage = null;
     try {
-      // Create a temporary page to parse HTML
+      // Create a temporary page to parse HTML, sized like the device it was captured with
+      // so media queries decide which text is visible
       tempPage = await this.browser.newPage();
+      await this.setupPage(tempPage, profile);
       await tempPage.setContent(html);
-      
-      const pageInfo = await tempPage.evaluate(() => {
+
+      // Custom fields are read first, since the built-in extraction mutates the page
+      const custom = await extractCustomFields(tempPage, this.extractors, url,
+        (message, error) => this.reportError(message, error, { url: url, stage: 'extract' }));
+
+      const pageInfo = await tempPage.evaluate((pageUrl) => {
         const getMetaContent = (name) => {
           const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
           return meta ? meta.getAttribute('content') : '';
         };
 
+        // The snapshot is loaded into about:blank, so resolve hrefs against the real URL
+        const baseElement = document.querySelector('base[href]');
+        const baseUrl = baseElement ? new URL(baseElement.getAttribute('href'), pageUrl).href : pageUrl;
+        const resolveUrl = (href) => {
+          try {
+            return new URL(href, baseUrl).href;
+          } catch (error) {
+            return href;
+          }
+        };
+
+        const getLinkHref = (rel) => {
+          const link = document.querySelector(`link[rel~="${rel}" i][href]`);
+          return link ? resolveUrl(link.getAttribute('href').trim()) : '';
+        };
+
+        const getHttpEquiv = (name) => {
+          const meta = Array.from(document.querySelectorAll('meta[http-equiv]'))
+            .find(element => element.getAttribute('http-equiv').toLowerCase() === name);
+          return meta ? (meta.getAttribute('content') || '').trim() : '';
+        };
+
         const getTextContent = (selector) => {
           const element = document.querySelector(selector);
           return element ? element.textContent.trim() : '';
         };
 
-        return {
+        const info = {
           title: document.title,
           description: getMetaContent('description'),
           keywords: getMetaContent('keywords'),
           h1: getTextContent('h1'),
           h2: getTextContent('h2'),
           mainContent: getTextContent('main') || getTextContent('body'),
-          canonical: getMetaContent('canonical'),
+          canonical: getLinkHref('canonical'),
+          hreflang: Array.from(document.querySelectorAll('link[rel~="alternate" i][hreflang][href]'))
+            .map(link => ({
+              hreflang: link.getAttribute('hreflang').trim().toLowerCase(),
+              href: resolveUrl(link.getAttribute('href').trim())
+            }))
+            .sort((a, b) => a.hreflang.localeCompare(b.hreflang)),
+          prev: getLinkHref('prev'),
+          next: getLinkHref('next'),
+          metaRefresh: getHttpEquiv('refresh'),
+          lang: document.documentElement.getAttribute('lang') || '',
           robots: getMetaContent('robots'),
           ogTitle: getMetaContent('og:title'),
           ogDescription: getMetaContent('og:description'),
           ogImage: getMetaContent('og:image'),
           twitterCard: getMetaContent('twitter:card'),
           twitterTitle: getMetaContent('twitter:title'),
-          twitterDescription: getMetaContent('twitter:description')
+          twitterDescription: getMetaContent('twitter:description'),
+          headings: Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(heading => ({
+            level: Number(heading.tagName.charAt(1)),
+            text: heading.textContent.replace(/\s+/g, ' ').trim()
+          }))
         };
-      });
+
+        // Raw JSON-LD is parsed outside the page so invalid blocks can be reported
+        info.jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json" i]'))
+          .map(script => script.textContent);
+
+        const readMicrodataValue = (element) => {
+          if (element.hasAttribute('itemscope')) {
+            return readMicrodataItem(element);
+          }
+          if (element.hasAttribute('content')) {
+            return element.getAttribute('content');
+          }
+          const urlAttribute = { A: 'href', LINK: 'href', AREA: 'href', IMG: 'src', AUDIO: 'src', VIDEO: 'src', SOURCE: 'src', IFRAME: 'src', OBJECT: 'data' }[element.tagName];
+          if (urlAttribute && element.hasAttribute(urlAttribute)) {
+            return resolveUrl(element.getAttribute(urlAttribute));
+          }
+          if (element.tagName === 'TIME' && element.hasAttribute('datetime')) {
+            return element.getAttribute('datetime');
+          }
+          if ((element.tagName === 'DATA' || element.tagName === 'METER') && element.hasAttribute('value')) {
+            return element.getAttribute('value');
+          }
+          return element.textContent.replace(/\s+/g, ' ').trim();
+        };
+
+        const readMicrodataItem = (scope) => {
+          const item = { '@type': (scope.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean) };
+          // Only properties whose nearest item scope is this one belong to it
+          Array.from(scope.querySelectorAll('[itemprop]'))
+            .filter(element => element.parentElement.closest('[itemscope]') === scope)
+            .forEach(element => {
+              const value = readMicrodataValue(element);
+              element.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+                if (item[name] === undefined) {
+                  item[name] = value;
+                } else {
+                  item[name] = [].concat(item[name], value);
+                }
+              });
+            });
+          return item;
+        };
+
+        info.microdata = Array.from(document.querySelectorAll('[itemscope]:not([itemprop])')).map(readMicrodataItem);
+
+        // A missing alt attribute (null) is kept apart from an intentionally empty one
+        info.images = Array.from(document.images).map(image => ({
+          src: image.getAttribute('src') ? resolveUrl(image.getAttribute('src').trim()) : '',
+          alt: image.hasAttribute('alt') ? image.getAttribute('alt').trim() : null
+        }));
+
+        // Visible text as paragraphs, with scripts and site-wide boilerplate removed.
+        // This mutates the temporary page, so it runs after every other field.
+        const contentRoot = document.querySelector('main') || document.body;
+        if (contentRoot) {
+          contentRoot.querySelectorAll([
+            'script', 'style', 'noscript', 'template', 'svg', 'iframe',
+            'nav', 'header', 'footer', 'aside',
+            '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+            '[aria-hidden="true"]', '[hidden]',
+            '[id*="cookie" i]', '[class*="cookie" i]'
+          ].join(',')).forEach(element => element.remove());
+        }
+        info.contentBlocks = contentRoot
+          ? contentRoot.innerText.split('\n').map(line => line.trim()).filter(Boolean)
+          : [];
+
+        return info;
+      }, url);
+
+      // Headers come from the crawl, since the HTML snapshot cannot carry them
+      pageInfo.xRobotsTag = (response.headers && response.headers['x-robots-tag']) || '';
+
+      pageInfo.structuredData = parseStructuredData(pageInfo.jsonLd, pageInfo.microdata);
+      delete pageInfo.jsonLd;
+      delete pageInfo.microdata;
+      pageInfo.custom = custom;
 
       return pageInfo;
     } catch (error) {
-      console.error(`Error extracting page info for ${url}:`, error.message);
+      this.reportError(`Error extracting page info for ${url}:`, error, { url: url, stage: 'extract' });
       return {
         title: '',
         description: '',
@@ -176,13 +459,24 @@ class MigrationComparator {
         h2: '',
         mainContent: '',
         canonical: '',
+        hreflang: [],
+        prev: '',
+        next: '',
+        metaRefresh: '',
+        lang: '',
+        xRobotsTag: '',
         robots: '',
         ogTitle: '',
         ogDescription: '',
         ogImage: '',
         twitterCard: '',
         twitterTitle: '',
-        twitterDescription: ''
+        twitterDescription: '',
+        headings: [],
+        structuredData: { items: [], errors: [] },
+        images: [],
+        contentBlocks: [],
+        custom: {}
       };
     } finally {
       // Always close the temporary page
@@ -190,7 +484,7 @@ class MigrationComparator {
         try {
           await tempPage.close();
         } catch (closeError) {
-          console.error('Error closing temporary page:', closeError.message);
+          this.logger.error('Error closing temporary page:', closeError.message);
         }
       }
     }
@@ -202,8 +496,10 @@ class MigrationComparator {
       changes: []
     };
 
-    const compareField = (field, oldValue, newValue) => {
-      if (oldValue !== newValue) {
+    // normalize lets URL-valued fields be compared after old→new translation
+    const compareField = (field, oldValue, newValue, normalize = value => value) => {
+      const clean = (value) => applyIgnoreRules(this.ignoreRules, field, value);
+      if (clean(normalize(oldValue)) !== clean(newValue)) {
         differences.changes.push({
           field: field,
           old: oldValue,
@@ -213,102 +509,468 @@ class MigrationComparator {
       }
     };
 
+    // Old-site URLs are expected to become their mapped new-site URLs
+    const toNewUrl = (value) => value && value.startsWith(this.oldDomain) ? this.urlMapper.map(value).url : value;
+    const toNewHreflang = (alternates) => formatHreflang((alternates || []).map(alternate => ({
+      hreflang: alternate.hreflang,
+      href: toNewUrl(alternate.href)
+    })));
+
     // Compare all fields
     compareField('title', oldInfo.title, newInfo.title);
     compareField('description', oldInfo.description, newInfo.description);
     compareField('keywords', oldInfo.keywords, newInfo.keywords);
-    compareField('h1', oldInfo.h1, newInfo.h1);
-    compareField('h2', oldInfo.h2, newInfo.h2);
-    compareField('canonical', oldInfo.canonical, newInfo.canonical);
+    compareField('canonical', oldInfo.canonical, newInfo.canonical, toNewUrl);
+    compareField('hreflang', formatHreflang(oldInfo.hreflang), formatHreflang(newInfo.hreflang), () => toNewHreflang(oldInfo.hreflang));
+    compareField('prev', oldInfo.prev, newInfo.prev, toNewUrl);
+    compareField('next', oldInfo.next, newInfo.next, toNewUrl);
+    compareField('metaRefresh', oldInfo.metaRefresh, newInfo.metaRefresh);
+    compareField('lang', oldInfo.lang, newInfo.lang);
     compareField('robots', oldInfo.robots, newInfo.robots);
+    compareField('xRobotsTag', oldInfo.xRobotsTag, newInfo.xRobotsTag);
     compareField('ogTitle', oldInfo.ogTitle, newInfo.ogTitle);
     compareField('ogDescription', oldInfo.ogDescription, newInfo.ogDescription);
     compareField('ogImage', oldInfo.ogImage, newInfo.ogImage);
     compareField('twitterCard', oldInfo.twitterCard, newInfo.twitterCard);
     compareField('twitterTitle', oldInfo.twitterTitle, newInfo.twitterTitle);
     compareField('twitterDescription', oldInfo.twitterDescription, newInfo.twitterDescription);
+    this.extractors.forEach(extractor => {
+      compareField(extractor.name, (oldInfo.custom || {})[extractor.name] || '', (newInfo.custom || {})[extractor.name] || '');
+    });
+
+    // The full h1–h6 outline is diffed structurally, one change per heading
+    compareHeadings(oldInfo.headings, newInfo.headings).forEach(headingChange => {
+      differences.changes.push({
+        field: 'headings',
+        old: formatHeading(headingChange.old, headingChange.oldPosition),
+        new: formatHeading(headingChange.new, headingChange.newPosition),
+        type: 'content_change',
+        headingChange: headingChange.change
+      });
+    });
+
+    // Schema.org items are grouped by type and compared property by property
+    compareStructuredData(oldInfo.structuredData, newInfo.structuredData, toNewUrl).forEach(structuredDataChange => {
+      differences.changes.push({
+        field: 'structuredData',
+        old: structuredDataChange.old,
+        new: structuredDataChange.new,
+        type: 'content_change',
+        structuredDataChange: structuredDataChange.change,
+        path: structuredDataChange.path
+      });
+    });
+
+    // Body text is scored for similarity rather than compared verbatim
+    differences.content = compareContent(oldInfo.contentBlocks, newInfo.contentBlocks, this.contentThreshold);
+    if (differences.content.flagged) {
+      differences.changes.push({
+        field: 'content',
+        old: `${differences.content.oldWordCount} words`,
+        new: `${differences.content.newWordCount} words (${differences.content.similarity}% similar)`,
+        type: 'content_change'
+      });
+    }
 
+    differences.changes = differences.changes.filter(change => this.fieldFilter(change.field));
     return differences;
   }
 
+  // Creates a new run, or reopens an interrupted one when options.resume is set
+  startRun() {
+    if (this.options.resume) {
+      const manifest = loadRun(this.snapshotsDir, this.options.resume);
+      if (manifest.oldDomain !== this.oldDomain || manifest.newDomain !== this.newDomain) {
+        throw new Error(`Run ${manifest.runId} compared ${manifest.oldDomain} with ${manifest.newDomain}, not ${this.oldDomain} with ${this.newDomain}`);
+      }
+      // Runs recorded before modes existed were full comparisons
+      if ((manifest.mode || 'full') !== this.mode) {
+        throw new Error(`Run ${manifest.runId} was a ${manifest.mode || 'full'} comparison, not a ${this.mode} one`);
+      }
+      this.logger.log(`Resuming run: ${manifest.runId}`);
+      return manifest.runId;
+    }
+
+    const runId = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    if (!this.writeFiles) {
+      return runId;
+    }
+    createRun(this.snapshotsDir, runId, {
+      oldDomain: this.oldDomain,
+      newDomain: this.newDomain,
+      oldSnapshot: this.options.oldSnapshot || null,
+      newSnapshot: this.options.newSnapshot || null,
+      mode: this.mode,
+      sample: this.sample,
+      startedAt: new Date().toISOString()
+    });
+    this.logger.log(`Run ID: ${runId} (resume an interrupted run with --resume=${runId})`);
+    return runId;
+  }
+
+  // Discovers and crawls one site, returning data in the snapshot file format. Given the
+  // counterparts of another site's sample, crawls just those pages and the start page.
+  async captureWebsite(baseUrl, checkpoint = null, screenshotDir = null, counterparts = null) {
+    // Seed the crawl from robots.txt and sitemap.xml
+    const discovery = !counterparts && this.options.useSitemaps !== false ? await discoverSite(baseUrl, this.logger, this.signal) : null;
+    let seedUrls = counterparts || (discovery ? discovery.sitemap.urls : []);
+    let maxDepth = counterparts ? 0 : this.maxDepth;
+
+    // A random sample crawls sitemap URLs instead of following links from the start page
+    if (!counterparts && this.sample === 'random') {
+      const startUrl = this.normalizeUrl(baseUrl);
+      const candidates = Array.from(new Set(seedUrls.map(this.normalizeUrl)))
+        .filter(url => url !== startUrl && url.startsWith(baseUrl) && this.urlFilter(url));
+      if (candidates.length > 0) {
+        seedUrls = sampleUrls(candidates, this.maxPages - 1);
+        maxDepth = 0;
+      } else {
+        this.logger.log(`No sitemap URLs to sample on ${baseUrl}, sampling its shallowest pages instead`);
+      }
+    }
+    const crawlData = await this.crawlWebsite(baseUrl, seedUrls, checkpoint, screenshotDir, maxDepth);
+    // Counterparts are only guesses; the ones the site does not serve (and no page links to)
+    // stay unlisted, so they count as missing
+    if (counterparts) {
+      const served = (url) => {
+        const response = crawlData.responses[url.replace(/[^a-zA-Z0-9]/g, '_')];
+        return Boolean(response && response.status && response.status < 400);
+      };
+      crawlData.urls = crawlData.urls.filter(url => served(url) || (crawlData.sources[url] || []).includes('link'));
+    }
+
+    return Object.assign({
+      baseUrl: baseUrl,
+      createdAt: new Date().toISOString(),
+      deviceProfile: this.profiles[0].name
+    }, crawlData, { discovery });
+  }
+
+  // New-site URLs of the old pages a sample crawled, so the new crawl pairs up with it
+  counterparts(data) {
+    return Array.from(this.indexUrls(data.urls).entries())
+      .filter(([, url]) => data.snapshots[url.replace(/[^a-zA-Z0-9]/g, '_')])
+      .map(([normalized]) => this.urlMapper.map(normalized).url);
+  }
+
+  loadSnapshot(file, expectedBaseUrl) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Snapshot file not found: ${file}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid snapshot file ${file}: ${error.message}`);
+    }
+
+    if (!Array.isArray(data.urls) || !data.snapshots) {
+      throw new Error(`Invalid snapshot file ${file}: expected "urls" and "snapshots"`);
+    }
+
+    // Snapshots written before metadata was added only know their base URL from the CLI
+    if (!data.baseUrl && !expectedBaseUrl) {
+      throw new Error(`Snapshot ${file} does not record its base URL; pass the domain explicitly`);
+    }
+    if (data.baseUrl && expectedBaseUrl && data.baseUrl !== expectedBaseUrl) {
+      throw new Error(`Snapshot ${file} was taken of ${data.baseUrl}, not ${expectedBaseUrl}`);
+    }
+
+    this.logger.log(`Loaded snapshot of ${data.baseUrl || expectedBaseUrl} (${Object.keys(data.snapshots).length} pages) from ${file}`);
+    return Object.assign({ sources: {}, discovery: null }, data, {
+      baseUrl: data.baseUrl || expectedBaseUrl
+    });
+  }
+
+  // Crawls a single site and saves it for later comparisons
+  async snapshotWebsite(baseUrl, outputFile = null) {
+    this.logger.log(`Taking snapshot of: ${baseUrl}`);
+    await this.initialize();
+
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      const host = new URL(baseUrl).host.replace(/[^a-zA-Z0-9]/g, '_');
+      const screenshotDir = this.options.screenshots
+        ? path.join(this.snapshotsDir, 'screenshots', `site_${host}_${timestamp}`)
+        : null;
+      const data = await this.captureWebsite(baseUrl, null, screenshotDir);
+      const file = outputFile || path.join(this.snapshotsDir, `site_${host}_${timestamp}.json`);
+
+      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+      this.logger.log(`\nSnapshot saved to: ${file}`);
+      return file;
+    } finally {
+      await this.close();
+    }
+  }
+
   async compareWebsites() {
-    console.log('Starting website migration comparison...');
-    console.log(`Old Domain: ${this.oldDomain}`);
-    console.log(`New Domain: ${this.newDomain}`);
+    const startedAt = Date.now();
+    // Stored snapshots replace a live crawl and can supply the domain themselves
+    const oldSnapshot = this.options.oldSnapshot ? this.loadSnapshot(this.options.oldSnapshot, this.oldDomain) : null;
+    const newSnapshot = this.options.newSnapshot ? this.loadSnapshot(this.options.newSnapshot, this.newDomain) : null;
+    this.oldDomain = this.oldDomain || oldSnapshot.baseUrl;
+    this.newDomain = this.newDomain || newSnapshot.baseUrl;
+    this.urlMapper.oldDomain = this.oldDomain;
+    this.urlMapper.newDomain = this.newDomain;
+
+    this.logger.log(`Starting ${this.mode === 'quick' ? 'quick ' : ''}website migration comparison...`);
+    this.logger.log(`Old Domain: ${this.oldDomain}${oldSnapshot ? ` (snapshot: ${this.options.oldSnapshot})` : ''}`);
+    this.logger.log(`New Domain: ${this.newDomain}${newSnapshot ? ` (snapshot: ${this.options.newSnapshot})` : ''}`);
+
+    // The run ID doubles as the timestamp in output file names
+    const runId = this.startRun();
+    const timestamp = runId;
 
     await this.initialize();
 
     try {
-      // Crawl both websites
-      console.log('\n=== Crawling Old Website ===');
-      const oldData = await this.crawlWebsite(this.oldDomain);
-      
-      console.log('\n=== Crawling New Website ===');
-      const newData = await this.crawlWebsite(this.newDomain);
+      const liveSites = [!oldSnapshot && 'Old', !newSnapshot && 'New'].filter(Boolean);
+      if (liveSites.length > 0) {
+        const sample = this.sample ? `, ${this.describeSample()}` : '';
+        this.logger.log(`\n=== Crawling ${liveSites.join(' and ')} Website${liveSites.length > 1 ? 's' : ''} (concurrency ${this.concurrency} each${sample}) ===`);
+      }
 
-      // Save snapshots
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-      
-      fs.writeFileSync(
-        path.join(this.snapshotsDir, `old_website_${timestamp}.json`),
-        JSON.stringify(oldData, null, 2)
-      );
+      // Screenshots outlive the run checkpoint because saved snapshots point at them
+      const screenshotDir = (side) => this.options.screenshots
+        ? path.join(this.snapshotsDir, 'screenshots', runId, side)
+        : null;
+
+      // Crawl live sites in parallel; checkpoints let an interrupted run resume. The new
+      // site's pages of a random sample depend on the old site's, so those crawl in turn.
+      const checkpoint = (side) => this.writeFiles
+        ? new CrawlCheckpoint(path.join(runDir(this.snapshotsDir, runId), side))
+        : null;
+      let oldData;
+      let newData;
+      if (this.sample === 'random') {
+        oldData = oldSnapshot || await this.captureWebsite(this.oldDomain, checkpoint('old'), screenshotDir('old'));
+        newData = newSnapshot || await this.captureWebsite(this.newDomain, checkpoint('new'), screenshotDir('new'), this.counterparts(oldData));
+      } else {
+        // Both crawls settle before a failure is rethrown, so neither still uses the browser
+        // once the run has ended (an aborted run stops them both)
+        const crawls = await Promise.allSettled([
+          oldSnapshot || this.captureWebsite(this.oldDomain, checkpoint('old'), screenshotDir('old')),
+          newSnapshot || this.captureWebsite(this.newDomain, checkpoint('new'), screenshotDir('new'))
+        ]);
+        const failed = crawls.find(crawl => crawl.status === 'rejected');
+        if (failed) {
+          throw failed.reason;
+        }
+        [oldData, newData] = crawls.map(crawl => crawl.value);
+      }
+      const oldDiscovery = oldData.discovery;
+      const newDiscovery = newData.discovery;
+
+      // Save snapshots of the live crawls
+      if (this.writeFiles && !oldSnapshot) {
+        fs.writeFileSync(
+          path.join(this.snapshotsDir, `${this.filePrefix}old_website_${timestamp}.json`),
+          JSON.stringify(oldData, null, 2)
+        );
+      }
       
-      fs.writeFileSync(
-        path.join(this.snapshotsDir, `new_website_${timestamp}.json`),
-        JSON.stringify(newData, null, 2)
-      );
+      if (this.writeFiles && !newSnapshot) {
+        fs.writeFileSync(
+          path.join(this.snapshotsDir, `${this.filePrefix}new_website_${timestamp}.json`),
+          JSON.stringify(newData, null, 2)
+        );
+      }
 
-      // Convert old URLs to new domain format for comparison
-      const oldUrlsConverted = oldData.urls.map(url => 
-        url.replace(this.oldDomain, this.newDomain)
-      );
+      // Pair old URLs with their new counterparts using the mapping rules. URLs are matched
+      // in normalized form, so snapshots crawled with other settings still line up.
+      const oldIndex = this.indexUrls(oldData.urls);
+      const newIndex = this.indexUrls(newData.urls);
+      const urlPairs = Array.from(oldIndex.entries()).map(([normalized, oldUrl]) => {
+        const mapped = this.urlMapper.map(normalized);
+        const target = this.normalizeUrl(mapped.url);
+        return { oldUrl: oldUrl, newUrl: newIndex.get(target) || target, rule: mapped.rule };
+      });
+      const oldUrlsConverted = new Set(urlPairs.map(pair => this.normalizeUrl(pair.newUrl)));
 
       // Find missing URLs
-      const missingUrls = oldUrlsConverted.filter(url => !newData.urls.includes(url));
-      const newUrls = newData.urls.filter(url => !oldUrlsConverted.includes(url));
+      const missingUrls = urlPairs.filter(pair => !newIndex.has(this.normalizeUrl(pair.newUrl))).map(pair => pair.newUrl);
+      const newUrls = Array.from(newIndex.entries()).filter(([normalized]) => !oldUrlsConverted.has(normalized)).map(([, url]) => url);
 
       // Compare common pages
-      const commonUrls = oldData.urls.filter(url => 
-        newData.urls.includes(url.replace(this.oldDomain, this.newDomain))
-      );
+      const commonPairs = urlPairs.filter(pair => newIndex.has(this.normalizeUrl(pair.newUrl)));
 
-      const pageComparisons = [];
-      
-      for (const oldUrl of commonUrls) {
-        const newUrl = oldUrl.replace(this.oldDomain, this.newDomain);
-        const oldUrlKey = oldUrl.replace(/[^a-zA-Z0-9]/g, '_');
-        const newUrlKey = newUrl.replace(/[^a-zA-Z0-9]/g, '_');
-
-        if (oldData.snapshots[oldUrlKey] && newData.snapshots[newUrlKey]) {
-          const oldInfo = await this.extractPageInfo(oldData.snapshots[oldUrlKey], oldUrl);
-          const newInfo = await this.extractPageInfo(newData.snapshots[newUrlKey], newUrl);
-          
-          const comparison = this.comparePageInfo(oldInfo, newInfo, newUrl);
-          if (comparison.changes.length > 0) {
-            pageComparisons.push(comparison);
-          }
+      // Old and new are compared once per device profile; the primary profile fills the main report
+      const visualDir = path.join(this.resultsDir, `visual_${timestamp}`);
+      const [primaryProfile, ...secondaryProfiles] = this.profiles;
+      [['old', oldData], ['new', newData]].forEach(([label, data]) => {
+        if (!this.profileData(data, primaryProfile)) {
+          const captured = [data.deviceProfile || 'desktop'].concat(Object.keys(data.deviceProfiles || {}));
+          throw new Error(`The ${label} snapshot was not captured with the ${primaryProfile.name} profile (captured: ${captured.join(', ')})`);
+        }
+      });
+      const {
+        pageComparisons,
+        contentScores,
+        headingWarnings,
+        linkTagIssues,
+        structuredDataErrors,
+        visualScores,
+        assetScores,
+        performanceScores,
+        accessibilityScores,
+        newPageInfo
+      } = await this.comparePages(commonPairs, oldData, newData, primaryProfile, visualDir);
+
+      let deviceProfiles = null;
+      if (secondaryProfiles.length > 0) {
+        deviceProfiles = {
+          primary: primaryProfile.name,
+          profiles: this.profiles,
+          sites: {},
+          crossProfile: {}
+        };
+        for (const profile of secondaryProfiles) {
+          deviceProfiles.sites[profile.name] = await this.compareProfile(commonPairs, oldData, newData, profile, path.join(visualDir, profile.name));
+          deviceProfiles.crossProfile[profile.name] = await this.compareProfilesOnSite(newData, primaryProfile, profile, newPageInfo);
         }
       }
 
+      // Internal link graph: broken links, links to the old domain, lost inbound links and anchor text
+      let linkAnalysis = null;
+      if (oldData.linkGraph && newData.linkGraph) {
+        linkAnalysis = analyzeLinkGraph({
+          oldGraph: oldData.linkGraph,
+          newGraph: newData.linkGraph,
+          oldBaseUrl: this.oldDomain,
+          newBaseUrl: this.newDomain,
+          mapUrl: url => this.urlMapper.map(url).url,
+          normalizeUrl: this.normalizeUrl,
+          // A sample leaves most link targets uncrawled, so quick runs do not request them
+          targetStatus: await this.resolveLinkStatuses(newData, !newSnapshot && this.mode !== 'quick')
+        });
+      } else {
+        this.logger.log('\nSkipping link graph analysis: a snapshot was taken before links were recorded');
+      }
+
+      // Resources are inventoried site-wide on the new site; page weight is compared per page pair
+      let assetAnalysis = null;
+      if (newData.resources && assetScores.length > 0) {
+        assetAnalysis = this.summarizeAssets(assetScores, newData);
+      }
+
+      // Lab metrics were measured during the crawl; snapshots taken before then have none
+      let performanceAnalysis = null;
+      if (performanceScores.length > 0) {
+        performanceAnalysis = {
+          budgets: this.performanceBudgets,
+          pagesCompared: performanceScores.length,
+          pagesWithRegressions: performanceScores.filter(score => score.regressions.length > 0).length,
+          aggregate: aggregatePerformance(performanceScores),
+          pages: performanceScores
+        };
+      }
+
+      // Only issues the new site introduced are reported, not ones the old site already had
+      let accessibilityAnalysis = null;
+      if (accessibilityScores.length > 0) {
+        accessibilityAnalysis = this.summarizeAccessibility(accessibilityScores);
+      }
+
+      // Request every old URL on the new host and record the redirect chain
+      let redirects = null;
+      if (newSnapshot && this.options.checkRedirects !== false) {
+        this.logger.log('\nSkipping redirect verification: the new site comes from a snapshot');
+      } else if (this.options.checkRedirects !== false) {
+        this.logger.log('\n=== Verifying Redirects ===');
+        redirects = await this.redirectChecker.checkUrls(urlPairs.map(pair => ({
+          url: pair.oldUrl.replace(this.oldDomain, this.newDomain),
+          expectedUrl: pair.rule ? pair.newUrl : null
+        })), (done, total) => this.emit('progress', { stage: 'redirects', done: done, total: total }));
+      }
+
       // Generate results
       const results = {
+        schemaVersion: SCHEMA_VERSION,
         testInfo: {
           timestamp: new Date().toISOString(),
           oldDomain: this.oldDomain,
           newDomain: this.newDomain,
-          testDuration: `${Date.now() - Date.now()}ms`
+          mode: this.mode,
+          testType: this.mode === 'quick' ? 'simple_comparison' : undefined,
+          sample: this.sample || undefined,
+          deviceProfile: describeProfile(primaryProfile),
+          oldSource: oldSnapshot ? { type: 'snapshot', file: this.options.oldSnapshot, createdAt: oldData.createdAt || null } : { type: 'live' },
+          newSource: newSnapshot ? { type: 'snapshot', file: this.options.newSnapshot, createdAt: newData.createdAt || null } : { type: 'live' },
+          testDuration: `${Date.now() - startedAt}ms`
         },
         summary: {
-          oldWebsiteUrls: oldData.urls.length,
-          newWebsiteUrls: newData.urls.length,
+          oldWebsiteUrls: oldIndex.size,
+          newWebsiteUrls: newIndex.size,
           missingUrls: missingUrls.length,
           newUrls: newUrls.length,
-          pagesWithChanges: pageComparisons.length
+          mappedUrls: urlPairs.filter(pair => pair.rule).length,
+          pagesCompared: contentScores.length,
+          pagesWithChanges: pageComparisons.length,
+          pagesWithContentChanges: contentScores.filter(score => score.flagged).length,
+          pagesWithVisualChanges: visualScores.filter(score => score.flagged).length,
+          pagesWithPerformanceRegressions: performanceAnalysis ? performanceAnalysis.pagesWithRegressions : 0,
+          pagesWithAccessibilityRegressions: accessibilityAnalysis ? accessibilityAnalysis.pagesWithRegressions : 0,
+          pagesWithProfileDifferences: deviceProfiles
+            ? new Set([].concat(...Object.values(deviceProfiles.crossProfile).map(profile => (profile.pages || []).map(page => page.url)))).size
+            : 0
         },
+        severity: summarizeSeverity(pageComparisons, missingUrls, this.severities, this.classifySiteIssues({
+          redirects,
+          linkTagIssues,
+          structuredDataErrors,
+          linkAnalysis
+        })),
         missingUrls: missingUrls,
         newUrls: newUrls,
+        urlMapping: {
+          rulesLoaded: this.urlMapper.hasRules(),
+          mappedPairs: urlPairs.filter(pair => pair.rule).map(pair => ({
+            oldUrl: pair.oldUrl,
+            newUrl: pair.newUrl,
+            rule: describeRule(pair.rule),
+            foundOnNewSite: newIndex.has(this.normalizeUrl(pair.newUrl))
+          })),
+          unmappedUrls: this.urlMapper.hasRules()
+            ? urlPairs.filter(pair => !pair.rule).map(pair => pair.oldUrl)
+            : []
+        },
+        comparedUrls: contentScores.map(score => score.url),
         pageComparisons: pageComparisons,
+        contentAnalysis: {
+          threshold: this.contentThreshold,
+          pagesCompared: contentScores.length,
+          pagesBelowThreshold: contentScores.filter(score => score.flagged).length,
+          averageSimilarity: contentScores.length > 0
+            ? Math.round(contentScores.reduce((sum, score) => sum + score.similarity, 0) / contentScores.length * 10) / 10
+            : null,
+          pages: contentScores
+        },
+        visualAnalysis: visualScores.length > 0 || this.options.screenshots ? {
+          threshold: this.visualThreshold,
+          ignoreRegions: this.ignoreRegions,
+          pagesCompared: visualScores.length,
+          pagesAboveThreshold: visualScores.filter(score => score.flagged).length,
+          averageMismatch: visualScores.length > 0
+            ? Math.round(visualScores.reduce((sum, score) => sum + score.mismatch, 0) / visualScores.length * 100) / 100
+            : null,
+          pages: visualScores
+        } : null,
+        deviceProfiles: deviceProfiles,
+        linkAnalysis: linkAnalysis,
+        assetAnalysis: assetAnalysis,
+        performanceAnalysis: performanceAnalysis,
+        accessibilityAnalysis: accessibilityAnalysis,
+        headingWarnings: headingWarnings,
+        linkTagIssues: linkTagIssues,
+        structuredDataErrors: structuredDataErrors,
+        redirects: redirects,
+        discovery: oldDiscovery && newDiscovery ? {
+          old: this.summarizeDiscovery(oldDiscovery, oldData),
+          new: this.summarizeDiscovery(newDiscovery, newData),
+          diff: diffDiscovery(oldDiscovery, newDiscovery, url => this.urlMapper.map(url).url, this.normalizeUrl)
+        } : null,
         seoImpact: {
           pagesWithTitleChanges: pageComparisons.filter(p => 
             p.changes.some(c => c.field === 'title')
@@ -318,22 +980,46 @@ class MigrationComparator {
           ).length,
           pagesWithCanonicalChanges: pageComparisons.filter(p => 
             p.changes.some(c => c.field === 'canonical')
+          ).length,
+          pagesWithHeadingChanges: pageComparisons.filter(p => 
+            p.changes.some(c => c.field === 'headings')
+          ).length,
+          pagesWithH1Issues: headingWarnings.length,
+          pagesWithHreflangChanges: pageComparisons.filter(p => 
+            p.changes.some(c => c.field === 'hreflang')
+          ).length,
+          pagesWithRobotsChanges: pageComparisons.filter(p => 
+            p.changes.some(c => c.field === 'robots' || c.field === 'xRobotsTag')
+          ).length,
+          pagesWithLinkTagIssues: new Set(linkTagIssues.map(issue => issue.url)).size,
+          pagesWithStructuredDataChanges: pageComparisons.filter(p => 
+            p.changes.some(c => c.field === 'structuredData')
+          ).length,
+          pagesWithStructuredDataErrors: new Set(structuredDataErrors.map(error => error.url)).size,
+          brokenInternalLinkTargets: linkAnalysis ? linkAnalysis.brokenLinks.length : 0,
+          linkTargetsOnOldDomain: linkAnalysis ? linkAnalysis.oldDomainLinks.length : 0,
+          pagesWithInboundLinkDrops: linkAnalysis ? linkAnalysis.inboundDrops.length : 0,
+          newlyOrphanedPages: linkAnalysis ? linkAnalysis.orphanedPages.length : 0,
+          pagesWithImageChanges: pageComparisons.filter(p => 
+            p.changes.some(c => c.field === 'images' || c.field === 'imageAlt')
+          ).length,
+          pagesWithWeightRegressions: assetAnalysis ? assetAnalysis.weightRegressions.length : 0
+        },
+        customFields: this.extractors.length > 0 ? this.extractors.map(extractor => ({
+          name: extractor.name,
+          source: describeExtractor(extractor),
+          pagesWithChanges: pageComparisons.filter(p =>
+            p.changes.some(c => c.field === extractor.name)
           ).length
-        }
+        })) : null
       };
 
-      // Save results
-      const resultsFile = path.join(this.resultsDir, `migration_comparison_${timestamp}.json`);
-      fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
-
-      // Generate human-readable report
-      const reportFile = path.join(this.resultsDir, `migration_report_${timestamp}.md`);
-      this.generateHumanReadableReport(results, reportFile);
-
-      console.log('\n=== Comparison Complete ===');
-      console.log(`Results saved to: ${resultsFile}`);
-      console.log(`Report saved to: ${reportFile}`);
-      console.log(`Snapshots saved to: ${this.snapshotsDir}/`);
+      // Without files, the results are only returned
+      if (this.writeFiles) {
+        this.saveResults(results, { runId, timestamp, startedAt, oldData, newData, pairs: commonPairs, profile: primaryProfile });
+      } else {
+        this.logger.log(`\n=== ${this.mode === 'quick' ? 'Quick ' : ''}Comparison Complete ===`);
+      }
 
       return results;
 
@@ -342,128 +1028,1069 @@ class MigrationComparator {
     }
   }
 
-  generateHumanReadableReport(results, filename) {
-    let report = `# Web Delta Comparison Report
-
-## Test Information
+  // Writes the results, reports and exports of a finished run and records it in the history
+  saveResults(results, { runId, timestamp, startedAt, oldData, newData, pairs, profile }) {
+    // The HTML report links every changed page to its old and new HTML
+    const htmlReport = this.options.htmlReport !== false;
+    if (htmlReport) {
+      this.exportPageSnapshots(results.pageComparisons, pairs, oldData, newData, profile, path.join(this.resultsDir, `snapshots_${timestamp}`));
+    }
 
-- **Timestamp:** ${results.testInfo.timestamp}
-- **Old Domain:** ${results.testInfo.oldDomain}
-- **New Domain:** ${results.testInfo.newDomain}
+    // Save results
+    const resultsFile = path.join(this.resultsDir, `${this.filePrefix}migration_comparison_${timestamp}.json`);
+    fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
 
-## Summary
+    // Generate human-readable reports
+    const reportFile = path.join(this.resultsDir, `${this.filePrefix}migration_report_${timestamp}.md`);
+    this.generateHumanReadableReport(results, reportFile);
+    const htmlReportFile = path.join(this.resultsDir, `${this.filePrefix}migration_report_${timestamp}.html`);
+    if (htmlReport) {
+      fs.writeFileSync(htmlReportFile, renderHtmlReport(results, this.resultsDir, this.mode === 'quick' ? 'Web Delta Quick Comparison Report' : undefined));
+    }
+    const exportFiles = writeFormats(this.formatters, results, this.resultsDir, `${this.filePrefix}migration`, timestamp);
+    // A broken history file should not cost the results of a finished run
+    try {
+      recordRun(this.resultsDir, describeRun({
+        runId: runId,
+        mode: this.mode,
+        results: results,
+        files: {
+          results: path.basename(resultsFile),
+          report: path.basename(reportFile),
+          htmlReport: htmlReport ? path.basename(htmlReportFile) : null,
+          exports: exportFiles.map(file => path.basename(file))
+        },
+        startedAt: startedAt,
+        sites: { old: oldData, new: newData },
+        options: this.options
+      }));
+    } catch (error) {
+      this.logger.error('Error recording the run in the history:', error.message);
+    }
 
-| Metric | Count |
-|--------|-------|
-| Old Website URLs | ${results.summary.oldWebsiteUrls} |
-| New Website URLs | ${results.summary.newWebsiteUrls} |
-| Missing URLs | ${results.summary.missingUrls} |
-| New URLs | ${results.summary.newUrls} |
-| Pages with Changes | ${results.summary.pagesWithChanges} |
+    // The run finished, so its checkpoint is no longer needed
+    removeRun(this.snapshotsDir, runId);
 
-## SEO Impact Analysis
+    this.logger.log(`\n=== ${this.mode === 'quick' ? 'Quick ' : ''}Comparison Complete ===`);
+    this.logger.log(`Results saved to: ${resultsFile}`);
+    this.logger.log(`Report saved to: ${reportFile}`);
+    if (htmlReport) {
+      this.logger.log(`HTML report saved to: ${htmlReportFile}`);
+    }
+    exportFiles.forEach(file => this.logger.log(`Export saved to: ${file}`));
+    this.logger.log(`Snapshots saved to: ${this.snapshotsDir}/`);
+  }
 
-| Change Type | Affected Pages |
-|-------------|----------------|
-| Title Changes | ${results.seoImpact.pagesWithTitleChanges} |
-| Description Changes | ${results.seoImpact.pagesWithDescriptionChanges} |
-| Canonical Changes | ${results.seoImpact.pagesWithCanonicalChanges} |
+  // Writes the old and new HTML of every changed page, with a <base> so relative assets
+  // still load from the live sites when a file is opened
+  exportPageSnapshots(pageComparisons, pairs, oldData, newData, profile, outputDir) {
+    const oldSide = this.profileData(oldData, profile);
+    const newSide = this.profileData(newData, profile);
+    const pairsByUrl = new Map(pairs.map(pair => [pair.newUrl, pair]));
+    const withBase = (html, url) => {
+      if (/<base\s/i.test(html)) {
+        return html;
+      }
+      const base = `<base href="${url.replace(/"/g, '&quot;')}">`;
+      return /<head[^>]*>/i.test(html) ? html.replace(/<head[^>]*>/i, head => `${head}${base}`) : `${base}${html}`;
+    };
 
-## Missing URLs (${results.missingUrls.length})
+    pageComparisons.forEach((page, index) => {
+      const pair = pairsByUrl.get(page.url);
+      const oldHtml = pair && oldSide.snapshots[pair.oldUrl.replace(/[^a-zA-Z0-9]/g, '_')];
+      const newHtml = pair && newSide.snapshots[pair.newUrl.replace(/[^a-zA-Z0-9]/g, '_')];
+      if (!oldHtml || !newHtml) {
+        return;
+      }
+      fs.mkdirSync(outputDir, { recursive: true });
+      const files = {
+        old: path.join(outputDir, `page-${index + 1}-old.html`),
+        new: path.join(outputDir, `page-${index + 1}-new.html`)
+      };
+      fs.writeFileSync(files.old, withBase(oldHtml, pair.oldUrl));
+      fs.writeFileSync(files.new, withBase(newHtml, pair.newUrl));
+      page.snapshots = files;
+    });
+  }
 
-${results.missingUrls.length > 0 ? results.missingUrls.map((url, index) => `${index + 1}. \`${url}\``).join('\n') : '*No missing URLs found*'}
+  // Extracts and compares every common page as rendered with one device profile
+  async comparePages(pairs, oldData, newData, profile, visualDir) {
+    const oldSide = this.profileData(oldData, profile);
+    const newSide = this.profileData(newData, profile);
+    const pageComparisons = [];
+    const contentScores = [];
+    const headingWarnings = [];
+    const linkTagIssues = [];
+    const structuredDataErrors = [];
+    const visualScores = [];
+    const assetScores = [];
+    const performanceScores = [];
+    const accessibilityScores = [];
+    const newPageInfo = {};
+    
+    for (const [index, { oldUrl, newUrl, rule }] of pairs.entries()) {
+      throwIfAborted(this.signal);
+      const oldUrlKey = oldUrl.replace(/[^a-zA-Z0-9]/g, '_');
+      const newUrlKey = newUrl.replace(/[^a-zA-Z0-9]/g, '_');
 
-## New URLs (${results.newUrls.length})
+      if (oldSide.snapshots[oldUrlKey] && newSide.snapshots[newUrlKey]) {
+        const oldInfo = await this.extractPageInfo(oldSide.snapshots[oldUrlKey], oldUrl, (oldSide.responses || {})[oldUrlKey], profile);
+        const newInfo = await this.extractPageInfo(newSide.snapshots[newUrlKey], newUrl, (newSide.responses || {})[newUrlKey], profile);
+        // Kept for the cross-profile comparison, which reuses the primary profile's extraction
+        if (this.profiles.length > 1 && profile === this.profiles[0]) {
+          newPageInfo[newUrlKey] = newInfo;
+        }
+        
+        const comparison = this.comparePageInfo(oldInfo, newInfo, newUrl);
+        checkLinkTags(oldInfo, newInfo, this.oldDomain, this.newDomain).forEach(issue => {
+          linkTagIssues.push(Object.assign({ url: newUrl }, issue));
+        });
 
-${results.newUrls.length > 0 ? results.newUrls.map((url, index) => `${index + 1}. \`${url}\``).join('\n') : '*No new URLs found*'}
+        newInfo.structuredData.errors.forEach(error => {
+          structuredDataErrors.push(Object.assign({ url: newUrl }, error));
+        });
 
-## Pages with Changes (${results.pageComparisons.length})
+        const h1Warning = checkH1(newInfo.headings);
+        if (h1Warning) {
+          headingWarnings.push(Object.assign({
+            url: newUrl,
+            oldH1Count: oldInfo.headings.filter(heading => heading.level === 1).length
+          }, h1Warning));
+        }
 
-${results.pageComparisons.length > 0 ? results.pageComparisons.map((page, pageIndex) => {
-  const changesTable = page.changes.map((change, changeIndex) => {
-    return `| ${changeIndex + 1} | ${change.field} | ${change.old || '(empty)'} | ${change.new || '(empty)'} |`;
-  }).join('\n');
+        contentScores.push({
+          url: newUrl,
+          similarity: comparison.content.similarity,
+          flagged: comparison.content.flagged
+        });
 
-  return `### ${pageIndex + 1}. ${page.url}
+        // Pages are compared visually whenever both sides were screenshotted
+        const oldShot = (oldSide.screenshots || {})[oldUrlKey];
+        const newShot = (newSide.screenshots || {})[newUrlKey];
+        if (oldShot && newShot) {
+          const visual = this.compareScreenshots(oldShot, newShot, visualDir, `page-${visualScores.length + 1}`);
+          if (visual) {
+            visualScores.push(Object.assign({ url: newUrl }, visual));
+            if (visual.flagged) {
+              comparison.changes.push({
+                field: 'visual',
+                old: visual.oldSize,
+                new: `${visual.newSize} (${visual.mismatch}% of pixels changed)`,
+                type: 'visual_change'
+              });
+            }
+          }
+        }
 
-| # | Field | Old Value | New Value |
-|---|-------|-----------|-----------|
-${changesTable}
+        // Subresources are only recorded for the primary profile
+        const oldResources = (oldSide.resources || {})[oldUrlKey];
+        const newResources = (newSide.resources || {})[newUrlKey];
+        if (oldResources && newResources) {
+          const assets = comparePageAssets(
+            { resources: oldResources, images: oldInfo.images },
+            { resources: newResources, images: newInfo.images },
+            url => url.startsWith(this.oldDomain) ? this.urlMapper.map(url).url : url
+          );
+          assetScores.push(Object.assign({ url: newUrl }, assets));
+          this.assetChanges(assets).forEach(change => comparison.changes.push(change));
+        }
 
-**Total Changes:** ${page.changes.length}
-`;
-}).join('\n\n') : '*No pages with changes found*'}
+        // Performance metrics are only measured with the primary profile too
+        const oldMetrics = (oldSide.performance || {})[oldUrlKey];
+        const newMetrics = (newSide.performance || {})[newUrlKey];
+        if (oldMetrics && newMetrics) {
+          const metrics = comparePerformance(oldMetrics, newMetrics, this.performanceBudgets);
+          performanceScores.push(Object.assign({ url: newUrl }, metrics));
+          metrics.regressions.forEach(regression => {
+            comparison.changes.push({
+              field: 'performance',
+              old: formatMetric(regression.metric, regression.old),
+              new: `${formatMetric(regression.metric, regression.new)} (budget ${formatBudget(regression.metric, regression.budget)})`,
+              type: 'performance_change',
+              metric: METRICS[regression.metric].label
+            });
+          });
+        }
 
----
+        // So is the accessibility audit
+        const oldAudit = (oldSide.accessibility || {})[oldUrlKey];
+        const newAudit = (newSide.accessibility || {})[newUrlKey];
+        if (oldAudit && newAudit) {
+          const audit = compareAccessibility(oldAudit, newAudit, url => url.startsWith(this.oldDomain) ? this.urlMapper.map(url).url : url);
+          accessibilityScores.push(Object.assign({ url: newUrl }, audit));
+          this.accessibilityChanges(audit).forEach(change => comparison.changes.push(change));
+        }
 
-*Report generated on ${new Date().toLocaleString()}*
-`;
+        // Visual, asset, performance and accessibility changes are selected like page fields
+        comparison.changes = this.classifyChanges(comparison.changes.filter(change => this.fieldFilter(change.field)));
+        if (comparison.changes.length > 0) {
+          if (oldUrl.replace(this.oldDomain, this.newDomain) !== newUrl) {
+            comparison.oldUrl = oldUrl;
+          }
+          if (rule) {
+            comparison.mappingRule = describeRule(rule);
+          }
+          pageComparisons.push(comparison);
+        }
+        this.emit('page:compared', { url: newUrl, oldUrl: oldUrl, profile: profile.name, changes: comparison.changes });
+      }
+      this.emit('progress', { stage: 'compare', profile: profile.name, done: index + 1, total: pairs.length });
+    }
+
+    return {
+      pageComparisons,
+      contentScores,
+      headingWarnings,
+      linkTagIssues,
+      structuredDataErrors,
+      visualScores,
+      assetScores,
+      performanceScores,
+      accessibilityScores,
+      newPageInfo
+    };
+  }
+
+  classifyChanges(changes) {
+    changes.forEach(change => {
+      change.severity = severityOf(this.severities, change.field, change);
+    });
+    return changes;
+  }
+
+  // Grades site-wide issues like page changes, so they count towards --fail-on too
+  classifySiteIssues({ redirects, linkTagIssues, structuredDataErrors, linkAnalysis }) {
+    const issues = {
+      redirects: redirects ? [].concat(...redirects.results.map(result => result.issues)) : [],
+      linkTags: linkTagIssues,
+      structuredDataErrors: structuredDataErrors,
+      brokenLinks: linkAnalysis ? linkAnalysis.brokenLinks : []
+    };
+    Object.keys(issues).forEach(kind => {
+      issues[kind].forEach(issue => {
+        issue.severity = severityOf(this.severities, kind, issue);
+      });
+    });
+    return issues;
+  }
+
+  assetChanges(assets) {
+    const changes = [];
+    if (assets.weightRegression) {
+      changes.push({
+        field: 'pageWeight',
+        old: `${formatBytes(assets.oldWeight)} (${assets.oldRequests} requests)`,
+        new: `${formatBytes(assets.newWeight)} (${assets.newRequests} requests, ${assets.weightChange === null ? 'n/a' : `+${assets.weightChange}%`})`,
+        type: 'asset_change'
+      });
+    }
+    if (assets.missingImages.length > 0) {
+      changes.push({
+        field: 'images',
+        old: `${assets.missingImages.length} image(s): ${assets.missingImages.slice(0, 5).map(src => `\`${src}\``).join(', ')}${assets.missingImages.length > 5 ? ', …' : ''}`,
+        new: 'not found on new page',
+        type: 'asset_change'
+      });
+    }
+    assets.lostAlt.forEach(image => {
+      changes.push({
+        field: 'imageAlt',
+        old: `\`${image.oldSrc}\`: ${image.oldAlt}`,
+        new: `\`${image.newSrc}\`: (no alt text)`,
+        type: 'asset_change'
+      });
+    });
+    return changes;
+  }
+
+  // One change per accessibility rule with new issues on the page
+  accessibilityChanges(audit) {
+    return Object.keys(RULES).map(rule => {
+      const targets = audit.regressions.filter(issue => issue.rule === rule).map(issue => issue.target);
+      if (targets.length === 0) {
+        return null;
+      }
+      return {
+        field: 'accessibility',
+        old: `${audit.oldCounts[rule] || 0} issue(s)`,
+        new: `${audit.newCounts[rule] || 0} issue(s), new: ${targets.slice(0, 5).map(target => `\`${target}\``).join(', ')}${targets.length > 5 ? ', …' : ''}`,
+        type: 'accessibility_change',
+        rule: RULES[rule]
+      };
+    }).filter(Boolean);
+  }
+
+  summarizeAccessibility(accessibilityScores) {
+    const byRule = {};
+    Object.keys(RULES).forEach(rule => {
+      byRule[rule] = {
+        oldIssues: accessibilityScores.reduce((sum, score) => sum + (score.oldCounts[rule] || 0), 0),
+        newIssues: accessibilityScores.reduce((sum, score) => sum + (score.newCounts[rule] || 0), 0),
+        introduced: accessibilityScores.reduce((sum, score) => sum + score.regressions.filter(issue => issue.rule === rule).length, 0),
+        pagesWithRegressions: accessibilityScores.filter(score => score.regressions.some(issue => issue.rule === rule)).length
+      };
+    });
+
+    const pages = accessibilityScores.filter(score => score.regressions.length > 0);
+    return {
+      pagesCompared: accessibilityScores.length,
+      pagesWithRegressions: pages.length,
+      byRule: byRule,
+      pages: pages.map(score => ({ url: score.url, regressions: score.regressions }))
+    };
+  }
+
+  summarizeAssets(assetScores, newData) {
+    const pageUrls = {};
+    Object.keys(newData.linkGraph || {}).forEach(url => {
+      pageUrls[url.replace(/[^a-zA-Z0-9]/g, '_')] = url;
+    });
+
+    const byType = {};
+    assetScores.forEach(score => {
+      [['old', score.oldByType], ['new', score.newByType]].forEach(([side, types]) => {
+        Object.keys(types).forEach(type => {
+          byType[type] = byType[type] || { oldCount: 0, newCount: 0, oldBytes: 0, newBytes: 0 };
+          byType[type][`${side}Count`] += types[type].count;
+          byType[type][`${side}Bytes`] += types[type].bytes;
+        });
+      });
+    });
+
+    const oldTotal = assetScores.reduce((sum, score) => sum + score.oldWeight, 0);
+    const newTotal = assetScores.reduce((sum, score) => sum + score.newWeight, 0);
+
+    return Object.assign({
+      pagesCompared: assetScores.length,
+      oldTotalBytes: oldTotal,
+      newTotalBytes: newTotal,
+      totalChange: oldTotal > 0 ? Math.round((newTotal - oldTotal) / oldTotal * 100) : null,
+      byType: byType,
+      weightRegressions: assetScores
+        .filter(score => score.weightRegression)
+        .map(score => ({ url: score.url, oldWeight: score.oldWeight, newWeight: score.newWeight, change: score.weightChange }))
+        .sort((a, b) => (b.newWeight - b.oldWeight) - (a.newWeight - a.oldWeight)),
+      pagesWithMissingImages: assetScores.filter(score => score.missingImages.length > 0).length,
+      missingImages: assetScores.reduce((sum, score) => sum + score.missingImages.length, 0),
+      imagesWithLostAlt: assetScores.reduce((sum, score) => sum + score.lostAlt.length, 0)
+    }, findAssetIssues(newData.resources, pageUrls, this.oldDomain, this.newDomain));
+  }
+
+  // Status of every internal link target: crawled pages use their crawl response, and
+  // the rest are requested when the site is live
+  async resolveLinkStatuses(data, checkUncrawled) {
+    const statuses = {};
+    const uncrawled = [];
+
+    internalTargets(data.linkGraph, data.baseUrl).forEach(url => {
+      const response = (data.responses || {})[url.replace(/[^a-zA-Z0-9]/g, '_')];
+      if (response && response.status) {
+        statuses[url] = { status: response.status, error: null };
+      } else {
+        uncrawled.push(url);
+      }
+    });
+
+    if (checkUncrawled && uncrawled.length > 0) {
+      const targets = uncrawled.slice(0, MAX_LINK_CHECKS);
+      this.logger.log(`\n=== Checking ${targets.length} Uncrawled Link Target${targets.length > 1 ? 's' : ''} ===`);
+      if (uncrawled.length > targets.length) {
+        this.logger.log(`Skipping ${uncrawled.length - targets.length} more (limit ${MAX_LINK_CHECKS})`);
+      }
+
+      for (const url of targets) {
+        throwIfAborted(this.signal);
+        const { chain, loop, error } = await this.redirectChecker.followChain(url);
+        const final = chain[chain.length - 1];
+        statuses[url] = {
+          status: final ? final.status : null,
+          error: error || (loop ? 'Redirect loop' : null)
+        };
+      }
+    }
+
+    return statuses;
+  }
+
+  // Returns the snapshots, responses and screenshots a crawl captured with one profile
+  profileData(data, profile) {
+    if (profile.name === (data.deviceProfile || 'desktop')) {
+      return data;
+    }
+    return (data.deviceProfiles || {})[profile.name] || null;
+  }
+
+  // Old vs new for a secondary profile
+  async compareProfile(pairs, oldData, newData, profile, visualDir) {
+    const missing = [['old', oldData], ['new', newData]]
+      .filter(([, data]) => !this.profileData(data, profile))
+      .map(([label]) => label);
+    if (missing.length > 0) {
+      const reason = `the ${missing.join(' and ')} site was not captured with this profile`;
+      this.logger.log(`\nSkipping ${profile.name} comparison: ${reason}`);
+      return { skipped: reason };
+    }
+
+    this.logger.log(`\n=== Comparing Pages (${profile.name}) ===`);
+    const result = await this.comparePages(pairs, oldData, newData, profile, visualDir);
+    return {
+      pagesCompared: result.contentScores.length,
+      pagesWithChanges: result.pageComparisons.length,
+      pagesBelowContentThreshold: result.contentScores.filter(score => score.flagged).length,
+      pagesAboveVisualThreshold: result.visualScores.filter(score => score.flagged).length,
+      headingWarnings: result.headingWarnings,
+      linkTagIssues: result.linkTagIssues,
+      pageComparisons: result.pageComparisons
+    };
+  }
+
+  // Compares one site as rendered with the primary profile against a secondary profile,
+  // catching markup served differently to mobile devices or bots
+  async compareProfilesOnSite(data, baseline, profile, baselineInfo = {}) {
+    const baselineSide = this.profileData(data, baseline);
+    const side = this.profileData(data, profile);
+    if (!side) {
+      return { baseline: baseline.name, skipped: 'the new site was not captured with this profile' };
+    }
+
+    this.logger.log(`\n=== Comparing ${baseline.name} and ${profile.name} on ${data.baseUrl} ===`);
+    const pages = [];
+    let pagesCompared = 0;
+
+    for (const url of data.urls) {
+      throwIfAborted(this.signal);
+      const urlKey = url.replace(/[^a-zA-Z0-9]/g, '_');
+      if (!baselineSide.snapshots[urlKey] || !side.snapshots[urlKey]) {
+        continue;
+      }
+
+      const baseInfo = baselineInfo[urlKey] ||
+        await this.extractPageInfo(baselineSide.snapshots[urlKey], url, (baselineSide.responses || {})[urlKey], baseline);
+      const info = await this.extractPageInfo(side.snapshots[urlKey], url, (side.responses || {})[urlKey], profile);
+      pagesCompared++;
+
+      const comparison = this.comparePageInfo(baseInfo, info, url);
+      this.classifyChanges(comparison.changes);
+      if (comparison.changes.length > 0) {
+        comparison.contentHidden = comparison.content.flagged &&
+          comparison.content.newWordCount < comparison.content.oldWordCount;
+        pages.push(comparison);
+      }
+    }
+
+    return {
+      baseline: baseline.name,
+      pagesCompared: pagesCompared,
+      pagesWithDifferences: pages.length,
+      pagesWithContentHidden: pages.filter(page => page.contentHidden).length,
+      pages: pages
+    };
+  }
+
+  compareScreenshots(oldShot, newShot, outputDir, name) {
+    try {
+      const result = diffScreenshots(oldShot, newShot, outputDir, name);
+      return {
+        mismatch: result.mismatch,
+        flagged: result.mismatch > this.visualThreshold,
+        oldSize: result.oldSize,
+        newSize: result.newSize,
+        truncated: Boolean(oldShot.truncated || newShot.truncated),
+        ignoredRegions: result.ignoredRegions,
+        oldScreenshot: oldShot.file,
+        newScreenshot: newShot.file,
+        diffImage: result.files.diff,
+        thumbnails: {
+          old: result.files.oldThumbnail,
+          new: result.files.newThumbnail,
+          diff: result.files.diffThumbnail
+        }
+      };
+    } catch (error) {
+      this.reportError(`Error comparing screenshots ${oldShot.file} and ${newShot.file}:`, error, { stage: 'visual' });
+      return null;
+    }
+  }
+
+  summarizeDiscovery(discovery, crawlData) {
+    const sourceCounts = {};
+    Object.values(crawlData.sources).forEach(sources => {
+      sources.forEach(source => {
+        sourceCounts[source] = (sourceCounts[source] || 0) + 1;
+      });
+    });
+
+    return {
+      robotsUrl: discovery.robots.url,
+      robotsFound: discovery.robots.found,
+      sitemaps: discovery.sitemap.sitemaps,
+      sitemapErrors: discovery.sitemap.errors,
+      sitemapUrls: discovery.sitemap.urls.length,
+      urlsBySource: sourceCounts,
+      sitemapOnlyUrls: Object.keys(crawlData.sources).filter(url =>
+        !crawlData.sources[url].includes('link') && !crawlData.sources[url].includes('start')
+      ).length
+    };
+  }
+
+  // "up to 10 pages per site, by link depth"
+  describeSample() {
+    return `up to ${this.maxPages} pages per site, ${this.sample === 'random' ? 'random sitemap URLs' : 'by link depth'}`;
+  }
+
+  generateHumanReadableReport(results, filename) {
+    let report = `# Web Delta ${this.mode === 'quick' ? 'Quick ' : ''}Comparison Report
+
+## Test Information
+
+- **Timestamp:** ${results.testInfo.timestamp}
+- **Mode:** ${this.mode}${this.sample ? ` (${this.describeSample()})` : ''}
+- **Old Domain:** ${results.testInfo.oldDomain}${this.describeSource(results.testInfo.oldSource)}
+- **New Domain:** ${results.testInfo.newDomain}${this.describeSource(results.testInfo.newSource)}
+- **Device Profile:** ${results.testInfo.deviceProfile}${results.deviceProfiles ? ` (also rendered as ${results.deviceProfiles.profiles.slice(1).map(describeProfile).join(', ')})` : ''}
+
+## Summary
+
+| Metric | Count |
+|--------|-------|
+| Old Website URLs | ${results.summary.oldWebsiteUrls} |
+| New Website URLs | ${results.summary.newWebsiteUrls} |
+| Missing URLs | ${results.summary.missingUrls} |
+| New URLs | ${results.summary.newUrls} |
+| Mapped URLs | ${results.summary.mappedUrls} |
+| Pages with Changes | ${results.summary.pagesWithChanges} |
+| Critical Issues | ${results.severity.issues.critical} |
+| Warnings | ${results.severity.issues.warning} |
+| Info | ${results.severity.issues.info} |
+| Pages Below Content Similarity Threshold (${results.contentAnalysis.threshold}%) | ${results.summary.pagesWithContentChanges} |
+| Average Content Similarity | ${results.contentAnalysis.averageSimilarity === null ? 'n/a' : `${results.contentAnalysis.averageSimilarity}%`} |
+${results.deviceProfiles ? `| Pages Differing Between Device Profiles (New Site) | ${results.summary.pagesWithProfileDifferences} |
+` : ''}${results.visualAnalysis ? `| Pages Above Visual Mismatch Threshold (${results.visualAnalysis.threshold}%) | ${results.summary.pagesWithVisualChanges} |
+` : ''}${results.performanceAnalysis ? `| Pages Over Performance Budgets | ${results.summary.pagesWithPerformanceRegressions} |
+` : ''}${results.accessibilityAnalysis ? `| Pages with New Accessibility Issues | ${results.summary.pagesWithAccessibilityRegressions} |
+` : ''}
+## SEO Impact Analysis
+
+| Change Type | Affected Pages |
+|-------------|----------------|
+| Title Changes | ${results.seoImpact.pagesWithTitleChanges} |
+| Description Changes | ${results.seoImpact.pagesWithDescriptionChanges} |
+| Canonical Changes | ${results.seoImpact.pagesWithCanonicalChanges} |
+| Heading Outline Changes | ${results.seoImpact.pagesWithHeadingChanges} |
+| Missing or Multiple H1 (New Site) | ${results.seoImpact.pagesWithH1Issues} |
+| Hreflang Changes | ${results.seoImpact.pagesWithHreflangChanges} |
+| Robots / X-Robots-Tag Changes | ${results.seoImpact.pagesWithRobotsChanges} |
+| Canonical / Link Tag Issues (New Site) | ${results.seoImpact.pagesWithLinkTagIssues} |
+| Structured Data Changes | ${results.seoImpact.pagesWithStructuredDataChanges} |
+| Invalid JSON-LD (New Site) | ${results.seoImpact.pagesWithStructuredDataErrors} |
+${results.linkAnalysis ? `| Broken Internal Link Targets (New Site) | ${results.seoImpact.brokenInternalLinkTargets} |
+| Link Targets Still on Old Domain (New Site) | ${results.seoImpact.linkTargetsOnOldDomain} |
+| Pages with Inbound Link Drops | ${results.seoImpact.pagesWithInboundLinkDrops} |
+| Newly Orphaned Pages | ${results.seoImpact.newlyOrphanedPages} |
+` : ''}${results.assetAnalysis ? `| Missing Images or Lost Alt Text | ${results.seoImpact.pagesWithImageChanges} |
+| Page Weight Regressions | ${results.seoImpact.pagesWithWeightRegressions} |
+` : ''}
+${this.renderCustomFieldsSection(results.customFields)}## Missing URLs (${results.missingUrls.length})
+
+${results.missingUrls.length > 0 ? results.missingUrls.map((url, index) => `${index + 1}. \`${url}\``).join('\n') : '*No missing URLs found*'}
+
+## New URLs (${results.newUrls.length})
+
+${results.newUrls.length > 0 ? results.newUrls.map((url, index) => `${index + 1}. \`${url}\``).join('\n') : '*No new URLs found*'}
+
+${this.renderVisualSection(results.visualAnalysis, path.dirname(filename))}${this.renderDeviceProfilesSection(results.deviceProfiles)}${this.renderLinkAnalysisSection(results.linkAnalysis)}${this.renderAssetSection(results.assetAnalysis)}${this.renderPerformanceSection(results.performanceAnalysis)}${this.renderAccessibilitySection(results.accessibilityAnalysis)}${this.renderLinkTagIssuesSection(results.linkTagIssues)}${this.renderStructuredDataErrorsSection(results.structuredDataErrors)}${this.renderHeadingWarningsSection(results.headingWarnings)}${this.renderUrlMappingSection(results.urlMapping)}${this.renderRedirectsSection(results.redirects)}${this.renderDiscoverySection(results.discovery)}## Pages with Changes (${results.pageComparisons.length})
+
+${results.pageComparisons.length > 0 ? results.pageComparisons.map((page, pageIndex) => this.renderPageChanges(page, pageIndex)).join('\n\n') : '*No pages with changes found*'}
+
+---
+
+*Report generated on ${new Date().toLocaleString()}*
+`;
 
     fs.writeFileSync(filename, report);
   }
-}
 
-// CLI argument parsing
-function parseArguments() {
-  const args = process.argv.slice(2);
-  const options = {};
-  
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    if (arg.startsWith('--')) {
-      const [key, value] = arg.slice(2).split('=');
-      options[key] = value;
-    } else if (arg.startsWith('-')) {
-      const key = arg.slice(1);
-      const value = args[i + 1];
-      if (value && !value.startsWith('-')) {
-        options[key] = value;
-        i++; // Skip next argument as it's the value
+  renderPageChanges(page, pageIndex, heading = '###', columns = ['Old Value', 'New Value']) {
+    // Pipes and line breaks in values would otherwise break the table
+    const cell = (value) => value || value === 0 ? String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>') : '(empty)';
+    const changesTable = page.changes.map((change, changeIndex) => {
+      const detail = change.headingChange || change.metric || change.rule || (change.structuredDataChange && `${change.structuredDataChange}: ${change.path}`);
+      const field = detail ? `${change.field} (${detail})` : change.field;
+      return `| ${changeIndex + 1} | ${change.severity} | ${field} | ${cell(change.old)} | ${cell(change.new)} |`;
+    }).join('\n');
+
+    const mappingNote = page.oldUrl
+      ? `**Old URL:** \`${page.oldUrl}\`${page.mappingRule ? ` (rule: ${page.mappingRule})` : ''}\n\n`
+      : '';
+
+    return `${heading} ${pageIndex + 1}. ${page.url}
+
+${mappingNote}| # | Severity | Field | ${columns[0]} | ${columns[1]} |
+|---|----------|-------|${'-'.repeat(columns[0].length + 2)}|${'-'.repeat(columns[1].length + 2)}|
+${changesTable}
+
+${this.renderContentDiff(page.content)}**Total Changes:** ${page.changes.length}
+`;
+  }
+
+  renderDeviceProfilesSection(deviceProfiles) {
+    if (!deviceProfiles) {
+      return '';
+    }
+
+    const primary = deviceProfiles.primary;
+    const sections = deviceProfiles.profiles.slice(1).map(profile => {
+      const site = deviceProfiles.sites[profile.name];
+      const cross = deviceProfiles.crossProfile[profile.name];
+
+      const siteSection = site.skipped
+        ? `*Old and new not compared: ${site.skipped}*`
+        : `| Metric | Count |
+|--------|-------|
+| Pages Compared | ${site.pagesCompared} |
+| Pages with Changes | ${site.pagesWithChanges} |
+| Pages Below Content Similarity Threshold | ${site.pagesBelowContentThreshold} |
+| Pages Above Visual Mismatch Threshold | ${site.pagesAboveVisualThreshold} |
+| Missing or Multiple H1 (New Site) | ${site.headingWarnings.length} |
+| Canonical / Link Tag Issues (New Site) | ${site.linkTagIssues.length} |
+
+${site.pageComparisons.map((page, index) => this.renderPageChanges(page, index, '####')).join('\n\n')}`;
+
+      const crossSection = cross.skipped
+        ? `*Not compared: ${cross.skipped}*`
+        : `${cross.pagesWithDifferences} of ${cross.pagesCompared} pages differ, ${cross.pagesWithContentHidden} with content hidden from ${profile.name}.
+
+${cross.pages.map((page, index) => this.renderPageChanges(page, index, '####', [primary, profile.name])).join('\n\n')}`;
+
+      return `### ${describeProfile(profile)}: Old vs New
+
+${siteSection}
+
+### ${profile.name} vs ${primary} on New Site
+
+${crossSection}`;
+    }).join('\n\n');
+
+    return `## Device Profiles
+
+${sections}
+
+`;
+  }
+
+  renderContentDiff(content) {
+    if (!content || !content.flagged) {
+      return '';
+    }
+
+    const labels = { removed: 'Removed', added: 'Added', modified: 'Modified' };
+    const excerpt = content.excerpt.map(hunk => `**${labels[hunk.type]}:**\n> ${hunk.text}`).join('\n\n');
+
+    return `**Content Similarity:** ${content.similarity}% (threshold ${content.threshold}%) — ${content.oldWordCount} → ${content.newWordCount} words, ${content.removedParagraphs} paragraph(s) removed, ${content.addedParagraphs} added, ${content.modifiedParagraphs} modified
+
+${excerpt}${content.truncated ? '\n\n*…further content changes omitted*' : ''}
+
+`;
+  }
+
+  renderVisualSection(visualAnalysis, reportDir) {
+    if (!visualAnalysis) {
+      return '';
+    }
+
+    // Image links are relative to the report so the results folder can be opened anywhere
+    const link = (file) => path.relative(reportDir, file).split(path.sep).join('/');
+    const image = (label, thumbnail, file) => `[![${label}](${link(thumbnail)})](${link(file)})`;
+    const flagged = visualAnalysis.pages
+      .filter(page => page.flagged)
+      .sort((a, b) => b.mismatch - a.mismatch);
+
+    const table = flagged.length > 0
+      ? `| # | URL | Mismatch | Old | New | Diff |
+|---|-----|----------|-----|-----|------|
+${flagged.map((page, index) => `| ${index + 1} | \`${page.url}\`${page.truncated ? ' (cut off)' : ''} | ${page.mismatch}% | ${image('old', page.thumbnails.old, page.oldScreenshot)} | ${image('new', page.thumbnails.new, page.newScreenshot)} | ${image('diff', page.thumbnails.diff, page.diffImage)} |`).join('\n')}`
+      : '*No pages exceed the visual mismatch threshold*';
+
+    return `## Visual Comparison (${flagged.length} of ${visualAnalysis.pagesCompared} pages above ${visualAnalysis.threshold}% mismatch)
+
+${visualAnalysis.averageMismatch === null ? '' : `**Average Mismatch:** ${visualAnalysis.averageMismatch}%${visualAnalysis.ignoreRegions.length > 0 ? ` — ignoring \`${visualAnalysis.ignoreRegions.join('`, `')}\`` : ''}
+
+`}${table}
+
+`;
+  }
+
+  renderLinkAnalysisSection(linkAnalysis) {
+    if (!linkAnalysis) {
+      return '';
+    }
+
+    const escape = (text) => (text || '').replace(/\|/g, '\\|');
+    const sources = (group) => group.sources
+      .map(source => `\`${source.source}\` ("${escape(source.text) || 'no text'}"${source.rel ? `, rel=${source.rel}` : ''})`)
+      .join('<br>') + (group.sourcePages > group.sources.length ? `<br>…and ${group.sourcePages - group.sources.length} more pages` : '');
+    const anchors = (list) => list.map(anchor => `"${escape(anchor.text)}" (${anchor.links})`).join(', ') || '-';
+
+    const brokenTable = linkAnalysis.brokenLinks.length > 0
+      ? `| # | Target | Status | Linked From |
+|---|--------|--------|-------------|
+${linkAnalysis.brokenLinks.map((group, index) => `| ${index + 1} | \`${group.url}\` | ${group.error || group.status} | ${sources(group)} |`).join('\n')}`
+      : '*No broken internal links found*';
+
+    const oldDomainTable = linkAnalysis.oldDomainLinks.length > 0
+      ? `| # | Target | Linked From |
+|---|--------|-------------|
+${linkAnalysis.oldDomainLinks.map((group, index) => `| ${index + 1} | \`${group.url}\` | ${sources(group)} |`).join('\n')}`
+      : '*No links point at the old domain*';
+
+    const dropsTable = linkAnalysis.inboundDrops.length > 0
+      ? `| # | URL | Followed Inbound Links (Old → New) | Change |
+|---|-----|------------------------------------|--------|
+${linkAnalysis.inboundDrops.map((drop, index) => `| ${index + 1} | \`${drop.url}\` | ${drop.oldInbound} → ${drop.newInbound} | ${drop.change}% |`).join('\n')}`
+      : '*No pages lost half or more of their inbound links*';
+
+    const orphanList = linkAnalysis.orphanedPages.length > 0
+      ? linkAnalysis.orphanedPages.map((page, index) => `${index + 1}. \`${page.url}\` (linked from ${page.oldInbound} old page(s))`).join('\n')
+      : '*No pages lost all of their inbound links*';
+
+    const anchorTable = linkAnalysis.anchorTextChanges.length > 0
+      ? `| # | URL | Inbound (Old → New) | Anchor Text Removed | Anchor Text Added |
+|---|-----|---------------------|---------------------|-------------------|
+${linkAnalysis.anchorTextChanges.map((change, index) => `| ${index + 1} | \`${change.url}\` | ${change.oldInbound} → ${change.newInbound} | ${anchors(change.removedAnchors)} | ${anchors(change.addedAnchors)} |`).join('\n')}`
+      : '*Anchor text to the most-linked pages is unchanged*';
+
+    return `## Internal Links (${linkAnalysis.oldLinks} old → ${linkAnalysis.newLinks} new)
+
+### Broken Internal Links on New Site (${linkAnalysis.brokenLinks.length})
+
+${brokenTable}
+
+### Links Still Pointing at the Old Domain (${linkAnalysis.oldDomainLinks.length})
+
+${oldDomainTable}
+
+### Inbound Internal Link Drops (${linkAnalysis.inboundDrops.length})
+
+${dropsTable}
+
+### Newly Orphaned Pages (${linkAnalysis.orphanedPages.length})
+
+${orphanList}
+
+### Anchor Text Changes for Most-Linked Pages (${linkAnalysis.anchorTextChanges.length})
+
+${anchorTable}
+
+`;
+  }
+
+  renderAssetSection(assetAnalysis) {
+    if (!assetAnalysis) {
+      return '';
+    }
+
+    const change = (oldValue, newValue) => {
+      if (oldValue === 0) {
+        return 'n/a';
       }
+      const percent = Math.round((newValue - oldValue) / oldValue * 100);
+      return `${percent >= 0 ? '+' : ''}${percent}%`;
+    };
+    const typeRows = Object.keys(assetAnalysis.byType).sort().map(type => {
+      const totals = assetAnalysis.byType[type];
+      return `| ${type} | ${totals.oldCount} → ${totals.newCount} | ${formatBytes(totals.oldBytes)} → ${formatBytes(totals.newBytes)} | ${change(totals.oldBytes, totals.newBytes)} |`;
+    }).join('\n');
+
+    const pages = (group) => group.examplePages.map(url => `\`${url}\``).join('<br>') +
+      (group.pages > group.examplePages.length ? `<br>…and ${group.pages - group.examplePages.length} more` : '');
+    const groupTable = (groups, empty, showStatus) => groups.length > 0
+      ? `| # | Resource | Type |${showStatus ? ' Status |' : ''} Pages |
+|---|----------|------|${showStatus ? '--------|' : ''}-------|
+${groups.map((group, index) => `| ${index + 1} | \`${group.url}\` | ${group.type} |${showStatus ? ` ${group.error || group.status} |` : ''} ${pages(group)} |`).join('\n')}`
+      : `*${empty}*`;
+
+    const regressions = assetAnalysis.weightRegressions.length > 0
+      ? `| # | URL | Old Weight | New Weight | Change |
+|---|-----|------------|------------|--------|
+${assetAnalysis.weightRegressions.map((page, index) => `| ${index + 1} | \`${page.url}\` | ${formatBytes(page.oldWeight)} | ${formatBytes(page.newWeight)} | ${page.change === null ? 'n/a' : `+${page.change}%`} |`).join('\n')}`
+      : '*No pages grew by more than 20% and 100 KB*';
+
+    return `## Assets & Page Weight (${assetAnalysis.pagesCompared} pages compared)
+
+**Total Weight of Compared Pages:** ${formatBytes(assetAnalysis.oldTotalBytes)} → ${formatBytes(assetAnalysis.newTotalBytes)}${assetAnalysis.totalChange === null ? '' : ` (${assetAnalysis.totalChange >= 0 ? '+' : ''}${assetAnalysis.totalChange}%)`}
+
+| Type | Requests (Old → New) | Bytes (Old → New) | Change |
+|------|----------------------|-------------------|--------|
+${typeRows}
+
+**Missing Images:** ${assetAnalysis.missingImages} on ${assetAnalysis.pagesWithMissingImages} page(s) — **Images That Lost Alt Text:** ${assetAnalysis.imagesWithLostAlt} (see each page's changes below)
+
+### Page Weight Regressions (${assetAnalysis.weightRegressions.length})
+
+${regressions}
+
+### Broken Assets on New Site (${assetAnalysis.brokenAssets.length})
+
+${groupTable(assetAnalysis.brokenAssets, 'No broken asset URLs', true)}
+
+### Assets Still Served from the Old Domain (${assetAnalysis.oldDomainAssets.length})
+
+${groupTable(assetAnalysis.oldDomainAssets, 'No assets hotlinked from the old domain', false)}
+
+### Mixed Content on New Site (${assetAnalysis.mixedContent.length})
+
+${groupTable(assetAnalysis.mixedContent, 'No insecure resources on HTTPS pages', false)}
+
+`;
+  }
+
+  renderPerformanceSection(performanceAnalysis) {
+    if (!performanceAnalysis) {
+      return '';
     }
+
+    const metrics = Object.keys(METRICS);
+    const aggregateRows = metrics.map(metric => {
+      const values = performanceAnalysis.aggregate[metric];
+      return `| ${METRICS[metric].label} | ${formatMetric(metric, values.oldMedian)} → ${formatMetric(metric, values.newMedian)} | ${formatMetric(metric, values.oldP95)} → ${formatMetric(metric, values.newP95)} | ${formatBudget(metric, performanceAnalysis.budgets[metric])} |`;
+    }).join('\n');
+
+    const regressionRows = [];
+    performanceAnalysis.pages.forEach(page => {
+      page.regressions.forEach(regression => {
+        regressionRows.push(`| ${regressionRows.length + 1} | \`${page.url}\` | ${METRICS[regression.metric].label} | ${formatMetric(regression.metric, regression.old)} | ${formatMetric(regression.metric, regression.new)} | ${formatBudget(regression.metric, regression.budget)} |`);
+      });
+    });
+    const regressions = regressionRows.length > 0
+      ? `| # | URL | Metric | Old | New | Budget |
+|---|-----|--------|-----|-----|--------|
+${regressionRows.join('\n')}`
+      : '*No page regressed beyond its budgets*';
+
+    return `## Performance (${performanceAnalysis.pagesCompared} pages compared)
+
+Lab metrics measured while crawling; budgets are the increase allowed per page.
+
+| Metric | Median (Old → New) | p95 (Old → New) | Budget |
+|--------|--------------------|-----------------|--------|
+${aggregateRows}
+
+### Pages Over Budget (${performanceAnalysis.pagesWithRegressions})
+
+${regressions}
+
+`;
   }
-  
-  return options;
-}
 
-// CLI usage
-if (require.main === module) {
-  const options = parseArguments();
-  
-  if (!options.old || !options.new) {
-    console.log('Website Migration Comparison Tool');
-    console.log('==================================');
-    console.log('');
-    console.log('Usage:');
-    console.log('  node migration-compare.js --old=<old-domain> --new=<new-domain>');
-    console.log('  node migration-compare.js -o <old-domain> -n <new-domain>');
-    console.log('');
-    console.log('Examples:');
-    console.log('  node migration-compare.js --old=https://oldwebsite.com --new=https://newwebsite.com');
-    console.log('  node migration-compare.js -o https://oldwebsite.com -n https://newwebsite.com');
-    console.log('');
-    console.log('Options:');
-    console.log('  --old, -o    Old website domain (required)');
-    console.log('  --new, -n    New website domain (required)');
-    console.log('');
-    console.log('Description:');
-    console.log('  Compares two websites and generates a detailed report of differences,');
-    console.log('  including missing URLs, content changes, and SEO impact analysis.');
-    process.exit(1);
-  }
-
-  const comparator = new MigrationComparator(options.old, options.new);
-  
-  comparator.compareWebsites()
-    .then(results => {
-      console.log('\nMigration comparison completed successfully!');
-      process.exit(0);
-    })
-    .catch(error => {
-      console.error('Error during comparison:', error);
-      process.exit(1);
+  renderAccessibilitySection(accessibilityAnalysis) {
+    if (!accessibilityAnalysis) {
+      return '';
+    }
+
+    const ruleRows = Object.keys(RULES).map(rule => {
+      const totals = accessibilityAnalysis.byRule[rule];
+      return `| ${RULES[rule]} | ${totals.oldIssues} → ${totals.newIssues} | ${totals.introduced} | ${totals.pagesWithRegressions} |`;
+    }).join('\n');
+
+    const pageRows = [];
+    accessibilityAnalysis.pages.forEach(page => {
+      Object.keys(RULES).forEach(rule => {
+        const targets = page.regressions.filter(issue => issue.rule === rule).map(issue => issue.target);
+        if (targets.length > 0) {
+          pageRows.push(`| ${pageRows.length + 1} | \`${page.url}\` | ${RULES[rule]} | ${targets.slice(0, 5).map(target => `\`${target}\``).join('<br>')}${targets.length > 5 ? `<br>…and ${targets.length - 5} more` : ''} |`);
+        }
+      });
     });
+    const pages = pageRows.length > 0
+      ? `| # | URL | Rule | New Issues |
+|---|-----|------|------------|
+${pageRows.join('\n')}`
+      : '*The new site introduced no accessibility issues*';
+
+    return `## Accessibility Regressions (${accessibilityAnalysis.pagesCompared} pages compared)
+
+Issues the old site already had are not counted as regressions.
+
+| Rule | Issues (Old → New) | Introduced | Pages Affected |
+|------|--------------------|------------|----------------|
+${ruleRows}
+
+### Pages with New Issues (${accessibilityAnalysis.pagesWithRegressions})
+
+${pages}
+
+`;
+  }
+
+  renderCustomFieldsSection(customFields) {
+    if (!customFields) {
+      return '';
+    }
+
+    return `## Custom Fields
+
+| Field | Extracted From | Affected Pages |
+|-------|----------------|----------------|
+${customFields.map(field => `| ${field.name} | ${field.source} | ${field.pagesWithChanges} |`).join('\n')}
+
+`;
+  }
+
+  renderLinkTagIssuesSection(linkTagIssues) {
+    if (linkTagIssues.length === 0) {
+      return '';
+    }
+
+    return `## Canonical & Link Tag Issues on New Site (${linkTagIssues.length})
+
+| # | URL | Tag | Value | Issue |
+|---|-----|-----|-------|-------|
+${linkTagIssues.map((issue, index) => `| ${index + 1} | \`${issue.url}\` | ${issue.tag} | ${issue.value ? `\`${issue.value}\`` : '(none)'} | ${issue.message} |`).join('\n')}
+
+`;
+  }
+
+  renderStructuredDataErrorsSection(structuredDataErrors) {
+    if (structuredDataErrors.length === 0) {
+      return '';
+    }
+
+    return `## Invalid Structured Data on New Site (${structuredDataErrors.length})
+
+${structuredDataErrors.map((error, index) => `${index + 1}. \`${error.url}\`: ${error.message}`).join('\n')}
+
+`;
+  }
+
+  renderHeadingWarningsSection(headingWarnings) {
+    if (headingWarnings.length === 0) {
+      return '';
+    }
+
+    return `## H1 Warnings on New Site (${headingWarnings.length})
+
+| # | URL | H1 Count (Old → New) | Issue |
+|---|-----|----------------------|-------|
+${headingWarnings.map((warning, index) => `| ${index + 1} | \`${warning.url}\` | ${warning.oldH1Count} → ${warning.h1Count} | ${warning.message} |`).join('\n')}
+
+`;
+  }
+
+  describeSource(source) {
+    if (!source || source.type !== 'snapshot') {
+      return '';
+    }
+    return ` (snapshot \`${source.file}\`${source.createdAt ? ` taken ${source.createdAt}` : ''})`;
+  }
+
+  renderUrlMappingSection(urlMapping) {
+    if (!urlMapping.rulesLoaded) {
+      return '';
+    }
+
+    const pairsTable = urlMapping.mappedPairs.length > 0
+      ? `| # | Old URL | New URL | Rule | Found on New Site |
+|---|---------|---------|------|-------------------|
+${urlMapping.mappedPairs.map((pair, index) => `| ${index + 1} | \`${pair.oldUrl}\` | \`${pair.newUrl}\` | ${pair.rule.replace(/\|/g, '\\|')} | ${pair.foundOnNewSite ? 'Yes' : 'No'} |`).join('\n')}`
+      : '*No URLs matched a mapping rule*';
+
+    const unmappedList = urlMapping.unmappedUrls.length > 0
+      ? urlMapping.unmappedUrls.map((url, index) => `${index + 1}. \`${url}\``).join('\n')
+      : '*All old URLs matched a mapping rule*';
+
+    return `## URL Mapping (${urlMapping.mappedPairs.length} mapped, ${urlMapping.unmappedUrls.length} not covered)
+
+${pairsTable}
+
+### Old URLs Not Covered by Any Rule (${urlMapping.unmappedUrls.length})
+
+${unmappedList}
+
+`;
+  }
+
+  renderDiscoverySection(discovery) {
+    if (!discovery) {
+      return '';
+    }
+
+    const { old: oldSite, new: newSite, diff } = discovery;
+    const sourceCount = (site, source) => site.urlsBySource[source] || 0;
+    const list = (items, empty) => items.length > 0
+      ? items.map((item, index) => `${index + 1}. \`${item}\``).join('\n')
+      : `*${empty}*`;
+
+    return `## Sitemap & Robots.txt Discovery
+
+| Metric | Old Website | New Website |
+|--------|-------------|-------------|
+| robots.txt Found | ${oldSite.robotsFound ? 'Yes' : 'No'} | ${newSite.robotsFound ? 'Yes' : 'No'} |
+| Sitemaps Fetched | ${oldSite.sitemaps.length} | ${newSite.sitemaps.length} |
+| Sitemap Errors | ${oldSite.sitemapErrors.length} | ${newSite.sitemapErrors.length} |
+| URLs in Sitemaps | ${oldSite.sitemapUrls} | ${newSite.sitemapUrls} |
+| URLs Found via Links | ${sourceCount(oldSite, 'link')} | ${sourceCount(newSite, 'link')} |
+| URLs Found via Sitemap | ${sourceCount(oldSite, 'sitemap')} | ${sourceCount(newSite, 'sitemap')} |
+| Sitemap-Only URLs | ${oldSite.sitemapOnlyUrls} | ${newSite.sitemapOnlyUrls} |
+
+### Robots.txt Rules Added (${diff.robots.addedRules.length})
+
+${list(diff.robots.addedRules, 'No rules added')}
+
+### Robots.txt Rules Removed (${diff.robots.removedRules.length})
+
+${list(diff.robots.removedRules, 'No rules removed')}
+
+### Old Sitemap URLs Missing from New Sitemap (${diff.sitemap.missingFromNewSitemap.length})
+
+${list(diff.sitemap.missingFromNewSitemap.map(pair => pair.newUrl), 'Every old sitemap URL is listed in the new sitemap')}
+
+### URLs Added to New Sitemap (${diff.sitemap.addedToNewSitemap.length})
+
+${list(diff.sitemap.addedToNewSitemap, 'No URLs added to the new sitemap')}
+
+`;
+  }
+
+  renderRedirectsSection(redirects) {
+    if (!redirects) {
+      return '';
+    }
+
+    const summary = redirects.summary;
+    const withIssues = redirects.results.filter(r => r.issues.length > 0);
+
+    const issuesList = withIssues.length > 0
+      ? withIssues.map((result, index) => {
+        const chain = result.chain.map(step => `${step.status} \`${step.url}\``).join(' → ');
+        const issues = result.issues.map(issue => `- **${issue.type}**: ${issue.message}`).join('\n');
+        return `### ${index + 1}. ${result.url}
+
+**Chain:** ${chain || '(no response)'}
+
+${issues}`;
+      }).join('\n\n')
+      : '*All old URLs resolve cleanly on the new site*';
+
+    return `## Redirect Verification (${summary.urlsWithIssues} with issues)
+
+| Check | Count |
+|-------|-------|
+| URLs Checked | ${summary.checkedUrls} |
+| Served Directly (2xx) | ${summary.directOk} |
+| Redirected | ${summary.redirected} |
+| Temporary Redirects (302/303/307) | ${summary.temporaryRedirects} |
+| Chains Longer Than ${redirects.maxHops} Hop(s) | ${summary.longChains} |
+| Redirect Loops | ${summary.loops} |
+| Redirects to Homepage | ${summary.homepageRedirects} |
+| Unexpected Destinations | ${summary.unexpectedDestinations} |
+| Final 4xx | ${summary.clientErrors} |
+| Final 5xx | ${summary.serverErrors} |
+| Failed Requests | ${summary.failedRequests} |
+
+${issuesList}
+
+`;
+  }
 }
 
 module.exports = MigrationComparator;
\ No newline at end of file
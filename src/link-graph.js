@@ -0,0 +1,160 @@
+// A page needs at least this many followed inbound links before a drop is reported
+const MIN_INBOUND_FOR_DROP = 3;
+// ...and a drop means losing at least half of them
+const INBOUND_DROP_RATIO = 0.5;
+// Anchor text is compared for the pages with the most inbound links on the old site
+const IMPORTANT_PAGES = 20;
+const MAX_SOURCES = 5;
+const MAX_ANCHORS = 10;
+
+const stripFragment = (url) => url.split('#')[0];
+const isFollowed = (link) => !/(^|\s)nofollow(\s|$)/.test(link.rel || '');
+
+// Inbound internal links per target page. Targets are passed through mapUrl so old-site
+// pages can be keyed by their new-site URL, and through normalizeUrl (before and after
+// mapping, like pages are paired) so URL variants share a key; self-links are not counted.
+function inboundLinks(linkGraph, baseUrl, mapUrl = url => url, normalizeUrl = url => url) {
+  const inbound = {};
+  const keyOf = (url) => normalizeUrl(mapUrl(normalizeUrl(stripFragment(url))));
+
+  Object.keys(linkGraph).forEach(source => {
+    const sourceUrl = keyOf(source);
+    linkGraph[source].forEach(link => {
+      if (!link.href.startsWith(baseUrl)) {
+        return;
+      }
+      const target = keyOf(link.href);
+      if (target === sourceUrl) {
+        return;
+      }
+
+      // Anchor texts are arbitrary strings, so they are kept in a prototype-less object
+      inbound[target] = inbound[target] || { sources: new Set(), followedSources: new Set(), anchors: Object.create(null) };
+      inbound[target].sources.add(source);
+      if (isFollowed(link)) {
+        inbound[target].followedSources.add(source);
+      }
+      if (link.text) {
+        const anchor = link.text.toLowerCase();
+        inbound[target].anchors[anchor] = (inbound[target].anchors[anchor] || 0) + 1;
+      }
+    });
+  });
+
+  return inbound;
+}
+
+// Groups the links matching a predicate by target, keeping a few example sources
+function groupLinksByTarget(linkGraph, predicate) {
+  const groups = {};
+
+  Object.keys(linkGraph).forEach(source => {
+    linkGraph[source].forEach(link => {
+      if (!predicate(link)) {
+        return;
+      }
+      const target = stripFragment(link.href);
+      groups[target] = groups[target] || { url: target, links: 0, sourcePages: new Set(), sources: [] };
+      groups[target].links++;
+      groups[target].sourcePages.add(source);
+      if (groups[target].sources.length < MAX_SOURCES) {
+        groups[target].sources.push({ source: source, text: link.text, rel: link.rel });
+      }
+    });
+  });
+
+  return Object.values(groups)
+    .map(group => Object.assign(group, { sourcePages: group.sourcePages.size }))
+    .sort((a, b) => b.sourcePages - a.sourcePages);
+}
+
+// Internal link targets on a site, without fragments
+function internalTargets(linkGraph, baseUrl) {
+  const targets = new Set();
+  Object.values(linkGraph).forEach(links => {
+    links.forEach(link => {
+      if (link.href.startsWith(baseUrl)) {
+        targets.add(stripFragment(link.href));
+      }
+    });
+  });
+  return Array.from(targets);
+}
+
+const topAnchors = (anchors, exclude) => Object.keys(anchors)
+  .filter(anchor => exclude[anchor] === undefined)
+  .sort((a, b) => anchors[b] - anchors[a])
+  .slice(0, MAX_ANCHORS)
+  .map(anchor => ({ text: anchor, links: anchors[anchor] }));
+
+// targetStatus maps internal new-site URLs to { status, error } (from the crawl or a request).
+// normalizeUrl should be the one the crawls used, so both sites' pages are keyed alike.
+function analyzeLinkGraph({ oldGraph, newGraph, oldBaseUrl, newBaseUrl, mapUrl = url => url, normalizeUrl = url => url, targetStatus = {} }) {
+  const oldInbound = inboundLinks(oldGraph, oldBaseUrl, mapUrl, normalizeUrl);
+  const newInbound = inboundLinks(newGraph, newBaseUrl, url => url, normalizeUrl);
+  const newPages = new Set(Object.keys(newGraph).map(url => normalizeUrl(stripFragment(url))));
+  const countLinks = (graph) => Object.values(graph).reduce((sum, links) => sum + links.length, 0);
+
+  const brokenLinks = groupLinksByTarget(newGraph, link => {
+    if (!link.href.startsWith(newBaseUrl)) {
+      return false;
+    }
+    const status = targetStatus[stripFragment(link.href)];
+    return Boolean(status && (status.error || status.status >= 400));
+  }).map(group => Object.assign(group, targetStatus[group.url]));
+
+  const oldDomainLinks = groupLinksByTarget(newGraph, link =>
+    link.href.startsWith(oldBaseUrl) && !link.href.startsWith(newBaseUrl)
+  );
+
+  const inboundDrops = [];
+  const orphanedPages = [];
+  Object.keys(oldInbound).forEach(url => {
+    // Only pages that still exist on the new site; missing pages are reported elsewhere
+    if (!newPages.has(url) || url === normalizeUrl(stripFragment(newBaseUrl))) {
+      return;
+    }
+    const oldCount = oldInbound[url].followedSources.size;
+    const newEntry = newInbound[url];
+
+    if (!newEntry) {
+      orphanedPages.push({ url: url, oldInbound: oldInbound[url].sources.size });
+    } else if (oldCount >= MIN_INBOUND_FOR_DROP && newEntry.followedSources.size <= oldCount * (1 - INBOUND_DROP_RATIO)) {
+      inboundDrops.push({
+        url: url,
+        oldInbound: oldCount,
+        newInbound: newEntry.followedSources.size,
+        change: Math.round((newEntry.followedSources.size - oldCount) / oldCount * 100)
+      });
+    }
+  });
+
+  const anchorTextChanges = Object.keys(oldInbound)
+    .filter(url => newInbound[url])
+    .sort((a, b) => oldInbound[b].followedSources.size - oldInbound[a].followedSources.size)
+    .slice(0, IMPORTANT_PAGES)
+    .map(url => ({
+      url: url,
+      oldInbound: oldInbound[url].followedSources.size,
+      newInbound: newInbound[url].followedSources.size,
+      removedAnchors: topAnchors(oldInbound[url].anchors, newInbound[url].anchors),
+      addedAnchors: topAnchors(newInbound[url].anchors, oldInbound[url].anchors)
+    }))
+    .filter(change => change.removedAnchors.length > 0 || change.addedAnchors.length > 0);
+
+  return {
+    oldLinks: countLinks(oldGraph),
+    newLinks: countLinks(newGraph),
+    brokenLinks: brokenLinks,
+    oldDomainLinks: oldDomainLinks,
+    inboundDrops: inboundDrops.sort((a, b) => a.change - b.change),
+    orphanedPages: orphanedPages.sort((a, b) => b.oldInbound - a.oldInbound),
+    anchorTextChanges: anchorTextChanges
+  };
+}
+
+module.exports = {
+  inboundLinks,
+  internalTargets,
+  analyzeLinkGraph
+};
@@ -0,0 +1,200 @@
+const { formatBytes } = require('./asset-diff');
+
+const METRICS = {
+  ttfb: { label: 'TTFB', unit: 'ms' },
+  domContentLoaded: { label: 'DOMContentLoaded', unit: 'ms' },
+  load: { label: 'Load', unit: 'ms' },
+  lcp: { label: 'LCP', unit: 'ms' },
+  cls: { label: 'CLS', unit: '' },
+  tbt: { label: 'Total Blocking Time', unit: 'ms' },
+  requests: { label: 'Requests', unit: '' },
+  transferBytes: { label: 'Transfer Size', unit: 'bytes' }
+};
+
+// How much each metric may get worse before a page is flagged; "%" budgets are relative
+const DEFAULT_BUDGETS = {
+  ttfb: '200',
+  domContentLoaded: '500',
+  load: '1000',
+  lcp: '500',
+  cls: '0.05',
+  tbt: '100',
+  requests: '10',
+  transferBytes: '20%'
+};
+
+// Runs in the page before any of its scripts (evaluateOnNewDocument), so LCP, layout
+// shifts and long tasks are observed from the first paint
+function observeMetrics() {
+  const metrics = { lcp: null, cls: 0, longTasks: [] };
+  window.__webDeltaMetrics = metrics;
+
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type: type, buffered: true });
+    } catch (error) {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('largest-contentful-paint', entry => {
+    metrics.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+  });
+
+  // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) {
+      return;
+    }
+    if (sessionValue > 0 && entry.startTime - lastShift < 1000 && entry.startTime - sessionStart < 5000) {
+      sessionValue += entry.value;
+    } else {
+      sessionValue = entry.value;
+      sessionStart = entry.startTime;
+    }
+    lastShift = entry.startTime;
+    metrics.cls = Math.max(metrics.cls, sessionValue);
+  });
+
+  observe('longtask', entry => {
+    metrics.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+}
+
+// Reads the lab metrics once the page has loaded
+async function readMetrics(page, resources = []) {
+  const timing = await page.evaluate(() => {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const paint = performance.getEntriesByName('first-contentful-paint')[0];
+    const observed = window.__webDeltaMetrics || { lcp: null, cls: 0, longTasks: [] };
+    const fcp = paint ? paint.startTime : 0;
+
+    return {
+      ttfb: navigation ? navigation.responseStart : null,
+      domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+      load: navigation && navigation.loadEventEnd > 0 ? navigation.loadEventEnd : null,
+      lcp: observed.lcp,
+      cls: observed.cls,
+      // Lab TBT: the part of every long task after first contentful paint beyond 50ms
+      tbt: observed.longTasks
+        .filter(task => task.start >= fcp)
+        .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0),
+      documentBytes: navigation ? (navigation.transferSize || navigation.encodedBodySize || 0) : 0
+    };
+  });
+
+  const round = (value) => value === null ? null : Math.round(value);
+  return {
+    ttfb: round(timing.ttfb),
+    domContentLoaded: round(timing.domContentLoaded),
+    load: round(timing.load),
+    lcp: round(timing.lcp),
+    cls: Math.round(timing.cls * 1000) / 1000,
+    tbt: round(timing.tbt),
+    requests: resources.length + 1,
+    transferBytes: timing.documentBytes + resources.reduce((sum, resource) => sum + (resource.size || 0), 0)
+  };
+}
+
+// Parses "lcp:800,cls:0.1,transferBytes:25%" over the defaults
+function parseBudgets(spec) {
+  const budgets = Object.assign({}, DEFAULT_BUDGETS);
+  const entries = !spec ? [] : (typeof spec === 'object'
+    ? Object.entries(spec)
+    : String(spec).split(',').filter(Boolean).map(entry => entry.split(':')));
+
+  entries.forEach(([metric, value]) => {
+    const name = String(metric).trim();
+    const budget = String(value === undefined ? '' : value).trim();
+    if (!METRICS[name]) {
+      throw new Error(`Unknown performance metric "${name}" (available: ${Object.keys(METRICS).join(', ')})`);
+    }
+    if (!/^\d+(\.\d+)?%?$/.test(budget)) {
+      throw new Error(`Invalid budget "${budget}" for ${name} (expected a number, or a percentage like 20%)`);
+    }
+    budgets[name] = budget;
+  });
+
+  return budgets;
+}
+
+function exceedsBudget(oldValue, newValue, budget) {
+  if (oldValue === null || newValue === null) {
+    return false;
+  }
+  const increase = newValue - oldValue;
+  if (budget.endsWith('%')) {
+    return oldValue > 0 ? increase / oldValue * 100 > parseFloat(budget) : increase > 0;
+  }
+  return increase > parseFloat(budget);
+}
+
+function comparePerformance(oldMetrics, newMetrics, budgets = DEFAULT_BUDGETS) {
+  const regressions = Object.keys(METRICS)
+    .filter(metric => exceedsBudget(oldMetrics[metric], newMetrics[metric], budgets[metric]))
+    .map(metric => ({
+      metric: metric,
+      old: oldMetrics[metric],
+      new: newMetrics[metric],
+      budget: budgets[metric]
+    }));
+
+  return { old: oldMetrics, new: newMetrics, regressions };
+}
+
+function percentile(values, fraction) {
+  const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+// Median and p95 of every metric, old vs new
+function aggregatePerformance(pages) {
+  const aggregate = {};
+  Object.keys(METRICS).forEach(metric => {
+    const oldValues = pages.map(page => page.old[metric]);
+    const newValues = pages.map(page => page.new[metric]);
+    aggregate[metric] = {
+      oldMedian: percentile(oldValues, 0.5),
+      newMedian: percentile(newValues, 0.5),
+      oldP95: percentile(oldValues, 0.95),
+      newP95: percentile(newValues, 0.95)
+    };
+  });
+  return aggregate;
+}
+
+function formatMetric(metric, value) {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+  const unit = METRICS[metric].unit;
+  if (unit === 'ms') {
+    return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${value} ms`;
+  }
+  if (unit === 'bytes') {
+    return formatBytes(value);
+  }
+  return String(value);
+}
+
+function formatBudget(metric, budget) {
+  return budget.endsWith('%') ? `+${budget}` : `+${formatMetric(metric, parseFloat(budget))}`;
+}
+
+module.exports = {
+  METRICS,
+  DEFAULT_BUDGETS,
+  observeMetrics,
+  readMetrics,
+  parseBudgets,
+  comparePerformance,
+  aggregatePerformance,
+  formatMetric,
+  formatBudget
+};
@@ -0,0 +1,160 @@
+const { request } = require('./http');
+const { HostRateLimiter, throwIfAborted } = require('./crawler');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const TEMPORARY_STATUSES = [302, 303, 307];
+
+class RedirectChecker {
+  constructor(options = {}) {
+    // Chains with more hops than this are flagged; maxRedirects is a hard stop
+    this.maxHops = options.maxHops !== undefined ? options.maxHops : 1;
+    this.maxRedirects = options.maxRedirects || 10;
+    this.timeout = options.timeout || 30000;
+    // Shared with the crawler, so --delay and --rate-limit cover these requests too
+    this.rateLimiter = options.rateLimiter || new HostRateLimiter(options.delay);
+    this.logger = options.logger || console;
+    this.signal = options.signal || null;
+  }
+
+  async followChain(url) {
+    const chain = [];
+    const seen = new Set();
+    let current = url;
+
+    while (chain.length <= this.maxRedirects) {
+      if (seen.has(current)) {
+        return { chain, loop: true, error: null };
+      }
+      seen.add(current);
+
+      let response;
+      try {
+        await this.rateLimiter.wait(current);
+        response = await request(current, { timeout: this.timeout, readBody: false });
+      } catch (error) {
+        return { chain, loop: false, error: error.message };
+      }
+
+      const location = response.headers.location;
+      const isRedirect = REDIRECT_STATUSES.includes(response.status) && location;
+      let next = null;
+      if (isRedirect) {
+        try {
+          next = new URL(location, current).href;
+        } catch (error) {
+          chain.push({ url: current, status: response.status, location: null });
+          return { chain, loop: false, error: `Invalid Location header "${location}"` };
+        }
+      }
+
+      chain.push({ url: current, status: response.status, location: next });
+
+      if (!isRedirect) {
+        return { chain, loop: false, error: null };
+      }
+      current = next;
+    }
+
+    return { chain, loop: false, error: `Exceeded ${this.maxRedirects} redirects` };
+  }
+
+  // expectedUrl is the destination the URL mapping rules predict, when one applies
+  async checkUrl(url, expectedUrl = null) {
+    const { chain, loop, error } = await this.followChain(url);
+    const hops = chain.filter(step => step.location);
+    const final = chain[chain.length - 1] || null;
+    const issues = [];
+
+    if (error) {
+      issues.push({ type: 'request_failed', message: error });
+    }
+
+    if (loop) {
+      issues.push({ type: 'redirect_loop', message: `Redirect loop back to ${chain[chain.length - 1].location}` });
+    }
+
+    hops.filter(step => TEMPORARY_STATUSES.includes(step.status)).forEach(step => {
+      issues.push({ type: 'temporary_redirect', message: `${step.status} from ${step.url} (use 301 for permanent moves)` });
+    });
+
+    if (hops.length > this.maxHops) {
+      issues.push({ type: 'long_chain', message: `${hops.length} hops (maximum ${this.maxHops})` });
+    }
+
+    if (final && !loop && !error) {
+      if (hops.length > 0 && isHomepage(final.url) && !isHomepage(url)) {
+        issues.push({ type: 'homepage_redirect', message: 'Redirects to the homepage (likely soft-404)' });
+      }
+
+      if (final.status >= 500) {
+        issues.push({ type: 'server_error', message: `Final status ${final.status}` });
+      } else if (final.status >= 400) {
+        issues.push({ type: 'client_error', message: `Final status ${final.status}` });
+      }
+
+      if (expectedUrl && stripTrailingSlash(final.url) !== stripTrailingSlash(expectedUrl)) {
+        issues.push({ type: 'unexpected_destination', message: `Expected ${expectedUrl}` });
+      }
+    }
+
+    return {
+      url: url,
+      chain: chain,
+      hops: hops.length,
+      finalUrl: final && !loop ? final.url : null,
+      finalStatus: final && !loop ? final.status : null,
+      issues: issues
+    };
+  }
+
+  async checkUrls(urls, onChecked = () => {}) {
+    const results = [];
+
+    for (const { url, expectedUrl } of urls) {
+      throwIfAborted(this.signal);
+      this.logger.log(`Checking redirects: ${url}`);
+      results.push(await this.checkUrl(url, expectedUrl));
+      onChecked(results.length, urls.length);
+    }
+
+    return {
+      maxHops: this.maxHops,
+      summary: summarize(results),
+      results: results
+    };
+  }
+}
+
+function summarize(results) {
+  const countIssue = (type) => results.filter(r => r.issues.some(issue => issue.type === type)).length;
+
+  return {
+    checkedUrls: results.length,
+    directOk: results.filter(r => r.hops === 0 && r.finalStatus >= 200 && r.finalStatus < 300).length,
+    redirected: results.filter(r => r.hops > 0).length,
+    temporaryRedirects: countIssue('temporary_redirect'),
+    longChains: countIssue('long_chain'),
+    loops: countIssue('redirect_loop'),
+    homepageRedirects: countIssue('homepage_redirect'),
+    clientErrors: countIssue('client_error'),
+    serverErrors: countIssue('server_error'),
+    unexpectedDestinations: countIssue('unexpected_destination'),
+    failedRequests: countIssue('request_failed'),
+    urlsWithIssues: results.filter(r => r.issues.length > 0).length
+  };
+}
+
+function isHomepage(url) {
+  try {
+    const parsed = new URL(url);
+    return (parsed.pathname === '/' || parsed.pathname === '') && !parsed.search;
+  } catch (error) {
+    return false;
+  }
+}
+
+function stripTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+module.exports = RedirectChecker;
@@ -0,0 +1,141 @@
+const { SEVERITIES } = require('./severity');
+
+// Version of the results JSON (migration_comparison_*.json). Adding properties bumps the
+// minor version; renaming, removing or retyping one bumps the major version, so tools
+// can accept any results whose major version they know.
+const SCHEMA_VERSION = '1.1.0';
+
+const count = { type: 'integer', minimum: 0 };
+const urlList = { type: 'array', items: { type: 'string' } };
+const severity = { enum: SEVERITIES };
+const severityCounts = {
+  type: 'object',
+  required: SEVERITIES,
+  properties: Object.assign({}, ...SEVERITIES.map(name => ({ [name]: count })))
+};
+// Detailed analyses are documented in the README; their shape may grow between minor versions
+const analysis = (description) => ({ type: ['object', 'null'], description: description });
+
+// JSON Schema of the results; properties not listed here may appear and are not covered
+// by the version
+const RESULTS_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'web-delta comparison results',
+  type: 'object',
+  required: ['schemaVersion', 'testInfo', 'summary', 'severity', 'missingUrls', 'newUrls', 'comparedUrls', 'pageComparisons', 'seoImpact'],
+  properties: {
+    schemaVersion: { type: 'string', const: SCHEMA_VERSION },
+    testInfo: {
+      type: 'object',
+      required: ['timestamp', 'oldDomain', 'newDomain'],
+      properties: {
+        timestamp: { type: 'string', format: 'date-time' },
+        oldDomain: { type: 'string' },
+        newDomain: { type: 'string' },
+        mode: { enum: ['full', 'quick'], description: 'Since 1.1.0' },
+        sample: { enum: ['depth', 'random'], description: 'How a quick comparison sampled pages; since 1.1.0' },
+        testType: { type: 'string', description: '"simple_comparison" for quick comparisons' },
+        deviceProfile: { type: 'string', description: 'Profile the main comparison was rendered with' },
+        oldSource: { type: 'object', description: '{ type: "live" } or { type: "snapshot", file, createdAt }' },
+        newSource: { type: 'object', description: '{ type: "live" } or { type: "snapshot", file, createdAt }' },
+        testDuration: { type: 'string', description: 'Run time, e.g. "5321ms"' }
+      }
+    },
+    summary: {
+      type: 'object',
+      required: ['oldWebsiteUrls', 'newWebsiteUrls', 'missingUrls', 'newUrls', 'pagesCompared', 'pagesWithChanges'],
+      properties: {
+        oldWebsiteUrls: count,
+        newWebsiteUrls: count,
+        missingUrls: count,
+        newUrls: count,
+        pagesCompared: count,
+        pagesWithChanges: count
+      },
+      additionalProperties: count
+    },
+    severity: {
+      type: 'object',
+      required: ['highest', 'issues', 'changes', 'pages', 'missingUrls'],
+      properties: {
+        highest: { oneOf: [severity, { type: 'null' }] },
+        issues: severityCounts,
+        changes: severityCounts,
+        pages: severityCounts,
+        missingUrls: {
+          type: 'object',
+          required: ['count', 'severity'],
+          properties: { count: count, severity: severity }
+        },
+        siteIssues: {
+          description: 'Redirect, link tag, structured data and broken link issues per severity',
+          type: 'object',
+          additionalProperties: severityCounts
+        }
+      }
+    },
+    missingUrls: Object.assign({ description: 'Old-site URLs, translated to the new domain, that the new site does not have' }, urlList),
+    newUrls: Object.assign({ description: 'New-site URLs with no counterpart on the old site' }, urlList),
+    comparedUrls: Object.assign({ description: 'New-site URLs of every page compared with its old counterpart' }, urlList),
+    pageComparisons: {
+      type: 'array',
+      description: 'Compared pages with at least one change',
+      items: {
+        type: 'object',
+        required: ['url', 'changes'],
+        properties: {
+          url: { type: 'string' },
+          oldUrl: { type: 'string', description: 'Set when the old URL is not the new one on the old domain' },
+          mappingRule: { type: 'string' },
+          changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field', 'old', 'new', 'type', 'severity'],
+              properties: {
+                field: { type: 'string', description: 'A built-in field or the name of a custom extractor' },
+                old: { type: ['string', 'number', 'null'] },
+                new: { type: ['string', 'number', 'null'] },
+                type: { enum: ['content_change', 'visual_change', 'asset_change', 'performance_change', 'accessibility_change'] },
+                severity: severity,
+                headingChange: { type: 'string' },
+                structuredDataChange: { type: 'string' },
+                path: { type: 'string' },
+                metric: { type: 'string' },
+                rule: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    },
+    seoImpact: {
+      type: 'object',
+      properties: {
+        pagesWithTitleChanges: count,
+        pagesWithDescriptionChanges: count,
+        pagesWithCanonicalChanges: count
+      },
+      additionalProperties: count
+    },
+    urlMapping: analysis('Mapped and unmapped URL pairs'),
+    contentAnalysis: analysis('Body text similarity per page'),
+    visualAnalysis: analysis('Screenshot differences, with --screenshots'),
+    deviceProfiles: analysis('Per-profile comparisons, with several --profiles'),
+    linkAnalysis: analysis('Broken, old-domain and lost internal links'),
+    assetAnalysis: analysis('Page weight, broken assets, hotlinks and mixed content'),
+    performanceAnalysis: analysis('Performance metrics and budget regressions'),
+    accessibilityAnalysis: analysis('Accessibility issues introduced by the new site'),
+    headingWarnings: { type: 'array', description: 'New pages with no h1 or several' },
+    linkTagIssues: { type: 'array', description: 'Canonical, hreflang and pagination links still pointing at the old domain or broken' },
+    structuredDataErrors: { type: 'array', description: 'Invalid structured data on new pages' },
+    redirects: analysis('Redirect verification of old URLs'),
+    discovery: analysis('Sitemap and robots.txt differences'),
+    customFields: { type: ['array', 'null'], description: 'Custom extractors and how many pages they changed on' }
+  }
+};
+
+module.exports = {
+  SCHEMA_VERSION,
+  RESULTS_SCHEMA
+};
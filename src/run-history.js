@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES, severityOf } = require('./severity');
+
+// Every completed run is recorded in this file in the results directory, oldest first
+const HISTORY_FILE = 'history.json';
+
+const historyFile = (resultsDir) => path.join(resultsDir, HISTORY_FILE);
+
+function loadHistory(resultsDir) {
+  const file = historyFile(resultsDir);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).runs || [];
+  } catch (error) {
+    throw new Error(`Invalid run history ${file}: ${error.message}`);
+  }
+}
+
+// Options that only exist at run time (an injected browser, logger or abort signal) are
+// not settings and cannot be serialized
+const RUNTIME_OPTIONS = ['browser', 'logger', 'signal'];
+
+// RegExp patterns and extract functions do not survive JSON as is
+function serializeSettings(options) {
+  const settings = Object.assign({}, options);
+  RUNTIME_OPTIONS.forEach(key => delete settings[key]);
+  return JSON.parse(JSON.stringify(settings, (key, value) => {
+    if (value instanceof RegExp) {
+      return String(value);
+    }
+    return typeof value === 'function' ? '[function]' : value;
+  }));
+}
+
+// The history entry of a finished run. sites are the crawl data (or loaded snapshots)
+// of both sites, which know how many pages were crawled and which failed.
+function describeRun({ runId, mode, results, files, startedAt, sites, options }) {
+  const finishedAt = Date.now();
+  const crawled = (site) => ({
+    urls: site.urls.length,
+    pages: Object.keys(site.snapshots || {}).length,
+    errors: Object.keys(site.errors || {}).length
+  });
+  return {
+    id: runId,
+    mode: mode,
+    oldDomain: results.testInfo.oldDomain,
+    newDomain: results.testInfo.newDomain,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    durationMs: finishedAt - startedAt,
+    crawl: { old: crawled(sites.old), new: crawled(sites.new) },
+    pagesCompared: results.summary.pagesCompared,
+    pagesWithChanges: results.summary.pagesWithChanges,
+    missingUrls: results.summary.missingUrls,
+    issues: results.severity.issues,
+    files: files,
+    settings: serializeSettings(options)
+  };
+}
+
+function recordRun(resultsDir, entry) {
+  const runs = loadHistory(resultsDir).filter(run => run.id !== entry.id);
+  runs.push(entry);
+  fs.writeFileSync(historyFile(resultsDir), JSON.stringify({ runs: runs }, null, 2));
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  return minutes < 60
+    ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`
+    : `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// Plain-text table of the latest runs, newest first
+function formatHistory(runs, limit = 20) {
+  if (runs.length === 0) {
+    return 'No runs recorded yet.';
+  }
+  const rows = runs.slice(-limit).reverse().map(run => [
+    run.id,
+    run.mode,
+    `${run.oldDomain} → ${run.newDomain}`,
+    formatDuration(run.durationMs),
+    `${run.crawl.old.pages}/${run.crawl.new.pages}`,
+    String(run.crawl.old.errors + run.crawl.new.errors),
+    String(run.pagesWithChanges),
+    String(run.missingUrls),
+    SEVERITIES.map(severity => run.issues[severity]).join('/')
+  ]);
+  const header = ['Run', 'Mode', 'Sites', 'Duration', 'Pages old/new', 'Errors', 'Changed', 'Missing', 'Crit/Warn/Info'];
+  const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+  const line = (row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  const lines = [line(header), line(widths.map(width => '-'.repeat(width)))].concat(rows.map(line));
+  if (runs.length > limit) {
+    lines.push(`… and ${runs.length - limit} older run(s)`);
+  }
+  return lines.join('\n');
+}
+
+// Finds a run's results file from a path or a run ID. Without one, picks the latest run,
+// or with before set, the latest earlier run comparing the same sites.
+function resolveRun(resultsDir, reference, before = null) {
+  if (reference && fs.existsSync(reference) && fs.statSync(reference).isFile()) {
+    return { id: path.basename(reference), file: reference };
+  }
+
+  const runs = loadHistory(resultsDir);
+  let run;
+  if (reference) {
+    run = runs.find(candidate => candidate.id === reference);
+    if (!run) {
+      throw new Error(`No run or results file "${reference}" (run IDs are listed by the history command)`);
+    }
+  } else if (before) {
+    const index = runs.findIndex(candidate => candidate.id === before.id);
+    run = runs.slice(0, index === -1 ? runs.length : index).reverse().find(candidate =>
+      candidate.oldDomain === before.oldDomain && candidate.newDomain === before.newDomain);
+    if (!run) {
+      throw new Error(`No earlier run of ${before.oldDomain} → ${before.newDomain} to compare with`);
+    }
+  } else {
+    run = runs[runs.length - 1];
+    if (!run) {
+      throw new Error(`No runs recorded in ${historyFile(resultsDir)}`);
+    }
+  }
+
+  const file = path.join(resultsDir, run.files.results);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Results of run ${run.id} not found: ${file}`);
+  }
+  return Object.assign({ file: file }, run);
+}
+
+function loadResults(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid results file ${file}: ${error.message}`);
+  }
+}
+
+const detailOf = (change) => change.headingChange || change.structuredDataChange || change.metric || change.rule || change.path || '';
+
+// Issues of one run: every page change and missing URL. Results written before
+// severities existed are classified with the default rules.
+function collectIssues(results) {
+  const issues = [];
+  results.pageComparisons.forEach(page => {
+    page.changes.forEach(change => {
+      issues.push({
+        key: `${page.url}|${change.field}|${detailOf(change)}`,
+        url: page.url,
+        field: change.field,
+        detail: detailOf(change),
+        old: change.old,
+        new: change.new,
+        severity: change.severity || severityOf({}, change.field, change)
+      });
+    });
+  });
+  const missingUrlSeverity = results.severity ? results.severity.missingUrls.severity : 'critical';
+  results.missingUrls.forEach(url => {
+    issues.push({ key: `${url}|missingUrl|`, url: url, field: 'missingUrl', detail: '', severity: missingUrlSeverity });
+  });
+  return issues;
+}
+
+// Compares the issues of two runs. An issue is the same one when it is on the same page
+// and field (and heading, metric or rule); several of those are matched by old value first.
+function diffRuns(earlier, later) {
+  const byKey = (issues) => issues.reduce((groups, issue) => {
+    (groups[issue.key] = groups[issue.key] || []).push(issue);
+    return groups;
+  }, {});
+  const before = byKey(collectIssues(earlier));
+  const after = byKey(collectIssues(later));
+
+  const diff = { fixed: [], introduced: [], persisting: [] };
+  new Set(Object.keys(before).concat(Object.keys(after))).forEach(key => {
+    const remaining = (before[key] || []).slice();
+    const unmatched = (after[key] || []).filter(issue => {
+      const index = remaining.findIndex(candidate => candidate.old === issue.old);
+      if (index === -1) {
+        return true;
+      }
+      remaining.splice(index, 1);
+      diff.persisting.push(issue);
+      return false;
+    });
+    unmatched.forEach(issue => {
+      if (remaining.length > 0) {
+        remaining.shift();
+        diff.persisting.push(issue);
+      } else {
+        diff.introduced.push(issue);
+      }
+    });
+    remaining.forEach(issue => diff.fixed.push(issue));
+  });
+
+  const bySeverity = (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.url.localeCompare(b.url);
+  Object.keys(diff).forEach(group => diff[group].sort(bySeverity));
+  return diff;
+}
+
+function formatRunDiff(diff, earlier, later, limit = 50) {
+  const quote = (value) => value === undefined || value === null || value === '' ? '(empty)' : JSON.stringify(String(value));
+  const describe = (issue) => issue.field === 'missingUrl'
+    ? `missing URL ${issue.url}`
+    : `${issue.url} ${issue.field}${issue.detail ? ` (${issue.detail})` : ''}: ${quote(issue.old)} → ${quote(issue.new)}`;
+  const count = (issues) => SEVERITIES.map(severity => `${issues.filter(issue => issue.severity === severity).length} ${severity}`).join(', ');
+
+  const lines = [
+    `Comparing run ${earlier.id} with ${later.id}`,
+    `  Fixed:      ${diff.fixed.length} (${count(diff.fixed)})`,
+    `  New:        ${diff.introduced.length} (${count(diff.introduced)})`,
+    `  Persisting: ${diff.persisting.length} (${count(diff.persisting)})`
+  ];
+  [['Fixed', diff.fixed], ['New', diff.introduced], ['Persisting', diff.persisting]].forEach(([title, issues]) => {
+    if (issues.length > 0) {
+      lines.push('', `${title} issues:`);
+      issues.slice(0, limit).forEach(issue => lines.push(`  [${issue.severity}] ${describe(issue)}`));
+      if (issues.length > limit) {
+        lines.push(`  … and ${issues.length - limit} more`);
+      }
+    }
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  HISTORY_FILE,
+  loadHistory,
+  describeRun,
+  recordRun,
+  formatHistory,
+  resolveRun,
+  loadResults,
+  diffRuns,
+  formatRunDiff
+};
@@ -0,0 +1,43 @@
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Link-based tags on the new site should point at the new host, never back at the old one
+function checkLinkTags(oldInfo, newInfo, oldDomain, newDomain) {
+  const oldHost = hostOf(oldDomain);
+  const newHost = hostOf(newDomain);
+  const issues = [];
+
+  const checkHost = (label, href) => {
+    const host = hostOf(href);
+    if (!host || host === newHost) {
+      return;
+    }
+    if (host === oldHost) {
+      issues.push({ issue: 'points_to_old_domain', tag: label, value: href, message: `${label} points at the old domain` });
+    } else if (label === 'canonical') {
+      issues.push({ issue: 'cross_domain_canonical', tag: label, value: href, message: `canonical points at another host (${host})` });
+    }
+  };
+
+  if (!newInfo.canonical && oldInfo.canonical) {
+    issues.push({ issue: 'canonical_removed', tag: 'canonical', value: '', message: `canonical removed (was ${oldInfo.canonical})` });
+  }
+
+  checkHost('canonical', newInfo.canonical);
+  (newInfo.hreflang || []).forEach(alternate => checkHost(`hreflang ${alternate.hreflang}`, alternate.href));
+  checkHost('prev', newInfo.prev);
+  checkHost('next', newInfo.next);
+
+  return issues;
+}
+
+function formatHreflang(alternates = []) {
+  return alternates.map(alternate => `${alternate.hreflang}: ${alternate.href}`).join(', ');
+}
+
+module.exports = { checkLinkTags, formatHreflang };
@@ -0,0 +1,219 @@
+const { FIELDS } = require('./field-rules');
+
+// Most severe first
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+// Missing URLs are not page changes, but take a severity like a field
+const MISSING_URLS = 'missingUrls';
+
+// Nor are these site-wide issues; each kind takes a severity like a field too
+const SITE_ISSUES = ['redirects', 'linkTags', 'structuredDataErrors', 'brokenLinks'];
+
+// Redirect issues that leave an old URL without a working page on the new site
+const FAILED_REDIRECTS = ['request_failed', 'redirect_loop', 'client_error', 'server_error'];
+
+const removed = (change) => Boolean(change.old) && !change.new;
+const noindex = (value) => /\b(noindex|none)\b/i.test(value || '');
+
+// A field's severity, or a function of the change for fields where some changes are
+// worse than others. Custom fields default to warning.
+const DEFAULT_SEVERITIES = {
+  title: (change) => removed(change) ? 'critical' : 'warning',
+  description: 'warning',
+  keywords: 'info',
+  canonical: (change) => removed(change) ? 'critical' : 'warning',
+  hreflang: 'warning',
+  prev: 'info',
+  next: 'info',
+  metaRefresh: 'warning',
+  lang: 'warning',
+  robots: (change) => noindex(change.new) && !noindex(change.old) ? 'critical' : 'warning',
+  xRobotsTag: (change) => noindex(change.new) && !noindex(change.old) ? 'critical' : 'warning',
+  ogTitle: 'info',
+  ogDescription: 'info',
+  ogImage: 'info',
+  twitterCard: 'info',
+  twitterTitle: 'info',
+  twitterDescription: 'info',
+  headings: (change) => change.headingChange === 'removed' && /^h1:/.test(change.old || '') ? 'warning' : 'info',
+  structuredData: 'warning',
+  content: 'warning',
+  visual: 'warning',
+  pageWeight: 'info',
+  images: 'warning',
+  imageAlt: 'info',
+  performance: 'warning',
+  accessibility: 'warning',
+  [MISSING_URLS]: 'critical',
+  redirects: (issue) => FAILED_REDIRECTS.includes(issue.type) ? 'critical' : 'warning',
+  linkTags: 'warning',
+  structuredDataErrors: 'warning',
+  brokenLinks: 'warning'
+};
+
+// Accepts "robots:critical,keywords:warning" (the CLI format) or an object, and returns
+// the overrides as an object. Throws on unknown fields or severities.
+function parseSeverities(spec, customFields = []) {
+  if (!spec) {
+    return {};
+  }
+  let entries;
+  if (typeof spec === 'string') {
+    entries = spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const separator = entry.lastIndexOf(':');
+      if (separator === -1) {
+        throw new Error(`Invalid severity "${entry}" (expected field:severity)`);
+      }
+      return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+    });
+  } else if (typeof spec === 'object' && !Array.isArray(spec)) {
+    entries = Object.keys(spec).map(field => [field, spec[field]]);
+  } else {
+    throw new Error(`Invalid severities ${JSON.stringify(spec)} (expected an object or field:severity pairs)`);
+  }
+
+  const known = FIELDS.concat(customFields, MISSING_URLS, SITE_ISSUES);
+  const severities = {};
+  entries.forEach(([field, severity]) => {
+    if (!known.includes(field)) {
+      throw new Error(`Unknown field "${field}" in severities (available: ${known.join(', ')})`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for ${field} (expected ${SEVERITIES.join(', ')})`);
+    }
+    severities[field] = severity;
+  });
+  return severities;
+}
+
+function checkSeverity(severity, setting) {
+  if (severity !== undefined && severity !== null && !SEVERITIES.includes(severity)) {
+    throw new Error(`Invalid ${setting} "${severity}" (expected ${SEVERITIES.join(', ')})`);
+  }
+  return severity || null;
+}
+
+// Overrides replace the default rule, so a field can be pinned to one severity
+function severityOf(overrides, field, change = {}) {
+  const rule = overrides[field] || DEFAULT_SEVERITIES[field] || 'warning';
+  return typeof rule === 'function' ? rule(change) : rule;
+}
+
+// True when a severity is at least as severe as the threshold
+const atLeast = (severity, threshold) => SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(threshold);
+
+// Counts changes and pages per severity; missing URLs count as issues of their own severity,
+// and site-wide issues (lists keyed by kind, graded like changes) as issues of theirs
+function summarizeSeverity(pageComparisons, missingUrls, overrides = {}, siteIssues = {}) {
+  const changes = {};
+  const pages = {};
+  SEVERITIES.forEach(severity => {
+    changes[severity] = 0;
+    pages[severity] = 0;
+  });
+
+  pageComparisons.forEach(page => {
+    const found = new Set();
+    page.changes.forEach(change => {
+      changes[change.severity]++;
+      found.add(change.severity);
+    });
+    found.forEach(severity => pages[severity]++);
+  });
+
+  const missingUrlSeverity = severityOf(overrides, MISSING_URLS);
+  const issues = Object.assign({}, changes);
+  issues[missingUrlSeverity] += missingUrls.length;
+
+  const sites = {};
+  SITE_ISSUES.forEach(kind => {
+    sites[kind] = {};
+    SEVERITIES.forEach(severity => {
+      sites[kind][severity] = 0;
+    });
+    (siteIssues[kind] || []).forEach(issue => {
+      sites[kind][issue.severity]++;
+      issues[issue.severity]++;
+    });
+  });
+
+  return {
+    highest: SEVERITIES.find(severity => issues[severity] > 0) || null,
+    issues: issues,
+    changes: changes,
+    pages: pages,
+    missingUrls: { count: missingUrls.length, severity: missingUrlSeverity },
+    siteIssues: sites
+  };
+}
+
+// Compact plain-text summary for CI logs: the counts, the issues at or above the
+// threshold (critical ones without one) and the verdict
+function formatCiSummary(results, failOn = null, limit = 10) {
+  const severity = results.severity;
+  const threshold = failOn || 'critical';
+  const quote = (value) => value ? JSON.stringify(String(value)) : '(empty)';
+
+  const items = [];
+  if (atLeast(severity.missingUrls.severity, threshold)) {
+    results.missingUrls.forEach(url => {
+      items.push({ severity: severity.missingUrls.severity, text: `missing URL ${url}` });
+    });
+  }
+  const addSiteIssue = (issueSeverity, text) => {
+    // Results saved before site-wide issues were graded have none
+    if (issueSeverity && atLeast(issueSeverity, threshold)) {
+      items.push({ severity: issueSeverity, text: text });
+    }
+  };
+  (results.redirects ? results.redirects.results : []).forEach(result => {
+    result.issues.forEach(issue => addSiteIssue(issue.severity, `redirect ${result.url}: ${issue.message}`));
+  });
+  (results.linkTagIssues || []).forEach(issue => addSiteIssue(issue.severity, `${issue.url} ${issue.tag}: ${issue.message}`));
+  (results.structuredDataErrors || []).forEach(error => addSiteIssue(error.severity, `${error.url} structured data: ${error.message}`));
+  (results.linkAnalysis ? results.linkAnalysis.brokenLinks : []).forEach(link => {
+    addSiteIssue(link.severity, `broken link ${link.url} (${link.error || link.status}) on ${link.sourcePages} page(s)`);
+  });
+  results.pageComparisons.forEach(page => {
+    page.changes.filter(change => atLeast(change.severity, threshold)).forEach(change => {
+      const detail = change.headingChange || change.metric || change.rule || change.path;
+      items.push({
+        severity: change.severity,
+        text: `${page.url} ${change.field}${detail ? ` (${detail})` : ''}: ${quote(change.old)} → ${quote(change.new)}`
+      });
+    });
+  });
+  items.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  const lines = [
+    `web-delta: ${SEVERITIES.map(name => `${severity.issues[name]} ${name}`).join(', ')} ` +
+    `(${results.pageComparisons.length} page(s) with changes, ${results.missingUrls.length} missing URL(s))`
+  ];
+  items.slice(0, limit).forEach(item => lines.push(`  [${item.severity}] ${item.text}`));
+  if (items.length > limit) {
+    lines.push(`  … and ${items.length - limit} more`);
+  }
+  if (failOn) {
+    const failed = isFailure(severity, failOn);
+    lines.push(`Result: ${failed ? 'FAIL' : 'PASS'} (--fail-on=${failOn})`);
+  }
+  return lines.join('\n');
+}
+
+// Whether a run has issues at or above the --fail-on severity
+function isFailure(severity, failOn) {
+  return Boolean(failOn && severity && severity.highest && atLeast(severity.highest, failOn));
+}
+
+module.exports = {
+  SEVERITIES,
+  MISSING_URLS,
+  SITE_ISSUES,
+  DEFAULT_SEVERITIES,
+  parseSeverities,
+  checkSeverity,
+  severityOf,
+  summarizeSeverity,
+  formatCiSummary,
+  isFailure
+};
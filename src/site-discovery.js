@@ -0,0 +1,184 @@
+const zlib = require('zlib');
+const { request } = require('./http');
+const { throwIfAborted } = require('./crawler');
+
+const MAX_SITEMAPS = 500;
+
+function parseRobotsTxt(text) {
+  const rules = [];
+  const sitemaps = [];
+  let userAgents = [];
+  let lastWasUserAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+
+    const directive = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (directive === 'sitemap') {
+      if (value) {
+        sitemaps.push(value);
+      }
+      return;
+    }
+
+    if (directive === 'user-agent') {
+      // Consecutive User-agent lines share the group that follows them
+      userAgents = lastWasUserAgent ? userAgents.concat(value) : [value];
+      lastWasUserAgent = true;
+      return;
+    }
+
+    lastWasUserAgent = false;
+    if (directive === 'allow' || directive === 'disallow') {
+      userAgents.forEach(userAgent => {
+        rules.push({ userAgent: userAgent, type: directive, path: value });
+      });
+    }
+  });
+
+  return { rules, sitemaps };
+}
+
+function decodeXmlText(value) {
+  return value
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function parseSitemap(xml) {
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const locations = [];
+  const locPattern = /<loc>([\s\S]*?)<\/loc>/gi;
+  let match;
+
+  while ((match = locPattern.exec(xml)) !== null) {
+    locations.push(decodeXmlText(match[1]));
+  }
+
+  return { isIndex, locations };
+}
+
+function decodeBody(body) {
+  // Gzipped sitemaps are detected by magic bytes rather than trusting the extension
+  if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+    return zlib.gunzipSync(body).toString('utf8');
+  }
+  return body.toString('utf8');
+}
+
+async function fetchRobots(baseUrl) {
+  const robotsUrl = new URL('/robots.txt', baseUrl).href;
+
+  try {
+    const response = await request(robotsUrl);
+    if (response.status !== 200) {
+      return { url: robotsUrl, found: false, status: response.status, rules: [], sitemaps: [] };
+    }
+    const parsed = parseRobotsTxt(response.body.toString('utf8'));
+    return { url: robotsUrl, found: true, status: response.status, rules: parsed.rules, sitemaps: parsed.sitemaps };
+  } catch (error) {
+    return { url: robotsUrl, found: false, status: null, error: error.message, rules: [], sitemaps: [] };
+  }
+}
+
+async function fetchSitemapUrls(sitemapUrls, signal = null) {
+  const queue = [...sitemapUrls];
+  const fetched = [];
+  const errors = [];
+  const urls = new Set();
+  const seen = new Set();
+
+  while (queue.length > 0 && fetched.length < MAX_SITEMAPS) {
+    // Sitemap indexes can fan out to hundreds of files, so stopping waits at most one request
+    throwIfAborted(signal);
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) {
+      continue;
+    }
+    seen.add(sitemapUrl);
+
+    try {
+      const response = await request(sitemapUrl);
+      if (response.status !== 200) {
+        errors.push({ url: sitemapUrl, error: `HTTP ${response.status}` });
+        continue;
+      }
+
+      const { isIndex, locations } = parseSitemap(decodeBody(response.body));
+      fetched.push({ url: sitemapUrl, type: isIndex ? 'index' : 'urlset', entries: locations.length });
+
+      if (isIndex) {
+        queue.push(...locations);
+      } else {
+        locations.forEach(location => urls.add(location));
+      }
+    } catch (error) {
+      errors.push({ url: sitemapUrl, error: error.message });
+    }
+  }
+
+  return { sitemaps: fetched, urls: Array.from(urls), errors };
+}
+
+async function discoverSite(baseUrl, logger = console, signal = null) {
+  logger.log(`Discovering sitemaps for: ${baseUrl}`);
+  const robots = await fetchRobots(baseUrl);
+  throwIfAborted(signal);
+
+  // Fall back to the conventional location when robots.txt names no sitemap
+  const sitemapUrls = robots.sitemaps.length > 0
+    ? robots.sitemaps
+    : [new URL('/sitemap.xml', baseUrl).href];
+
+  const sitemap = await fetchSitemapUrls(sitemapUrls, signal);
+  logger.log(`Found ${sitemap.urls.length} URLs in ${sitemap.sitemaps.length} sitemap(s)`);
+
+  return { robots, sitemap };
+}
+
+// URLs are compared after normalizing, so sitemaps listing the same pages with a different
+// trailing slash or tracking parameters do not show up as missing and added
+function diffDiscovery(oldDiscovery, newDiscovery, mapUrl, normalizeUrl = url => url) {
+  const ruleKey = (rule) => `${rule.userAgent} ${rule.type}: ${rule.path}`;
+  const oldRules = new Set(oldDiscovery.robots.rules.map(ruleKey));
+  const newRules = new Set(newDiscovery.robots.rules.map(ruleKey));
+
+  const oldSitemapUrls = oldDiscovery.sitemap.urls.map(url => ({ oldUrl: url, newUrl: mapUrl(url) }));
+  const newSitemapUrls = new Set(newDiscovery.sitemap.urls.map(normalizeUrl));
+  const mappedOldUrls = new Set(oldSitemapUrls.map(pair => normalizeUrl(pair.newUrl)));
+
+  return {
+    robots: {
+      oldFound: oldDiscovery.robots.found,
+      newFound: newDiscovery.robots.found,
+      addedRules: [...newRules].filter(rule => !oldRules.has(rule)),
+      removedRules: [...oldRules].filter(rule => !newRules.has(rule))
+    },
+    sitemap: {
+      oldUrlCount: oldDiscovery.sitemap.urls.length,
+      newUrlCount: newDiscovery.sitemap.urls.length,
+      missingFromNewSitemap: oldSitemapUrls.filter(pair => !newSitemapUrls.has(normalizeUrl(pair.newUrl))),
+      addedToNewSitemap: newDiscovery.sitemap.urls.filter(url => !mappedOldUrls.has(normalizeUrl(url)))
+    }
+  };
+}
+
+module.exports = {
+  parseRobotsTxt,
+  parseSitemap,
+  fetchRobots,
+  fetchSitemapUrls,
+  discoverSite,
+  diffDiscovery
+};
@@ -0,0 +1,181 @@
+// Properties Google requires for rich results, per schema.org type
+const REQUIRED_PROPERTIES = {
+  Product: ['name', 'offers'],
+  Offer: ['price', 'priceCurrency'],
+  Article: ['headline'],
+  NewsArticle: ['headline'],
+  BlogPosting: ['headline'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position'],
+  Organization: ['name'],
+  LocalBusiness: ['name', 'address'],
+  Event: ['name', 'startDate', 'location'],
+  Recipe: ['name', 'image'],
+  FAQPage: ['mainEntity'],
+  HowTo: ['name', 'step'],
+  JobPosting: ['title', 'datePosted', 'description', 'hiringOrganization'],
+  VideoObject: ['name', 'thumbnailUrl', 'uploadDate'],
+  Review: ['itemReviewed', 'author'],
+  AggregateRating: ['ratingValue'],
+  WebSite: ['name', 'url']
+};
+
+const MAX_VALUE_CHANGES = 50;
+
+function normalizeType(type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types
+    .filter(Boolean)
+    .map(value => String(value).replace(/^https?:\/\/schema\.org\//i, ''))
+    .join(', ') || '(untyped)';
+}
+
+// Expands @graph containers and top-level arrays into individual items
+function collectItems(node, source, items) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectItems(child, source, items));
+    return;
+  }
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  if (Array.isArray(node['@graph'])) {
+    collectItems(node['@graph'], source, items);
+    return;
+  }
+  items.push({ type: normalizeType(node['@type']), source: source, data: node });
+}
+
+function parseStructuredData(jsonLdBlocks = [], microdataItems = []) {
+  const items = [];
+  const errors = [];
+
+  jsonLdBlocks.forEach((block, index) => {
+    try {
+      collectItems(JSON.parse(block), 'json-ld', items);
+    } catch (error) {
+      errors.push({ block: index + 1, message: `Invalid JSON-LD in block ${index + 1}: ${error.message}` });
+    }
+  });
+
+  microdataItems.forEach(item => {
+    items.push({ type: normalizeType(item['@type']), source: 'microdata', data: item });
+  });
+
+  return { items, errors };
+}
+
+function groupByType(items) {
+  const groups = {};
+  items.forEach(item => {
+    groups[item.type] = groups[item.type] || [];
+    groups[item.type].push(item);
+  });
+  return groups;
+}
+
+// Flattens nested properties to paths such as offers.price or itemListElement[0].name
+function flatten(value, prefix, result) {
+  if (Array.isArray(value)) {
+    value.forEach((child, index) => flatten(child, `${prefix}[${index}]`, result));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      if (key === '@context' || key === '@id') {
+        return;
+      }
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, result);
+    });
+  } else if (value !== null && value !== undefined) {
+    result[prefix] = String(value).replace(/\s+/g, ' ').trim();
+  }
+  return result;
+}
+
+function summarizeValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+}
+
+// normalizeUrl translates old-site URLs so moved links are not reported as changes
+function compareStructuredData(oldData, newData, normalizeUrl = value => value) {
+  const changes = [];
+  const oldGroups = groupByType(oldData.items);
+  const newGroups = groupByType(newData.items);
+
+  Object.keys(oldGroups).forEach(type => {
+    if (!newGroups[type]) {
+      changes.push({ change: 'type_removed', path: type, old: `${oldGroups[type].length} item(s)`, new: '' });
+    }
+  });
+
+  Object.keys(newGroups).forEach(type => {
+    if (!oldGroups[type]) {
+      changes.push({ change: 'type_added', path: type, old: '', new: `${newGroups[type].length} item(s)` });
+    }
+  });
+
+  let valueChanges = 0;
+  Object.keys(newGroups).filter(type => oldGroups[type]).forEach(type => {
+    // Items of the same type are paired in document order
+    newGroups[type].forEach((newItem, index) => {
+      const oldItem = oldGroups[type][index];
+      if (!oldItem) {
+        return;
+      }
+      const label = newGroups[type].length > 1 ? `${type}[${index}]` : type;
+      const missingRequired = new Set();
+
+      type.split(', ').forEach(singleType => {
+        (REQUIRED_PROPERTIES[singleType] || []).forEach(property => {
+          if (oldItem.data[property] !== undefined && newItem.data[property] === undefined) {
+            missingRequired.add(property);
+            changes.push({
+              change: 'required_property_missing',
+              path: `${label}.${property}`,
+              old: summarizeValue(oldItem.data[property]),
+              new: ''
+            });
+          }
+        });
+      });
+
+      const oldValues = flatten(oldItem.data, '', {});
+      const newValues = flatten(newItem.data, '', {});
+      const paths = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+
+      paths.forEach(path => {
+        if (path === '@type' || valueChanges >= MAX_VALUE_CHANGES) {
+          return;
+        }
+        const oldValue = oldValues[path];
+        const newValue = newValues[path];
+        if (oldValue !== undefined && normalizeUrl(oldValue) === newValue) {
+          return;
+        }
+        // Missing required properties are already reported above
+        if (missingRequired.has(path.split(/[.[]/)[0])) {
+          return;
+        }
+        valueChanges++;
+        changes.push({
+          change: oldValue === undefined ? 'property_added' : newValue === undefined ? 'property_removed' : 'value_changed',
+          path: `${label}.${path}`,
+          old: summarizeValue(oldValue),
+          new: summarizeValue(newValue)
+        });
+      });
+    });
+  });
+
+  return changes;
+}
+
+module.exports = {
+  REQUIRED_PROPERTIES,
+  parseStructuredData,
+  groupByType,
+  compareStructuredData
+};
@@ -0,0 +1,66 @@
+// Include/exclude patterns are matched against a URL's path and query string, so the
+// same rules work on both sites. A pattern is a RegExp, a regular expression string
+// prefixed with "re:", or a glob where * matches within one path segment and ** matches
+// anything (globs start with "/", so they cannot double as /regex/ literals).
+function compilePattern(pattern) {
+  // The global and sticky flags would make test() stateful across URLs
+  if (pattern instanceof RegExp) {
+    return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  }
+  if (pattern.startsWith('re:')) {
+    try {
+      return new RegExp(pattern.slice(3));
+    } catch (error) {
+      throw new Error(`Invalid URL pattern "${pattern}": ${error.message}`);
+    }
+  }
+
+  const source = pattern.split(/(\*\*|\*)/).map(part => {
+    if (part === '**') {
+      return '.*';
+    }
+    if (part === '*') {
+      return '[^/]*';
+    }
+    return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
+
+function compilePatterns(patterns) {
+  if (!patterns) {
+    return [];
+  }
+  const list = Array.isArray(patterns) ? patterns : String(patterns).split(',');
+  return list
+    .map(pattern => pattern instanceof RegExp ? pattern : String(pattern).trim())
+    .filter(Boolean)
+    .map(compilePattern);
+}
+
+function pathOf(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Returns url => boolean: a URL is kept when it matches an include pattern (or there are
+// none) and no exclude pattern
+function createUrlFilter({ include, exclude } = {}) {
+  const includes = compilePatterns(include);
+  const excludes = compilePatterns(exclude);
+  if (includes.length === 0 && excludes.length === 0) {
+    return () => true;
+  }
+
+  return (url) => {
+    const target = pathOf(url);
+    return (includes.length === 0 || includes.some(pattern => pattern.test(target))) &&
+      !excludes.some(pattern => pattern.test(target));
+  };
+}
+
+module.exports = { compilePatterns, createUrlFilter };
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+
+class UrlMapper {
+  constructor(oldDomain, newDomain) {
+    this.oldDomain = oldDomain;
+    this.newDomain = newDomain;
+    this.exactMap = new Map();
+    this.rules = [];
+  }
+
+  hasRules() {
+    return this.exactMap.size > 0 || this.rules.length > 0;
+  }
+
+  // Explicit pairs always win over regex rules, regardless of load order
+  addMapping(from, to, source = 'manual') {
+    this.exactMap.set(this.toPath(from, this.oldDomain), { from, to, source });
+  }
+
+  addRule(pattern, replacement, source = 'manual') {
+    this.rules.push({
+      pattern: pattern,
+      replacement: replacement,
+      regex: new RegExp(pattern),
+      source: source
+    });
+  }
+
+  loadFile(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`URL map file not found: ${file}`);
+    }
+
+    const content = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+
+    if (extension === '.csv') {
+      this.loadCsv(content, file);
+    } else if (extension === '.json') {
+      this.loadJson(content, file);
+    } else {
+      throw new Error(`Unsupported URL map format "${extension}" (expected .csv or .json): ${file}`);
+    }
+  }
+
+  loadCsv(content, file) {
+    const lines = content.split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+      if (!line.trim() || line.trim().startsWith('#')) {
+        return;
+      }
+
+      const [from, to] = parseCsvLine(line);
+
+      // Skip an optional header row
+      if (index === 0 && /^(old|from|source)/i.test(from) && /^(new|to|target|destination)/i.test(to || '')) {
+        return;
+      }
+
+      if (!from || !to) {
+        throw new Error(`Invalid URL map row at ${file}:${index + 1} (expected "old,new")`);
+      }
+
+      this.addMapping(from, to, `${path.basename(file)}:${index + 1}`);
+    });
+  }
+
+  loadJson(content, file) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in URL map ${file}: ${error.message}`);
+    }
+
+    const name = path.basename(file);
+
+    // A bare array is treated as a list of explicit pairs
+    const redirects = Array.isArray(data) ? data : (data.redirects || []);
+    const rules = Array.isArray(data) ? [] : (data.rules || []);
+
+    if (Array.isArray(redirects)) {
+      redirects.forEach((entry, index) => {
+        const from = Array.isArray(entry) ? entry[0] : entry.from;
+        const to = Array.isArray(entry) ? entry[1] : entry.to;
+        if (!from || !to) {
+          throw new Error(`Invalid redirect #${index + 1} in ${file} (expected { "from": ..., "to": ... })`);
+        }
+        this.addMapping(from, to, `${name} redirects[${index}]`);
+      });
+    } else {
+      Object.entries(redirects).forEach(([from, to]) => {
+        this.addMapping(from, to, `${name} redirects["${from}"]`);
+      });
+    }
+
+    rules.forEach((rule, index) => {
+      if (!rule.pattern || rule.replacement === undefined) {
+        throw new Error(`Invalid rule #${index + 1} in ${file} (expected { "pattern": ..., "replacement": ... })`);
+      }
+      try {
+        this.addRule(rule.pattern, rule.replacement, `${name} rules[${index}]`);
+      } catch (error) {
+        throw new Error(`Invalid regex in rule #${index + 1} of ${file}: ${error.message}`);
+      }
+    });
+  }
+
+  // Strips the domain so rules can be written against paths
+  toPath(url, domain) {
+    if (domain && url.startsWith(domain)) {
+      const rest = url.slice(domain.length);
+      return rest.startsWith('/') ? rest : `/${rest}`;
+    }
+    try {
+      const parsed = new URL(url);
+      return `${parsed.pathname}${parsed.search}`;
+    } catch (error) {
+      return url.startsWith('/') ? url : `/${url}`;
+    }
+  }
+
+  toNewUrl(target) {
+    if (/^https?:\/\//i.test(target)) {
+      return target;
+    }
+    const base = this.newDomain.replace(/\/$/, '');
+    return `${base}${target.startsWith('/') ? target : `/${target}`}`;
+  }
+
+  map(oldUrl) {
+    const oldPath = this.toPath(oldUrl, this.oldDomain);
+
+    const exact = this.exactMap.get(oldPath);
+    if (exact) {
+      return {
+        url: this.toNewUrl(exact.to),
+        rule: { type: 'exact', from: exact.from, to: exact.to, source: exact.source }
+      };
+    }
+
+    for (const rule of this.rules) {
+      if (rule.regex.test(oldPath)) {
+        return {
+          url: this.toNewUrl(oldPath.replace(rule.regex, rule.replacement)),
+          rule: { type: 'regex', pattern: rule.pattern, replacement: rule.replacement, source: rule.source }
+        };
+      }
+    }
+
+    // No rule matched: fall back to swapping the domain
+    return {
+      url: oldUrl.replace(this.oldDomain, this.newDomain),
+      rule: null
+    };
+  }
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+function describeRule(rule) {
+  if (!rule) {
+    return 'domain swap';
+  }
+  if (rule.type === 'exact') {
+    return `${rule.from} → ${rule.to} (${rule.source})`;
+  }
+  return `${rule.pattern} → ${rule.replacement} (${rule.source})`;
+}
+
+module.exports = UrlMapper;
+module.exports.parseCsvLine = parseCsvLine;
+module.exports.describeRule = describeRule;
@@ -0,0 +1,70 @@
+// Every rule is opt-in, so by default URLs are crawled and matched exactly as linked
+const DEFAULTS = {
+  stripFragment: false,
+  // "keep" keeps every parameter not in dropParams; "drop" removes all but allowParams
+  query: 'keep',
+  allowParams: [],
+  dropParams: [],
+  sortParams: false,
+  // "keep", "add" (except on file names like /feed.xml) or "remove" (except on the root)
+  trailingSlash: 'keep',
+  lowercasePaths: false
+};
+
+// Parameter names may use * as a wildcard, e.g. utm_*
+function paramMatcher(names) {
+  const list = !names ? [] : (Array.isArray(names) ? names : String(names).split(','));
+  const patterns = list.map(name => String(name).trim()).filter(Boolean).map(name =>
+    new RegExp(`^${name.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i')
+  );
+  return (name) => patterns.some(pattern => pattern.test(name));
+}
+
+// Returns url => normalized url, so variants of one page are crawled and matched once
+function createUrlNormalizer(settings = {}) {
+  const options = Object.assign({}, DEFAULTS);
+  Object.keys(settings || {}).filter(key => settings[key] !== undefined).forEach(key => {
+    options[key] = settings[key];
+  });
+  const allowed = paramMatcher(options.allowParams);
+  const dropped = paramMatcher(options.dropParams);
+
+  return (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+      return url;
+    }
+
+    if (options.stripFragment) {
+      parsed.hash = '';
+    }
+
+    const params = Array.from(parsed.searchParams.entries());
+    const kept = params.filter(([name]) => allowed(name) || (options.query !== 'drop' && !dropped(name)));
+    if (options.sortParams) {
+      kept.sort((a, b) => (a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0)));
+    }
+    // Untouched query strings keep their original encoding
+    if (kept.length !== params.length || kept.some((param, index) => param !== params[index])) {
+      parsed.search = kept.length > 0 ? new URLSearchParams(kept).toString() : '';
+    }
+
+    if (options.lowercasePaths) {
+      parsed.pathname = parsed.pathname.toLowerCase();
+    }
+    if (options.trailingSlash === 'add' && !parsed.pathname.endsWith('/') && !/\.[a-z0-9]+$/i.test(parsed.pathname)) {
+      parsed.pathname += '/';
+    } else if (options.trailingSlash === 'remove' && parsed.pathname !== '/') {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    }
+
+    return parsed.href;
+  };
+}
+
+module.exports = { DEFAULTS, createUrlNormalizer };
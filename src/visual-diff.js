@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { decodePng, encodePng } = require('./png');
+
+// Channel differences up to this much are anti-aliasing noise, not changes
+const PIXEL_TOLERANCE = 24;
+const THUMBNAIL_WIDTH = 320;
+
+const insideRegion = (regions, x, y) => regions.some(region =>
+  x >= region.x && x < region.x + region.width && y >= region.y && y < region.y + region.height
+);
+
+function pixelAt(image, x, y) {
+  if (x >= image.width || y >= image.height) {
+    return null;
+  }
+  return (y * image.width + x) * 4;
+}
+
+// Compares two RGBA images pixel by pixel. Pixels covered by only one image count as
+// changed, so a page that grew or shrank is reported even if its top is identical.
+function compareImages(oldImage, newImage, ignoreRegions = [], tolerance = PIXEL_TOLERANCE) {
+  const width = Math.max(oldImage.width, newImage.width);
+  const height = Math.max(oldImage.height, newImage.height);
+  const diff = { width, height, data: Buffer.alloc(width * height * 4) };
+  let comparedPixels = 0;
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    // Only test the regions this row passes through
+    const rowRegions = ignoreRegions.filter(region => y >= region.y && y < region.y + region.height);
+
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * 4;
+      const oldIndex = pixelAt(oldImage, x, y);
+      const newIndex = pixelAt(newImage, x, y);
+      const base = oldIndex !== null ? oldImage.data : newImage.data;
+      const baseIndex = oldIndex !== null ? oldIndex : newIndex;
+
+      if (rowRegions.length > 0 && insideRegion(rowRegions, x, y)) {
+        // Ignored regions are tinted blue
+        diff.data[target] = 200;
+        diff.data[target + 1] = 220;
+        diff.data[target + 2] = 255;
+        diff.data[target + 3] = 255;
+        continue;
+      }
+
+      comparedPixels++;
+      const changed = oldIndex === null || newIndex === null ||
+        Math.abs(oldImage.data[oldIndex] - newImage.data[newIndex]) > tolerance ||
+        Math.abs(oldImage.data[oldIndex + 1] - newImage.data[newIndex + 1]) > tolerance ||
+        Math.abs(oldImage.data[oldIndex + 2] - newImage.data[newIndex + 2]) > tolerance;
+
+      if (changed) {
+        changedPixels++;
+        diff.data[target] = 255;
+        diff.data[target + 1] = 0;
+        diff.data[target + 2] = 0;
+      } else {
+        // Unchanged pixels are drawn as a faded grayscale copy for context
+        const gray = 0.299 * base[baseIndex] + 0.587 * base[baseIndex + 1] + 0.114 * base[baseIndex + 2];
+        const faded = Math.round(255 - (255 - gray) * 0.2);
+        diff.data[target] = faded;
+        diff.data[target + 1] = faded;
+        diff.data[target + 2] = faded;
+      }
+      diff.data[target + 3] = 255;
+    }
+  }
+
+  return {
+    width: width,
+    height: height,
+    changedPixels: changedPixels,
+    mismatch: comparedPixels > 0 ? Math.round(changedPixels / comparedPixels * 10000) / 100 : 0,
+    diff: diff
+  };
+}
+
+// Box-filter downscale to a fixed width
+function thumbnail(image, width = THUMBNAIL_WIDTH) {
+  const scale = Math.max(1, image.width / width);
+  const thumbWidth = Math.max(1, Math.round(image.width / scale));
+  const thumbHeight = Math.max(1, Math.round(image.height / scale));
+  const data = Buffer.alloc(thumbWidth * thumbHeight * 4);
+
+  for (let ty = 0; ty < thumbHeight; ty++) {
+    const y0 = Math.floor(ty * scale);
+    const y1 = Math.min(image.height, Math.max(y0 + 1, Math.floor((ty + 1) * scale)));
+    for (let tx = 0; tx < thumbWidth; tx++) {
+      const x0 = Math.floor(tx * scale);
+      const x1 = Math.min(image.width, Math.max(x0 + 1, Math.floor((tx + 1) * scale)));
+      const sums = [0, 0, 0, 0];
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const index = (y * image.width + x) * 4;
+          sums[0] += image.data[index];
+          sums[1] += image.data[index + 1];
+          sums[2] += image.data[index + 2];
+          sums[3] += image.data[index + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const target = (ty * thumbWidth + tx) * 4;
+      sums.forEach((sum, channel) => {
+        data[target + channel] = Math.round(sum / count);
+      });
+    }
+  }
+
+  return { width: thumbWidth, height: thumbHeight, data };
+}
+
+// Diffs two crawled screenshots ({ file, ignoreRegions }) and writes the diff image
+// and thumbnails to outputDir as <name>-*.png
+function diffScreenshots(oldShot, newShot, outputDir, name, tolerance = PIXEL_TOLERANCE) {
+  const oldImage = decodePng(fs.readFileSync(oldShot.file));
+  const newImage = decodePng(fs.readFileSync(newShot.file));
+
+  // Ad slots and carousels differ on every load, so both pages' regions are skipped
+  const ignoreRegions = [].concat(oldShot.ignoreRegions || [], newShot.ignoreRegions || []);
+  const comparison = compareImages(oldImage, newImage, ignoreRegions, tolerance);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const files = {
+    diff: path.join(outputDir, `${name}-diff.png`),
+    oldThumbnail: path.join(outputDir, `${name}-old-thumb.png`),
+    newThumbnail: path.join(outputDir, `${name}-new-thumb.png`),
+    diffThumbnail: path.join(outputDir, `${name}-diff-thumb.png`)
+  };
+  fs.writeFileSync(files.diff, encodePng(comparison.diff));
+  fs.writeFileSync(files.oldThumbnail, encodePng(thumbnail(oldImage)));
+  fs.writeFileSync(files.newThumbnail, encodePng(thumbnail(newImage)));
+  fs.writeFileSync(files.diffThumbnail, encodePng(thumbnail(comparison.diff)));
+
+  return {
+    mismatch: comparison.mismatch,
+    changedPixels: comparison.changedPixels,
+    oldSize: `${oldImage.width}x${oldImage.height}`,
+    newSize: `${newImage.width}x${newImage.height}`,
+    ignoredRegions: ignoreRegions.length,
+    files: files
+  };
+}
+
+module.exports = { compareImages, thumbnail, diffScreenshots };
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { auditAccessibility, compareAccessibility } = require('../src/accessibility');
+
+const audit = (issues) => ({ issues, counts: { total: issues.length } });
+
+test('reports only issues the old page did not have, counting repeated keys', () => {
+  const field = { rule: 'form-label', key: 'input:email', target: '<input name="email">' };
+  const result = compareAccessibility(
+    audit([field, field, { rule: 'image-alt', key: 'hero.jpg', target: '<img src="/old/hero.jpg">' }]),
+    audit([field, field, field, { rule: 'image-alt', key: 'hero.jpg', target: '<img src="/cdn/hero.jpg">' }, { rule: 'html-lang', key: 'html', target: '<html> has no lang attribute' }])
+  );
+
+  assert.deepStrictEqual(result.regressions, [field, { rule: 'html-lang', key: 'html', target: '<html> has no lang attribute' }]);
+  assert.deepStrictEqual(result.oldCounts, { total: 3 });
+  assert.deepStrictEqual(result.newCounts, { total: 5 });
+});
+
+test('matches link issues by their mapped URL', () => {
+  const result = compareAccessibility(
+    audit([{ rule: 'empty-link', key: 'https://old.test/a', target: '<a href="/a">', url: 'https://old.test/a' }]),
+    audit([
+      { rule: 'empty-link', key: 'https://new.test/a', target: '<a href="/a">', url: 'https://new.test/a' },
+      { rule: 'empty-link', key: 'https://new.test/b', target: '<a href="/b">', url: 'https://new.test/b' }
+    ]),
+    url => url.replace('https://old.test/', 'https://new.test/')
+  );
+  assert.deepStrictEqual(result.regressions.map(issue => issue.url), ['https://new.test/b']);
+});
+
+test('audits in the page with the issue limits', async () => {
+  const calls = [];
+  const page = {
+    evaluate: async (fn, ...args) => {
+      calls.push([typeof fn, ...args]);
+      return audit([]);
+    }
+  };
+  assert.deepStrictEqual(await auditAccessibility(page), audit([]));
+  assert.deepStrictEqual(calls, [['function', 50, 2000]]);
+});
@@ -0,0 +1,97 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MigrationComparator = require('../src/index');
+const { createBrowser } = require('./fixtures/browser');
+const { serveSite, page } = require('./fixtures/site');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-delta-api-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let oldSite;
+let newSite;
+before(async () => {
+  oldSite = await serveSite({ '/': page('Home', ['/a', '/b']), '/a': page('About'), '/b': page('Blog') });
+  newSite = await serveSite({ '/': page('Home', ['/a']), '/a': page('About us') });
+});
+after(() => Promise.all([oldSite.close(), newSite.close()]));
+
+// A comparator that writes nothing, with every log line kept
+const comparator = (options = {}) => {
+  const logs = [];
+  const logger = { log: (...args) => logs.push(['log', ...args]), error: (...args) => logs.push(['error', ...args]) };
+  const instance = new MigrationComparator(oldSite.url, newSite.url, Object.assign({
+    browser: createBrowser(),
+    logger: logger,
+    writeFiles: false,
+    snapshotsDir: path.join(dir, 'snapshots'),
+    resultsDir: path.join(dir, 'results')
+  }, options));
+  return { comparator: instance, logs };
+};
+
+test('runs on the browser and logger passed in, and writes no files', async () => {
+  const browser = createBrowser();
+  const { comparator: instance, logs } = comparator({ browser });
+  const consoleLog = mock.method(console, 'log', () => {});
+  let results;
+  try {
+    results = await instance.compareWebsites();
+  } finally {
+    consoleLog.mock.restore();
+  }
+
+  assert.deepStrictEqual(results.missingUrls, [`${newSite.url}b`]);
+  assert.ok(results.pageComparisons.some(comparison => comparison.url === `${newSite.url}a`));
+  assert.ok(logs.some(([, message]) => message === 'Starting website migration comparison...'));
+  assert.strictEqual(consoleLog.mock.callCount(), 0);
+  // The browser is the caller's; only the pages the run opened are closed
+  assert.strictEqual(browser.isConnected(), true);
+  assert.deepStrictEqual(await browser.pages(), []);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'snapshots')), false);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'results')), false);
+});
+
+test('emits crawl, compare, progress and error events', async () => {
+  const { comparator: instance } = comparator();
+  const events = {};
+  ['page:crawled', 'page:compared', 'progress', 'error'].forEach(name => {
+    events[name] = [];
+    instance.on(name, (...args) => events[name].push(args));
+  });
+  await instance.compareWebsites();
+
+  assert.deepStrictEqual(events['page:crawled'].map(([event]) => event.url).sort(), [
+    oldSite.url, `${oldSite.url}a`, `${oldSite.url}b`, newSite.url, `${newSite.url}a`
+  ].sort());
+  const compared = events['page:compared'].find(([event]) => event.url === `${newSite.url}a`)[0];
+  assert.strictEqual(compared.oldUrl, `${oldSite.url}a`);
+  assert.strictEqual(compared.profile, 'desktop');
+  assert.ok(compared.changes.some(change => change.field === 'title'));
+  assert.deepStrictEqual(Array.from(new Set(events.progress.map(([event]) => event.stage))), ['crawl', 'compare', 'redirects']);
+  assert.deepStrictEqual(events.progress.filter(([event]) => event.stage === 'compare').pop()[0], { stage: 'compare', profile: 'desktop', done: 2, total: 2 });
+  // The browser double has no performance timeline, so pages report errors and the run goes on
+  assert.ok(events.error.length > 0);
+  events.error.forEach(([error, context]) => {
+    assert.strictEqual(typeof error.message, 'string');
+    assert.strictEqual(context.stage, 'crawl');
+  });
+});
+
+test('rejects with an AbortError when the signal aborts, leaving the browser open', async () => {
+  const browser = createBrowser();
+  const controller = new AbortController();
+  const { comparator: instance } = comparator({ browser, signal: controller.signal });
+  instance.on('page:crawled', () => controller.abort());
+
+  await assert.rejects(instance.compareWebsites(), { name: 'AbortError' });
+  assert.strictEqual(browser.isConnected(), true);
+  assert.deepStrictEqual(await browser.pages(), []);
+});
+
+test('refuses screenshots and resumed runs without files', () => {
+  assert.throws(() => comparator({ screenshots: true }), /cannot be used with writeFiles: false/);
+  assert.throws(() => comparator({ resume: 'run-1' }), /cannot be used with writeFiles: false/);
+});
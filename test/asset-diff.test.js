@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { formatBytes, summarizeResources, comparePageAssets, findAssetIssues } = require('../src/asset-diff');
+
+const resource = (url, type, size, extra = {}) => Object.assign({ url, type, size, status: 200 }, extra);
+
+test('formats byte counts', () => {
+  assert.strictEqual(formatBytes(null), 'n/a');
+  assert.strictEqual(formatBytes(512), '512 B');
+  assert.strictEqual(formatBytes(1536), '1.5 KB');
+  assert.strictEqual(formatBytes(-3 * 1024 * 1024), '-3.00 MB');
+});
+
+test('totals resources per type', () => {
+  assert.deepStrictEqual(summarizeResources([resource('a.js', 'script', 100), resource('b.js', 'script', 50), resource('c.png', 'image')]), {
+    requests: 3,
+    bytes: 150,
+    byType: { script: { count: 2, bytes: 150 }, image: { count: 1, bytes: 0 } }
+  });
+});
+
+test('flags pages that grew by a fifth and at least 100 KB', () => {
+  const page = (size) => ({ resources: [resource('https://x.test/app.js', 'script', size)] });
+  const grown = comparePageAssets(page(400 * 1024), page(520 * 1024));
+  assert.strictEqual(grown.weightChange, 30);
+  assert.strictEqual(grown.weightRegression, true);
+  assert.strictEqual(comparePageAssets(page(10 * 1024), page(100 * 1024)).weightRegression, false);
+  assert.strictEqual(comparePageAssets(page(1000 * 1024), page(1150 * 1024)).weightRegression, false);
+  assert.strictEqual(comparePageAssets({}, page(10)).weightChange, null);
+});
+
+test('matches images by mapped URL or file name and reports missing ones and lost alt text', () => {
+  const result = comparePageAssets({
+    images: [
+      { src: 'https://old.test/img/logo.png', alt: 'Acme' },
+      { src: 'https://old.test/img/Hero%20Shot.JPG', alt: 'Hero' },
+      { src: 'https://old.test/img/gone.gif', alt: '' },
+      { src: 'https://old.test/img/gone.gif', alt: '' },
+      { src: 'data:image/png;base64,AAAA', alt: '' }
+    ]
+  }, {
+    images: [
+      { src: 'https://new.test/img/logo.png', alt: 'Acme' },
+      { src: 'https://cdn.test/media/hero shot.jpg', alt: '' }
+    ]
+  }, url => url.replace('https://old.test/', 'https://new.test/'));
+
+  assert.deepStrictEqual(result.missingImages, ['https://old.test/img/gone.gif']);
+  assert.deepStrictEqual(result.lostAlt, [{ oldSrc: 'https://old.test/img/Hero%20Shot.JPG', newSrc: 'https://cdn.test/media/hero shot.jpg', oldAlt: 'Hero' }]);
+});
+
+test('groups broken, hotlinked and mixed-content assets across pages', () => {
+  const resourcesByPage = {
+    page_a: [
+      resource('https://new.test/missing.css', 'stylesheet', 0, { status: 404 }),
+      resource('https://old.test/logo.png', 'image', 10),
+      resource('https://new.test/lazy.jpg', 'image', 0, { status: null, error: 'net::ERR_ABORTED' })
+    ],
+    page_b: [
+      resource('https://new.test/missing.css', 'stylesheet', 0, { status: 404 }),
+      resource('http://cdn.test/font.woff2', 'font', 10, { mixedContent: true }),
+      resource('https://new.test/api', 'fetch', 0, { status: null, error: 'net::ERR_CONNECTION_REFUSED' })
+    ]
+  };
+  const issues = findAssetIssues(resourcesByPage, { page_a: 'https://new.test/a' }, 'https://old.test/', 'https://new.test/');
+
+  assert.deepStrictEqual(issues.brokenAssets.map(group => [group.url, group.pages, group.examplePages]), [
+    ['https://new.test/missing.css', 2, ['https://new.test/a', 'page_b']],
+    ['https://new.test/api', 1, ['page_b']]
+  ]);
+  assert.deepStrictEqual(issues.oldDomainAssets.map(group => group.url), ['https://old.test/logo.png']);
+  assert.deepStrictEqual(issues.mixedContent.map(group => group.url), ['http://cdn.test/font.woff2']);
+  assert.deepStrictEqual(findAssetIssues(resourcesByPage, {}, 'https://new.test/', 'https://new.test/').oldDomainAssets, []);
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CrawlCheckpoint = require('../src/checkpoint');
+const { createRun, loadRun, removeRun, runDir } = require('../src/checkpoint');
+const Crawler = require('../src/crawler');
+const { createBrowser } = require('./fixtures/browser');
+const { serveSite, page } = require('./fixtures/site');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-delta-checkpoint-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let site;
+before(async () => {
+  site = await serveSite({
+    '/': page('Home', ['/a', '/b', '/c']),
+    '/a': page('A', ['/d']),
+    '/b': page('B'),
+    '/c': page('C'),
+    '/d': page('D')
+  });
+});
+after(() => site.close());
+
+const crawler = (options) => new Crawler(Object.assign({
+  getBrowser: async () => createBrowser(),
+  accessibility: false,
+  logger: { log() {}, error() {} },
+  onError() {}
+}, options));
+
+test('has nothing to resume before the first save', () => {
+  assert.strictEqual(new CrawlCheckpoint(path.join(dir, 'empty')).load(), null);
+});
+
+test('restores saved pages and their data, per device profile', () => {
+  const checkpoint = new CrawlCheckpoint(path.join(dir, 'site'));
+  const data = { url: 'https://old.test/a', response: { status: 200, headers: {} }, links: [{ href: 'https://old.test/b', text: 'B', rel: '' }] };
+  checkpoint.savePage('https___old_test_a', '<html>a</html>', data);
+  checkpoint.savePage('mobile/https___old_test_a', '<html>mobile</html>', { url: 'https://old.test/a', response: { status: 200, headers: {} } });
+  checkpoint.saveState({
+    baseUrl: 'https://old.test/',
+    linkQueue: [{ url: 'https://old.test/b', depth: 1 }],
+    snapshotKeys: ['https___old_test_a', 'https___old_test_unsaved'],
+    deviceProfiles: { mobile: { snapshotKeys: ['https___old_test_a'] } }
+  });
+
+  const state = checkpoint.load();
+  assert.deepStrictEqual(state.linkQueue, [{ url: 'https://old.test/b', depth: 1 }]);
+  assert.deepStrictEqual(state.snapshots, { https___old_test_a: '<html>a</html>' });
+  assert.deepStrictEqual(state.pageData, { https___old_test_a: data });
+  assert.deepStrictEqual(state.deviceProfiles.mobile.snapshots, { https___old_test_a: '<html>mobile</html>' });
+  assert.strictEqual(state.deviceProfiles.mobile.pageData.https___old_test_a.response.status, 200);
+});
+
+test('creates, loads and removes run manifests', () => {
+  const runPath = createRun(dir, 'run-1', { oldDomain: 'https://old.test/', mode: 'full' });
+  assert.strictEqual(runPath, runDir(dir, 'run-1'));
+  assert.deepStrictEqual(loadRun(dir, 'run-1'), { runId: 'run-1', oldDomain: 'https://old.test/', mode: 'full' });
+
+  removeRun(dir, 'run-1');
+  assert.throws(() => loadRun(dir, 'run-1'), /No interrupted run found with ID "run-1"/);
+});
+
+test('saves the crawl state periodically and once more at the end', async () => {
+  const checkpoint = new CrawlCheckpoint(path.join(dir, 'periodic'));
+  const states = [];
+  const saveState = checkpoint.saveState.bind(checkpoint);
+  checkpoint.saveState = (state) => {
+    states.push(state);
+    saveState(state);
+  };
+
+  await crawler({ checkpoint, checkpointInterval: 60000 }).crawl(site.url);
+
+  assert.deepStrictEqual(states.map(state => [state.pageCount, state.complete]), [[1, false], [5, true]]);
+  assert.strictEqual(fs.readdirSync(path.join(dir, 'periodic', 'pages')).length, 10);
+});
+
+test('resumes from the last saved state, crawling the pages finished after it again', async () => {
+  // The run stops for good after its first save, like a process killed mid-crawl
+  const checkpoint = new CrawlCheckpoint(path.join(dir, 'interrupted'));
+  const saveState = checkpoint.saveState.bind(checkpoint);
+  checkpoint.saveState = (state) => {
+    saveState(state);
+    checkpoint.saveState = () => {};
+  };
+  await crawler({ checkpoint, checkpointInterval: 60000 }).crawl(site.url);
+
+  site.requests.length = 0;
+  const result = await crawler({ checkpoint: new CrawlCheckpoint(path.join(dir, 'interrupted')) }).crawl(site.url);
+  assert.deepStrictEqual(site.paths(), ['/a', '/b', '/c', '/d']);
+  assert.strictEqual(Object.keys(result.snapshots).length, 5);
+  // The start page comes from the checkpoint, with its response
+  assert.strictEqual(result.responses[site.url.replace(/[^a-zA-Z0-9]/g, '_')].status, 200);
+});
+
+test('resumes an aborted crawl without crawling its saved pages again', async () => {
+  const checkpoint = new CrawlCheckpoint(path.join(dir, 'aborted'));
+  const controller = new AbortController();
+  site.requests.length = 0;
+  const aborted = crawler({ checkpoint, checkpointInterval: 60000, signal: controller.signal, onPage: (url, progress) => {
+    if (progress.crawled === 3) {
+      controller.abort();
+    }
+  } });
+  await assert.rejects(aborted.crawl(site.url), { name: 'AbortError' });
+  assert.deepStrictEqual(site.paths(), ['/', '/a', '/b']);
+
+  site.requests.length = 0;
+  const result = await crawler({ checkpoint }).crawl(site.url);
+  assert.deepStrictEqual(site.paths(), ['/c', '/d']);
+  assert.strictEqual(Object.keys(result.snapshots).length, 5);
+  assert.strictEqual(result.linkGraph[`${site.url}a`][0].href, `${site.url}d`);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseArguments, buildComparatorOptions } = require('../index');
+
+const parse = (...args) => {
+  const argv = process.argv;
+  process.argv = ['node', 'index.js', ...args];
+  try {
+    return parseArguments();
+  } finally {
+    process.argv = argv;
+  }
+};
+
+test('keeps everything after the first = as the value', () => {
+  const options = parse('--old=https://old.test/?a=1&b=2', '--include=re:^/a=b');
+  assert.strictEqual(options.old, 'https://old.test/?a=1&b=2');
+  assert.strictEqual(options.include, 're:^/a=b');
+});
+
+test('parses bare flags, short options and the command', () => {
+  const options = parse('snapshot', '--quick', '-o', 'https://old.test/', '--fields=');
+  assert.deepStrictEqual(options, { command: 'snapshot', quick: true, o: 'https://old.test/', fields: '' });
+});
+
+test('validates numeric flags, including the redirect hop limit', () => {
+  assert.strictEqual(buildComparatorOptions(parse('--max-redirect-hops=0')).maxRedirectHops, 0);
+  assert.throws(() => buildComparatorOptions(parse('--max-redirect-hops=abc')), /maxRedirectHops/);
+  assert.throws(() => buildComparatorOptions(parse('--max-pages=ten')), /maxPages/);
+});
+
+test('turns URL normalization rules on from flags', () => {
+  assert.deepStrictEqual(buildComparatorOptions(parse('--sort-params', '--strip-fragments', '--drop-params=utm_*')).normalize, {
+    dropParams: 'utm_*',
+    sortParams: true,
+    stripFragment: true
+  });
+  assert.deepStrictEqual(buildComparatorOptions(parse()).normalize, {});
+});
@@ -0,0 +1,87 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateConfig, validateOptions, loadConfig, configToOptions } = require('../src/config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-delta-config-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const config = {
+  old: 'https://old.test',
+  new: 'https://new.test',
+  crawl: { maxPages: 50, include: '/blog/**, re:^/news', normalize: { trailingSlash: 'remove' } },
+  render: { profiles: ['desktop', 'mobile'] },
+  compare: {
+    extractors: [{ name: 'price', selector: '.price' }],
+    fields: ['title', 'price'],
+    ignore: [{ pattern: ' \\| Brand$', fields: ['title'] }],
+    severity: { price: 'critical' },
+    failOn: 'warning'
+  },
+  output: { formats: ['csv', './formatters/custom.js'] }
+};
+
+test('accepts a valid config, including fields of its own extractors', () => {
+  assert.strictEqual(validateConfig(config), config);
+});
+
+test('lists every problem in one error', () => {
+  assert.throws(() => validateConfig({
+    old: 'old.test',
+    crawl: { maxPages: 0, normalize: { query: 'strip' } },
+    render: { colour: true },
+    compare: { fields: 'title,price', ignore: [{ pattern: '(' }] },
+    output: []
+  }, 'web-delta.config.json'), (error) => {
+    const lines = error.message.split('\n');
+    assert.strictEqual(lines[0], 'Invalid configuration in web-delta.config.json:');
+    assert.deepStrictEqual(lines.slice(1, 5), [
+      '  - old: expected an http(s) URL, got "old.test"',
+      '  - crawl.maxPages: expected a positive integer, got 0',
+      '  - crawl.normalize.query: expected one of "keep", "drop", got "strip"',
+      '  - render.colour: unknown setting (expected one of: profiles, viewport, userAgent, screenshots, ignoreRegions, visualThreshold)'
+    ]);
+    assert.match(lines[5], /^ {2}- compare\.fields: item 2: expected a field name \(title, .*\), got "price"$/);
+    assert.match(lines[6], /^ {2}- compare\.ignore: item 1: invalid pattern "\(": /);
+    assert.strictEqual(lines[7], '  - output: expected an object, got []');
+    assert.strictEqual(lines.length, 8);
+    return true;
+  });
+});
+
+test('checks severities and performance budgets with their own parsers', () => {
+  assert.throws(() => validateConfig({ compare: { severity: 'title:fatal', performanceBudgets: 'fcp:1' } }),
+    /compare\.severity: Invalid severity "fatal" for title[\s\S]*compare\.performanceBudgets: Unknown performance metric "fcp"/);
+});
+
+test('validates flat options against the same settings', () => {
+  assert.deepStrictEqual(validateOptions({ maxPages: 5, failOn: undefined, browser: {} }), { crawl: { maxPages: 5 } });
+  assert.throws(() => validateOptions({ fields: 'price' }, 'CLI flags'), /Invalid configuration in CLI flags:\n {2}- compare\.fields: item 1/);
+  assert.deepStrictEqual(validateOptions({ fields: 'price' }, 'CLI flags', ['price']), { compare: { fields: 'price' } });
+});
+
+test('flattens a config into comparator options', () => {
+  assert.deepStrictEqual(configToOptions({ old: 'https://old.test', crawl: { maxPages: 5 }, output: { resultsDir: 'out' } }), { maxPages: 5, resultsDir: 'out' });
+  assert.deepStrictEqual(configToOptions(null), {});
+});
+
+test('loads the default config file from the working directory', () => {
+  const cwd = fs.mkdtempSync(path.join(dir, 'cwd-'));
+  assert.strictEqual(loadConfig(null, cwd), null);
+
+  fs.writeFileSync(path.join(cwd, 'web-delta.config.json'), JSON.stringify({ crawl: { maxPages: 5 } }));
+  assert.deepStrictEqual(loadConfig(null, cwd), { file: path.join(cwd, 'web-delta.config.json'), crawl: { maxPages: 5 } });
+});
+
+test('loads JavaScript configs and reports unreadable ones', () => {
+  const jsConfig = path.join(dir, 'site.config.js');
+  fs.writeFileSync(jsConfig, 'module.exports = { crawl: { include: [/\\/blog/] } };');
+  const brokenConfig = path.join(dir, 'broken.json');
+  fs.writeFileSync(brokenConfig, '{ "crawl": ');
+
+  assert.deepStrictEqual(loadConfig(jsConfig).crawl.include, [/\/blog/]);
+  assert.throws(() => loadConfig(brokenConfig), /Invalid JSON in .*broken\.json/);
+  assert.throws(() => loadConfig(path.join(dir, 'missing.json')), /Config file not found/);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeText, diffSequences, editDistance, similarity, inlineWordDiff, compareContent } = require('../src/content-diff');
+
+const words = (count, prefix = 'w') => Array.from({ length: count }, (_, index) => `${prefix}${index}`);
+
+test('collapses whitespace', () => {
+  assert.strictEqual(normalizeText('  a\n\tb   c '), 'a b c');
+});
+
+test('diffs sequences into runs of equal, removed and added items', () => {
+  assert.deepStrictEqual(diffSequences(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), [
+    { type: 'equal', items: ['a'] },
+    { type: 'removed', items: ['b'] },
+    { type: 'added', items: ['x'] },
+    { type: 'equal', items: ['c'] },
+    { type: 'added', items: ['d'] }
+  ]);
+});
+
+test('reports oversized sequences as wholly removed and added', () => {
+  const oldItems = words(2001, 'a');
+  const newItems = words(2001, 'b');
+  assert.deepStrictEqual(diffSequences(oldItems, newItems), [
+    { type: 'removed', items: oldItems },
+    { type: 'added', items: newItems }
+  ]);
+});
+
+test('counts insertions and deletions', () => {
+  assert.strictEqual(editDistance([], []), 0);
+  assert.strictEqual(editDistance(['a', 'b'], ['b', 'a']), 2);
+  assert.strictEqual(editDistance(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e']), 3);
+});
+
+test('overestimates the edit distance once the step budget runs out', () => {
+  const oldItems = words(5000);
+  // Exact for a rewrite and a reversal; never below the real distance
+  assert.strictEqual(editDistance(oldItems, words(5000, 'x')), 10000);
+  assert.strictEqual(editDistance(oldItems, oldItems.slice().reverse()), 9998);
+
+  // Every other word replaced: the real distance is 5000
+  const edited = oldItems.map((item, index) => index % 2 ? `x${index}` : item);
+  assert.strictEqual(editDistance(oldItems, edited), 5000);
+});
+
+test('scores similarity as a percentage of all words', () => {
+  assert.strictEqual(similarity([], []), 100);
+  assert.strictEqual(similarity(['a', 'b', 'c', 'd'], ['a', 'b', 'c', 'e']), 75);
+});
+
+test('marks changed words inline', () => {
+  assert.strictEqual(inlineWordDiff('the quick fox', 'the slow fox'), 'the ~~quick~~ **slow** fox');
+});
+
+test('flags pages below the threshold with paragraph hunks', () => {
+  const result = compareContent(
+    ['Intro text stays the same.', 'Prices start at ten dollars per month for everyone.', 'Old footer'],
+    ['Intro text stays the same.', 'Prices start at twelve dollars per month for everyone.', 'Brand new closing section']
+  );
+  assert.strictEqual(result.flagged, true);
+  assert.strictEqual(result.modifiedParagraphs, 1);
+  assert.strictEqual(result.removedParagraphs, 1);
+  assert.strictEqual(result.addedParagraphs, 1);
+  assert.strictEqual(result.excerpt[0].text, 'Prices start at ~~ten~~ **twelve** dollars per month for everyone.');
+});
+
+test('does not flag identical content', () => {
+  const result = compareContent(['Same  text'], ['Same text']);
+  assert.strictEqual(result.similarity, 100);
+  assert.strictEqual(result.flagged, false);
+  assert.deepStrictEqual(result.excerpt, []);
+});
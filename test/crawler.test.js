@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const EventEmitter = require('events');
+const assert = require('node:assert');
+const Crawler = require('../src/crawler');
+const { HostRateLimiter, trackResources } = require('../src/crawler');
+const { createBrowser } = require('./fixtures/browser');
+const { serveSite, page } = require('./fixtures/site');
+
+const PAGES = {
+  '/': page('Home', ['/a', '/b']),
+  '/a': page('A', ['/a1', '/c', '/']),
+  '/b': page('B', ['/b1']),
+  '/a1': page('A1', ['/a1x']),
+  '/b1': page('B1'),
+  '/c': page('C'),
+  '/a1x': page('A1x')
+};
+
+let site;
+const browser = createBrowser();
+before(async () => {
+  site = await serveSite(PAGES);
+});
+after(() => site.close());
+
+const logger = { log() {}, error() {} };
+const crawl = (options = {}) => {
+  site.requests.length = 0;
+  const crawler = new Crawler(Object.assign({ getBrowser: async () => browser, accessibility: false, logger, onError() {} }, options));
+  return crawler.crawl(site.url);
+};
+
+test('crawls breadth-first, one level of links at a time', async () => {
+  const crawled = [];
+  const result = await crawl({ onPage: (url, progress) => crawled.push([url.slice(site.url.length - 1), progress.depth]) });
+
+  assert.deepStrictEqual(site.paths(), ['/', '/a', '/b', '/a1', '/c', '/b1', '/a1x']);
+  assert.deepStrictEqual(crawled, [['/', 0], ['/a', 1], ['/b', 1], ['/a1', 2], ['/c', 2], ['/b1', 2], ['/a1x', 3]]);
+  assert.strictEqual(result.urls.length, 7);
+  assert.deepStrictEqual(result.sources[site.url], ['start', 'link']);
+  assert.deepStrictEqual(result.linkGraph[`${site.url}b`].map(link => link.href), [`${site.url}b1`]);
+});
+
+test('stops following links beyond maxDepth', async () => {
+  const result = await crawl({ maxDepth: 1 });
+
+  assert.deepStrictEqual(site.paths(), ['/', '/a', '/b']);
+  assert.strictEqual(Object.keys(result.snapshots).length, 3);
+  // Links found on the last level are still listed
+  assert.ok(result.urls.includes(`${site.url}a1`));
+});
+
+test('crawls at most maxPages pages', async () => {
+  const result = await crawl({ maxPages: 2, concurrency: 3 });
+
+  assert.deepStrictEqual(site.paths(), ['/', '/a']);
+  assert.strictEqual(Object.keys(result.snapshots).length, 2);
+});
+
+test('spaces requests to one host by the delay, across workers', async () => {
+  const start = Date.now();
+  await crawl({ concurrency: 3, rateLimiter: new HostRateLimiter(50) });
+
+  // Each request gets its own slot; a busy event loop can only make one later, not earlier
+  assert.strictEqual(site.requests.length, 7);
+  site.requests.forEach((request, index) => {
+    assert.ok(request.at - start >= index * 50, `request ${index + 1} came ${request.at - start}ms in`);
+  });
+});
+
+test('renders up to concurrency pages at once', async () => {
+  const slow = await serveSite({ '/': page('Home', ['/1', '/2', '/3', '/4', '/5']) }, { delay: 100 });
+  try {
+    const crawler = new Crawler({ getBrowser: async () => browser, concurrency: 3, accessibility: false, logger, onError() {} });
+    const result = await crawler.crawl(slow.url);
+
+    assert.strictEqual(Object.keys(result.snapshots).length, 6);
+    assert.strictEqual(slow.maxActive, 3);
+  } finally {
+    await slow.close();
+  }
+});
+
+test('sizes resources by the bytes transferred, whatever Content-Length says', async () => {
+  const session = new EventEmitter();
+  session.send = async () => ({});
+  session.detach = async () => {};
+  const page = new EventEmitter();
+  page.createCDPSession = async () => session;
+  page.mainFrame = () => 'main';
+  const request = (id, url, headers, failure) => ({
+    id: id,
+    url: () => url,
+    resourceType: () => 'script',
+    isNavigationRequest: () => false,
+    frame: () => 'main',
+    failure: () => failure,
+    response: () => ({ status: () => 200, headers: () => headers })
+  });
+
+  const tracker = await trackResources(page, 'https://new.test/');
+  session.emit('Network.loadingFinished', { requestId: '1', encodedDataLength: 1200 });
+  page.emit('requestfinished', request('1', 'https://new.test/gzipped.js', { 'content-length': '5000' }));
+  session.emit('Network.loadingFinished', { requestId: '2', encodedDataLength: 800 });
+  page.emit('requestfinished', request('2', 'http://new.test/plain.js', {}));
+  page.emit('requestfailed', request('3', 'https://new.test/gone.js', {}, { errorText: 'net::ERR_FAILED' }));
+  const resources = await tracker.stop();
+
+  assert.deepStrictEqual(resources.map(resource => [resource.size, resource.mixedContent, resource.error]), [
+    [1200, false, null],
+    [800, true, null],
+    [0, false, 'net::ERR_FAILED']
+  ]);
+});
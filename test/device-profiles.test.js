@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PROFILES, resolveProfiles, describeProfile } = require('../src/device-profiles');
+
+test('defaults to the desktop profile', () => {
+  assert.deepStrictEqual(resolveProfiles(), [PROFILES.desktop]);
+  assert.deepStrictEqual(resolveProfiles(' , '), [PROFILES.desktop]);
+});
+
+test('resolves profile names in order, the first being the primary one', () => {
+  assert.deepStrictEqual(resolveProfiles(' Mobile,googlebot ').map(profile => profile.name), ['mobile', 'googlebot']);
+  assert.deepStrictEqual(resolveProfiles(['desktop', { name: 'tablet', viewport: { width: 800, height: 1200 } }]).map(profile => profile.name), ['desktop', 'tablet']);
+});
+
+test('builds the custom profile from desktop', () => {
+  const [profile] = resolveProfiles('custom', { viewport: '1280X800' });
+  assert.deepStrictEqual(profile, { name: 'custom', viewport: { width: 1280, height: 800 }, userAgent: PROFILES.desktop.userAgent });
+  assert.strictEqual(resolveProfiles('custom', { userAgent: 'Bot/1.0' })[0].viewport, PROFILES.desktop.viewport);
+});
+
+test('rejects unknown, repeated and incomplete profiles', () => {
+  assert.throws(() => resolveProfiles('tablet'), /Unknown device profile "tablet" \(available: desktop, mobile, googlebot, custom\)/);
+  assert.throws(() => resolveProfiles('mobile,MOBILE'), /Device profile "mobile" is listed more than once/);
+  assert.throws(() => resolveProfiles('custom'), /The custom profile needs --viewport and\/or --user-agent/);
+  assert.throws(() => resolveProfiles('custom', { viewport: 'wide' }), /Invalid viewport "wide"/);
+});
+
+test('describes profiles', () => {
+  assert.strictEqual(describeProfile(PROFILES.desktop), 'desktop (1920x1080)');
+  assert.strictEqual(describeProfile(PROFILES.mobile), 'mobile (390x844, mobile)');
+});
@@ -0,0 +1,85 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateExtractor, compileExtractors, describeExtractor, extractCustomFields } = require('../src/extractors');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-delta-extractors-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('accepts selector, xpath, plugin and extract extractors', () => {
+  assert.strictEqual(validateExtractor({ name: 'price', selector: '.price' }), null);
+  assert.strictEqual(validateExtractor({ name: 'sku', xpath: '//*[@itemprop="sku"]/@content', mode: 'attribute', attribute: 'content', all: true }), null);
+  assert.strictEqual(validateExtractor({ name: 'author', plugin: './author.js' }), null);
+  assert.strictEqual(validateExtractor({ name: 'cta-count', extract: () => 1 }), null);
+});
+
+test('explains invalid extractor definitions', () => {
+  assert.match(validateExtractor(['price']), /^expected \{ name, selector/);
+  assert.strictEqual(validateExtractor({ name: 'price', selector: '.price', css: true }), 'unknown extractor setting "css" (expected name, selector, xpath, mode, attribute, all, plugin, extract)');
+  assert.strictEqual(validateExtractor({ name: '1st', selector: 'p' }), 'expected name to be a word like "price", got "1st"');
+  assert.strictEqual(validateExtractor({ name: 'title', selector: 'h1' }), '"title" is a built-in field');
+  assert.strictEqual(validateExtractor({ name: 'price', selector: '.a', xpath: '//a' }), 'extractor "price" needs exactly one of selector, xpath, plugin or extract');
+  assert.strictEqual(validateExtractor({ name: 'price', extract: 'code' }), 'extractor "price": extract must be a function');
+  assert.strictEqual(validateExtractor({ name: 'price', selector: ' ' }), 'extractor "price": selector must be a non-empty string');
+  assert.strictEqual(validateExtractor({ name: 'price', plugin: './p.js', all: true }), 'extractor "price": mode, attribute and all only apply to selector and xpath extractors');
+  assert.strictEqual(validateExtractor({ name: 'price', selector: 'p', mode: 'html' }), 'extractor "price": expected mode to be one of text, attribute, count, got "html"');
+  assert.strictEqual(validateExtractor({ name: 'price', selector: 'p', mode: 'attribute' }), 'extractor "price": mode "attribute" needs an attribute name');
+  assert.strictEqual(validateExtractor({ name: 'price', selector: 'p', all: 'yes' }), 'extractor "price": all must be true or false');
+});
+
+test('compiles extractors with defaults and loads plugins', () => {
+  const plugin = path.join(dir, 'author.js');
+  fs.writeFileSync(plugin, 'module.exports = { extract: () => document.title };');
+
+  const [price, author] = compileExtractors([{ name: 'price', selector: '.price' }, { name: 'author', plugin: plugin }]);
+  assert.deepStrictEqual(price, { name: 'price', selector: '.price', xpath: undefined, mode: 'text', attribute: undefined, all: false });
+  assert.strictEqual(author.plugin, plugin);
+  assert.strictEqual(typeof author.extract, 'function');
+});
+
+test('rejects duplicate names and unusable plugins', () => {
+  const plugin = path.join(dir, 'empty.js');
+  fs.writeFileSync(plugin, 'module.exports = {};');
+
+  assert.throws(() => compileExtractors([{ name: 'price', selector: 'a' }, { name: 'price', selector: 'b' }]), /Invalid extractor: "price" is defined twice/);
+  assert.throws(() => compileExtractors([{ name: 'price' }]), /Invalid extractor: extractor "price" needs exactly one of/);
+  assert.throws(() => compileExtractors([{ name: 'author', plugin: plugin }]), /must export a function \(or \{ extract \}\) for "author"/);
+  assert.throws(() => compileExtractors([{ name: 'author', plugin: path.join(dir, 'missing.js') }]), /Could not load extractor plugin/);
+});
+
+test('describes extractors for reports', () => {
+  const [text, attribute, count] = compileExtractors([
+    { name: 'price', selector: '.price', all: true },
+    { name: 'sku', xpath: '//meta', mode: 'attribute', attribute: 'content' },
+    { name: 'ctas', selector: '.cta', mode: 'count' }
+  ]);
+  assert.strictEqual(describeExtractor(text), '`.price` (text, all matches)');
+  assert.strictEqual(describeExtractor(attribute), 'XPath `//meta` (attribute content)');
+  assert.strictEqual(describeExtractor(count), '`.cta` (count)');
+  assert.strictEqual(describeExtractor({ name: 'x', extract: () => 1 }), 'extract function');
+});
+
+test('extracts every field, reporting failing extractors as empty values', async () => {
+  const extractors = compileExtractors([
+    { name: 'price', selector: '.price' },
+    { name: 'broken', selector: '[[' },
+    { name: 'meta', extract: (url) => ({ url }) },
+    { name: 'throws', extract: () => { throw new Error('boom'); } }
+  ]);
+  // Selector extractors are evaluated together; extract functions get the page URL
+  const page = {
+    evaluate: async (fn, arg) => Array.isArray(arg)
+      ? { price: '$10', broken: { error: 'not a valid selector' } }
+      : fn(arg)
+  };
+  const errors = [];
+
+  const values = await extractCustomFields(page, extractors, 'https://new.test/a', (message, error) => errors.push(`${message} ${error.message}`));
+  assert.deepStrictEqual(values, { price: '$10', broken: '', meta: '{"url":"https://new.test/a"}', throws: '' });
+  assert.deepStrictEqual(errors, [
+    'Error running extractor "broken" on https://new.test/a: not a valid selector',
+    'Error running extractor "throws" on https://new.test/a: boom'
+  ]);
+});
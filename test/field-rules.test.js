@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFieldFilter, compileIgnoreRules, applyIgnoreRules } = require('../src/field-rules');
+
+test('compares every field without a whitelist or blacklist', () => {
+  assert.strictEqual(createFieldFilter()('title'), true);
+});
+
+test('combines a whitelist with a blacklist', () => {
+  const filter = createFieldFilter({ fields: 'title, description,price', ignoreFields: ['description'], customFields: ['price'] });
+  assert.deepStrictEqual(['title', 'description', 'price', 'keywords'].map(filter), [true, false, true, false]);
+});
+
+test('rejects unknown fields', () => {
+  assert.throws(() => createFieldFilter({ fields: 'titel' }), /Unknown field "titel" in fields/);
+  assert.throws(() => createFieldFilter({ ignoreFields: 'price' }), /Unknown field "price" in ignoreFields/);
+  assert.throws(() => compileIgnoreRules([{ pattern: 'x', fields: 'nope' }]), /Unknown field "nope" in ignore rule fields/);
+});
+
+test('removes ignored text from the fields a rule names', () => {
+  const rules = compileIgnoreRules([
+    { pattern: ' \\| Old Brand$', fields: ['title'] },
+    { pattern: /build \d+/i }
+  ]);
+  assert.strictEqual(applyIgnoreRules(rules, 'title', 'About | Old Brand'), 'About');
+  assert.strictEqual(applyIgnoreRules(rules, 'description', 'About | Old Brand'), 'About | Old Brand');
+  assert.strictEqual(applyIgnoreRules(rules, 'description', 'Build 12 and build 13 notes'), 'and  notes');
+  assert.strictEqual(applyIgnoreRules(rules, 'title', null), null);
+});
+
+test('reports invalid ignore patterns', () => {
+  assert.throws(() => compileIgnoreRules([{ pattern: '(' }]), /Invalid ignore pattern \(/);
+});
@@ -0,0 +1,155 @@
+const EventEmitter = require('events');
+const http = require('http');
+const { JSDOM } = require('jsdom');
+
+// Stands in for a Puppeteer browser where Chrome cannot run. Pages are fetched over HTTP
+// and parsed with jsdom without running their scripts; page functions passed to
+// evaluate run against that document, serialized like Puppeteer does.
+
+function fetchPage(url, userAgent, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers: { 'User-Agent': userAgent || 'web-delta-test' } }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects < 5) {
+          fetchPage(new URL(res.headers.location, url).href, userAgent, redirects + 1).then(resolve, reject);
+          return;
+        }
+        resolve({ url: url, status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+      });
+    }).on('error', reject);
+  });
+}
+
+class FakePage extends EventEmitter {
+  constructor(browser) {
+    super();
+    this.browser = browser;
+    this.initScripts = [];
+    this.closed = false;
+    this.viewport = null;
+    this.userAgent = null;
+    this.load('', 'about:blank');
+  }
+
+  load(html, url) {
+    this.dom = new JSDOM(html, { url: url, runScripts: 'outside-only' });
+    const { window } = this.dom;
+    // jsdom does no layout, so innerText falls back to the text content
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+      get() {
+        return this.textContent;
+      }
+    });
+    // Scripts for new documents may use browser APIs jsdom lacks; a page would carry on
+    this.initScripts.forEach(script => {
+      try {
+        window.eval(`(${script})`)();
+      } catch (error) {
+        // ignored
+      }
+    });
+  }
+
+  async setViewport(viewport) {
+    this.viewport = viewport;
+  }
+
+  async setUserAgent(userAgent) {
+    this.userAgent = userAgent;
+  }
+
+  async evaluateOnNewDocument(script) {
+    this.initScripts.push(script);
+  }
+
+  async goto(url) {
+    const response = await fetchPage(url, this.userAgent);
+    this.load(response.body, response.url);
+    return {
+      url: () => response.url,
+      status: () => response.status,
+      headers: () => response.headers
+    };
+  }
+
+  async setContent(html) {
+    this.load(html, 'about:blank');
+  }
+
+  async content() {
+    return this.dom.serialize();
+  }
+
+  async evaluate(pageFunction, ...args) {
+    const result = await this.dom.window.eval(`(${pageFunction})`)(...args);
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  }
+
+  mainFrame() {
+    return null;
+  }
+
+  // No requests are observed, so the DevTools session never reports any
+  async createCDPSession() {
+    const session = new EventEmitter();
+    session.send = async () => ({});
+    session.detach = async () => {};
+    return session;
+  }
+
+  url() {
+    return this.dom.window.location.href;
+  }
+
+  async screenshot() {
+    throw new Error('Screenshots need a real browser');
+  }
+
+  isClosed() {
+    return this.closed;
+  }
+
+  async close() {
+    this.closed = true;
+    this.browser.openPages.delete(this);
+  }
+}
+
+class FakeBrowser {
+  constructor() {
+    this.openPages = new Set();
+    this.connected = true;
+  }
+
+  async newPage() {
+    const page = new FakePage(this);
+    this.openPages.add(page);
+    return page;
+  }
+
+  async pages() {
+    return Array.from(this.openPages);
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.openPages).map(page => page.close()));
+    this.connected = false;
+  }
+
+  process() {
+    return null;
+  }
+}
+
+function createBrowser() {
+  return new FakeBrowser();
+}
+
+module.exports = { createBrowser };
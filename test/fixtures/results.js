@@ -0,0 +1,37 @@
+// A small comparison result in the shape src/index.js writes, for the tests of the
+// modules that read results
+module.exports = () => ({
+  schemaVersion: require('../../src/results-schema').SCHEMA_VERSION,
+  testInfo: {
+    timestamp: '2026-01-02T03:04:05.000Z',
+    oldDomain: 'https://old.test/',
+    newDomain: 'https://new.test/',
+    mode: 'full'
+  },
+  summary: { oldWebsiteUrls: 3, newWebsiteUrls: 3, missingUrls: 1, newUrls: 1, pagesCompared: 2, pagesWithChanges: 1 },
+  severity: {
+    highest: 'critical',
+    issues: { critical: 2, warning: 1, info: 0 },
+    changes: { critical: 1, warning: 1, info: 0 },
+    pages: { critical: 1, warning: 1, info: 0 },
+    missingUrls: { count: 1, severity: 'critical' },
+    siteIssues: {
+      redirects: { critical: 0, warning: 0, info: 0 },
+      linkTags: { critical: 0, warning: 0, info: 0 },
+      structuredDataErrors: { critical: 0, warning: 0, info: 0 },
+      brokenLinks: { critical: 0, warning: 0, info: 0 }
+    }
+  },
+  missingUrls: ['https://new.test/gone'],
+  newUrls: ['https://new.test/fresh'],
+  comparedUrls: ['https://new.test/', 'https://new.test/about'],
+  pageComparisons: [{
+    url: 'https://new.test/about',
+    oldUrl: 'https://old.test/about-us',
+    changes: [
+      { field: 'title', old: 'About "us", the team', new: '', type: 'content_change', severity: 'critical' },
+      { field: 'headings', headingChange: 'changed', old: 'h2: Team <& friends>', new: 'h2: Team\nand friends', type: 'content_change', severity: 'warning' }
+    ]
+  }],
+  seoImpact: { pagesWithTitleChanges: 1, pagesWithDescriptionChanges: 0, pagesWithCanonicalChanges: 0 }
+});
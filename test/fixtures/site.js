@@ -0,0 +1,43 @@
+const http = require('http');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Serves pages from memory on 127.0.0.1 and records every request. A page is its HTML or
+// [status, body, headers]; other paths are 404s. With a delay, every response is held back
+// that long, so concurrent requests overlap.
+async function serveSite(pages, options = {}) {
+  const site = { url: null, requests: [], maxActive: 0 };
+  let active = 0;
+
+  const server = http.createServer(async (req, res) => {
+    site.requests.push({ path: req.url, at: Date.now(), userAgent: req.headers['user-agent'] });
+    active++;
+    site.maxActive = Math.max(site.maxActive, active);
+    res.on('finish', () => active--);
+
+    await sleep(options.delay || 0);
+    const page = pages[req.url];
+    const [status, body, headers] = page === undefined
+      ? [404, '<html><body>Not found</body></html>', {}]
+      : (Array.isArray(page) ? page : [200, page, {}]);
+    res.writeHead(status, Object.assign({ 'Content-Type': 'text/html' }, headers));
+    res.end(body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  site.url = `http://127.0.0.1:${server.address().port}/`;
+  site.paths = () => site.requests.map(request => request.path);
+  site.close = () => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  return site;
+}
+
+// A page with a title and links to the given paths
+function page(title, links = []) {
+  return `<html><head><title>${title}</title></head><body><h1>${title}</h1>` +
+    links.map(link => `<a href="${link}">${link}</a>`).join('') + '</body></html>';
+}
+
+module.exports = { serveSite, page };
@@ -0,0 +1,101 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadFormatters, writeFormats, formatCsv, formatJunit, formatSarif } = require('../src/formatters');
+const sampleResults = require('./fixtures/results');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-delta-formats-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('writes CSV with a byte order mark, CRLF rows and quoted values', () => {
+  const { changes, missing_urls: missingUrls, new_urls: newUrls } = formatCsv(sampleResults());
+
+  assert.strictEqual(changes, '\ufeff' + [
+    'url,old_url,field,severity,type,detail,old_value,new_value',
+    'https://new.test/about,https://old.test/about-us,title,critical,content_change,,"About ""us"", the team",',
+    'https://new.test/about,https://old.test/about-us,headings,warning,content_change,changed,h2: Team <& friends>,"h2: Team\nand friends"'
+  ].join('\r\n') + '\r\n');
+  assert.strictEqual(missingUrls, '\ufeffurl,severity\r\nhttps://new.test/gone,critical\r\n');
+  assert.strictEqual(newUrls, '\ufeffurl\r\nhttps://new.test/fresh\r\n');
+});
+
+test('writes a JUnit case per compared and missing URL, failing on critical issues', () => {
+  const xml = formatJunit(sampleResults());
+
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="web-delta" tests="3" failures="2" errors="0">/);
+  assert.match(xml, /<testsuite name="Pages" tests="2" failures="1" errors="0" timestamp="2026-01-02T03:04:05.000">/);
+  assert.match(xml, /<testcase classname="pages" name="https:\/\/new.test\/">\n {4}<\/testcase>/);
+  assert.match(xml, /<failure type="critical" message="1 critical change\(s\)">\[critical\] title: &quot;About \\&quot;us\\&quot;, the team&quot; → &quot;&quot;<\/failure>/);
+  assert.match(xml, /<system-out>\[warning\] headings \(changed\): &quot;h2: Team &lt;&amp; friends&gt;&quot;/);
+  assert.match(xml, /<testcase classname="missing-urls" name="https:\/\/new.test\/gone">\n {6}<failure type="critical" message="URL not found on the new site">/);
+});
+
+test('only fails missing URLs in JUnit when they are critical', () => {
+  const results = sampleResults();
+  results.severity.missingUrls.severity = 'warning';
+  const xml = formatJunit(results);
+
+  assert.match(xml, /<testsuite name="Missing URLs" tests="1" failures="0"/);
+  assert.match(xml, /<system-out>\[warning\] URL not found on the new site<\/system-out>/);
+});
+
+test('strips characters XML cannot hold', () => {
+  const results = sampleResults();
+  results.pageComparisons[0].changes[0].old = 'bad\u0001byte';
+  assert.doesNotMatch(formatJunit(results), /\u0001/);
+});
+
+test('writes SARIF with a rule per field and results located at the page', () => {
+  const sarif = JSON.parse(formatSarif(sampleResults()));
+  const run = sarif.runs[0];
+
+  assert.strictEqual(sarif.version, '2.1.0');
+  assert.strictEqual(run.tool.driver.name, 'web-delta');
+  assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['title', 'headings', 'missingUrl']);
+  assert.deepStrictEqual(run.results.map(result => [result.ruleId, result.ruleIndex, result.level]), [
+    ['title', 0, 'error'],
+    ['headings', 1, 'warning'],
+    ['missingUrl', 2, 'error']
+  ]);
+  assert.deepStrictEqual(run.results[1].locations, [{ physicalLocation: { artifactLocation: { uri: 'https://new.test/about' } } }]);
+  assert.deepStrictEqual(run.results[1].properties, {
+    severity: 'warning',
+    oldUrl: 'https://old.test/about-us',
+    type: 'content_change',
+    detail: 'changed',
+    old: 'h2: Team <& friends>',
+    new: 'h2: Team\nand friends'
+  });
+});
+
+test('loads built-in and module formatters', () => {
+  const file = path.join(dir, 'urls.js');
+  fs.writeFileSync(file, "module.exports = { extension: 'txt', format: results => results.comparedUrls.join('\\n') };");
+
+  assert.deepStrictEqual(loadFormatters('csv, junit,csv').map(formatter => formatter.name), ['csv', 'junit']);
+  assert.deepStrictEqual(loadFormatters([file]).map(formatter => [formatter.name, formatter.extension]), [['urls', 'txt']]);
+  assert.deepStrictEqual(loadFormatters(''), []);
+});
+
+test('reports unknown and invalid formatters', () => {
+  const file = path.join(dir, 'broken.js');
+  fs.writeFileSync(file, 'module.exports = {};');
+
+  assert.throws(() => loadFormatters('pdf'), /Unknown format "pdf" \(expected csv, junit, sarif or a formatter module path\)/);
+  assert.throws(() => loadFormatters(file), /must export \{ extension, format\(results\) \}/);
+  assert.throws(() => loadFormatters('./missing.js'), /Could not load formatter \.\/missing\.js/);
+});
+
+test('writes one file per format, or per part of multi-file formats', () => {
+  const files = writeFormats(loadFormatters('csv,sarif'), sampleResults(), dir, 'migration', 'run-1');
+
+  assert.deepStrictEqual(files.map(file => path.basename(file)), [
+    'migration_changes_run-1.csv',
+    'migration_missing_urls_run-1.csv',
+    'migration_new_urls_run-1.csv',
+    'migration_sarif_run-1.sarif'
+  ]);
+  files.forEach(file => assert.ok(fs.existsSync(file)));
+});
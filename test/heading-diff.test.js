@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compareHeadings, checkH1, formatHeading } = require('../src/heading-diff');
+
+const h = (level, text) => ({ level, text });
+
+test('finds no changes in matching outlines, ignoring case and whitespace', () => {
+  assert.deepStrictEqual(compareHeadings([h(1, 'Welcome'), h(2, 'Our  team')], [h(1, 'welcome'), h(2, 'Our team')]), []);
+});
+
+test('reports added and removed headings with their positions', () => {
+  assert.deepStrictEqual(compareHeadings([h(1, 'Welcome'), h(2, 'Pricing')], [h(1, 'Welcome'), h(2, 'Contact')]), [
+    { change: 'removed', old: h(2, 'Pricing'), new: null, oldPosition: 2, newPosition: null },
+    { change: 'added', old: null, new: h(2, 'Contact'), oldPosition: null, newPosition: 2 }
+  ]);
+});
+
+test('pairs headings that moved or changed level', () => {
+  const changes = compareHeadings(
+    [h(1, 'Welcome'), h(2, 'Team'), h(2, 'Pricing')],
+    [h(1, 'Welcome'), h(2, 'Pricing'), h(3, 'Team')]
+  );
+  assert.deepStrictEqual(changes.map(change => [change.change, change.oldPosition, change.newPosition]), [['releveled', 2, 3]]);
+
+  const moved = compareHeadings([h(2, 'A'), h(2, 'B'), h(2, 'C')], [h(2, 'C'), h(2, 'A'), h(2, 'B')]);
+  assert.deepStrictEqual(moved.map(change => [change.change, change.old.text, change.oldPosition, change.newPosition]), [['moved', 'C', 3, 1]]);
+});
+
+test('flags pages without exactly one h1', () => {
+  assert.strictEqual(checkH1([h(1, 'A'), h(2, 'B')]), null);
+  assert.deepStrictEqual(checkH1([h(2, 'B')]), { issue: 'missing_h1', h1Count: 0, message: 'Page has no h1' });
+  assert.deepStrictEqual(checkH1([h(1, 'A'), h(1, 'B')]), { issue: 'multiple_h1', h1Count: 2, message: 'Page has 2 h1 headings' });
+});
+
+test('formats headings with their position', () => {
+  assert.strictEqual(formatHeading(h(2, 'Team'), 3), 'h2: Team (#3)');
+  assert.strictEqual(formatHeading(h(2, 'Team')), 'h2: Team');
+  assert.strictEqual(formatHeading(null), '');
+});
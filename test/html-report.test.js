@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { renderHtmlReport, inlineCharDiff } = require('../src/html-report');
+const sampleResults = require('./fixtures/results');
+
+test('marks the changed characters of a value', () => {
+  assert.deepStrictEqual(inlineCharDiff('Price: $10', 'Price: $12'), { old: 'Price: $1<del>0</del>', new: 'Price: $1<ins>2</ins>' });
+  assert.deepStrictEqual(inlineCharDiff('same', 'same'), { old: 'same', new: 'same' });
+});
+
+test('shows mostly different values as wholly replaced', () => {
+  assert.deepStrictEqual(inlineCharDiff('About us', 'Contact'), { old: '<del>About us</del>', new: '<ins>Contact</ins>' });
+  assert.deepStrictEqual(inlineCharDiff('Home', null), { old: '<del>Home</del>', new: '' });
+});
+
+test('escapes values and shows objects as JSON', () => {
+  assert.deepStrictEqual(inlineCharDiff('<b>"A"</b>', '<b>"B"</b>'), { old: '&lt;b&gt;&quot;<del>A</del>&quot;&lt;/b&gt;', new: '&lt;b&gt;&quot;<ins>B</ins>&quot;&lt;/b&gt;' });
+  assert.deepStrictEqual(inlineCharDiff({ a: 1 }, { a: 2 }).new, '{&quot;a&quot;:<ins>2</ins>}');
+});
+
+test('renders a self-contained report with escaped values and relative links', () => {
+  const results = sampleResults();
+  results.pageComparisons[0].snapshots = {
+    old: path.join('results', 'snapshots_run', 'page-1-old.html'),
+    new: path.join('results', 'snapshots_run', 'page-1-new.html')
+  };
+  const html = renderHtmlReport(results, 'results', 'Migration <test>');
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.doesNotMatch(html, /<script src=|<link rel="stylesheet"/);
+  assert.match(html, /<title>Migration &lt;test&gt;<\/title>/);
+  assert.match(html, /<div class="card critical"><strong>2<\/strong><span>critical issue\(s\) on 1 page\(s\)<\/span><\/div>/);
+  assert.match(html, /<tr><td>Pages with title changes<\/td><td data-value="1">1<\/td><\/tr>/);
+  assert.match(html, /<option>headings<\/option><option>title<\/option>/);
+  assert.match(html, /<details class="page" data-url="https:\/\/new.test\/about" data-old-url="https:\/\/old.test\/about-us" data-rank="0" data-changes="2">/);
+  assert.match(html, /Snapshots: <a href="snapshots_run\/page-1-old.html">old<\/a>/);
+  assert.match(html, /<td class="old"><del>About &quot;us&quot;, the team<\/del><\/td>\n<td class="new"><span class="empty">\(empty\)<\/span><\/td>/);
+  assert.match(html, /<h2>Missing URLs \(1\)<\/h2>/);
+});
+
+test('renders an empty report', () => {
+  const results = sampleResults();
+  results.pageComparisons = [];
+  results.missingUrls = [];
+  const html = renderHtmlReport(results, '.');
+
+  assert.match(html, /<p class="empty">No pages with changes found<\/p>/);
+  assert.match(html, /<h2>Missing URLs \(0\)<\/h2><\/summary>\n<p class="empty">None<\/p>/);
+});
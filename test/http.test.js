@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { request } = require('../src/http');
+
+let server;
+let base;
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/reset') {
+      // Promise a body, send part of it and drop the connection
+      res.writeHead(200, { 'Content-Length': '1000' });
+      res.write('partial', () => res.socket.destroy());
+      return;
+    }
+    res.writeHead(301, { Location: '/elsewhere' });
+    res.end('moved');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+test('returns the status and headers without following redirects', async () => {
+  const response = await request(`${base}/moved`);
+  assert.strictEqual(response.status, 301);
+  assert.strictEqual(response.headers.location, '/elsewhere');
+  assert.strictEqual(response.body.toString(), 'moved');
+
+  const unread = await request(`${base}/moved`, { readBody: false });
+  assert.strictEqual(unread.status, 301);
+  assert.strictEqual(unread.body, null);
+});
+
+test('rejects when the connection resets mid-response, with or without the body', async () => {
+  await assert.rejects(request(`${base}/reset`), /aborted/);
+  await assert.rejects(request(`${base}/reset`, { readBody: false }), /aborted/);
+});
+
+test('rejects invalid URLs', async () => {
+  await assert.rejects(request('not a url'), /Invalid URL: not a url/);
+});
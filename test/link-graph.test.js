@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { inboundLinks, internalTargets, analyzeLinkGraph } = require('../src/link-graph');
+
+const link = (href, text = '', rel = '') => ({ href, text, rel });
+const mapUrl = (url) => url.replace('https://old.test/', 'https://new.test/');
+
+const oldGraph = {
+  'https://old.test/': [link('https://old.test/a', 'Alpha'), link('https://old.test/b', 'Beta'), link('https://old.test/c')],
+  'https://old.test/a': [link('https://old.test/c', 'Gamma'), link('https://old.test/b')],
+  'https://old.test/b': [link('https://old.test/c', 'Gamma'), link('https://old.test/d', 'Delta')],
+  'https://old.test/d': [link('https://old.test/c', 'gamma'), link('https://elsewhere.test/', 'Partner')]
+};
+const newGraph = {
+  'https://new.test/': [
+    link('https://new.test/a', 'Alpha'),
+    link('https://new.test/b', 'Bravo'),
+    link('https://new.test/missing', 'Lost'),
+    link('https://old.test/c', 'Old')
+  ],
+  'https://new.test/a': [link('https://new.test/b', '', 'nofollow'), link('https://new.test/a#top', 'Top')],
+  'https://new.test/b': [link('https://new.test/c#intro', 'Gamma')],
+  'https://new.test/c': [],
+  'https://new.test/d': []
+};
+
+test('counts inbound links per target, skipping self-links and other hosts', () => {
+  const inbound = inboundLinks(newGraph, 'https://new.test/');
+  assert.deepStrictEqual(Object.keys(inbound).sort(), ['https://new.test/a', 'https://new.test/b', 'https://new.test/c', 'https://new.test/missing']);
+  assert.deepStrictEqual([...inbound['https://new.test/a'].sources], ['https://new.test/']);
+  assert.deepStrictEqual([...inbound['https://new.test/b'].sources], ['https://new.test/', 'https://new.test/a']);
+  assert.deepStrictEqual([...inbound['https://new.test/b'].followedSources], ['https://new.test/']);
+  assert.deepStrictEqual(Object.assign({}, inboundLinks(oldGraph, 'https://old.test/', mapUrl)['https://new.test/c'].anchors), { gamma: 3 });
+});
+
+test('lists internal targets without fragments', () => {
+  assert.deepStrictEqual(internalTargets(newGraph, 'https://new.test/'), [
+    'https://new.test/a', 'https://new.test/b', 'https://new.test/missing', 'https://new.test/c'
+  ]);
+});
+
+test('reports broken links, old-domain links, inbound drops, orphans and anchor changes', () => {
+  const analysis = analyzeLinkGraph({
+    oldGraph: oldGraph,
+    newGraph: newGraph,
+    oldBaseUrl: 'https://old.test/',
+    newBaseUrl: 'https://new.test/',
+    mapUrl: mapUrl,
+    targetStatus: { 'https://new.test/missing': { status: 404 }, 'https://new.test/a': { status: 200 } }
+  });
+
+  assert.strictEqual(analysis.oldLinks, 9);
+  assert.strictEqual(analysis.newLinks, 7);
+  assert.deepStrictEqual(analysis.brokenLinks, [{
+    url: 'https://new.test/missing',
+    links: 1,
+    sourcePages: 1,
+    sources: [{ source: 'https://new.test/', text: 'Lost', rel: '' }],
+    status: 404
+  }]);
+  assert.deepStrictEqual(analysis.oldDomainLinks.map(group => group.url), ['https://old.test/c']);
+  assert.deepStrictEqual(analysis.inboundDrops, [{ url: 'https://new.test/c', oldInbound: 4, newInbound: 1, change: -75 }]);
+  assert.deepStrictEqual(analysis.orphanedPages, [{ url: 'https://new.test/d', oldInbound: 1 }]);
+  assert.deepStrictEqual(analysis.anchorTextChanges, [{
+    url: 'https://new.test/b',
+    oldInbound: 2,
+    newInbound: 1,
+    removedAnchors: [{ text: 'beta', links: 1 }],
+    addedAnchors: [{ text: 'bravo', links: 1 }]
+  }]);
+});
+
+test('keys both sites by normalized URL before comparing inbound links', () => {
+  // Sorted parameters without tracking ones, and no trailing slash
+  const normalizeUrl = (url) => {
+    const parsed = new URL(url);
+    parsed.searchParams.delete('utm_source');
+    parsed.searchParams.sort();
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    return parsed.href;
+  };
+  const analysis = analyzeLinkGraph({
+    oldGraph: {
+      'https://old.test/': [link('https://old.test/a?b=2&a=1'), link('https://old.test/c/')],
+      'https://old.test/b': [link('https://old.test/a?a=1&b=2&utm_source=x'), link('https://old.test/c/')],
+      'https://old.test/d': [link('https://old.test/a?a=1&b=2'), link('https://old.test/c/')]
+    },
+    newGraph: {
+      'https://new.test/': [link('https://new.test/a?a=1&b=2'), link('https://new.test/c')],
+      'https://new.test/b': [link('https://new.test/a?a=1&b=2'), link('https://new.test/c')],
+      'https://new.test/d': [link('https://new.test/a?a=1&b=2'), link('https://new.test/c')],
+      'https://new.test/a?a=1&b=2': [],
+      'https://new.test/c': []
+    },
+    oldBaseUrl: 'https://old.test/',
+    newBaseUrl: 'https://new.test/',
+    mapUrl: mapUrl,
+    normalizeUrl: normalizeUrl
+  });
+
+  assert.deepStrictEqual(analysis.inboundDrops, []);
+  assert.deepStrictEqual(analysis.orphanedPages, []);
+});
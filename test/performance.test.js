@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_BUDGETS, readMetrics, parseBudgets, comparePerformance, aggregatePerformance, formatMetric, formatBudget } = require('../src/performance');
+
+const metrics = (values) => Object.assign({ ttfb: 100, domContentLoaded: 400, load: 800, lcp: 700, cls: 0.01, tbt: 30, requests: 10, transferBytes: 100000 }, values);
+
+test('parses budgets over the defaults', () => {
+  assert.deepStrictEqual(parseBudgets(' lcp:800,transferBytes:25%'), Object.assign({}, DEFAULT_BUDGETS, { lcp: '800', transferBytes: '25%' }));
+  assert.deepStrictEqual(parseBudgets({ cls: 0.1 }), Object.assign({}, DEFAULT_BUDGETS, { cls: '0.1' }));
+  assert.deepStrictEqual(parseBudgets(), DEFAULT_BUDGETS);
+});
+
+test('rejects unknown metrics and malformed budgets', () => {
+  assert.throws(() => parseBudgets('fcp:100'), /Unknown performance metric "fcp"/);
+  assert.throws(() => parseBudgets('lcp:fast'), /Invalid budget "fast" for lcp/);
+  assert.throws(() => parseBudgets('lcp'), /Invalid budget "" for lcp/);
+});
+
+test('flags metrics that got worse by more than their budget', () => {
+  const { regressions } = comparePerformance(
+    metrics({ transferBytes: 100000, requests: 10 }),
+    metrics({ lcp: 1300, cls: 0.06, transferBytes: 125000, requests: 20, ttfb: null })
+  );
+  assert.deepStrictEqual(regressions, [
+    { metric: 'lcp', old: 700, new: 1300, budget: '500' },
+    { metric: 'transferBytes', old: 100000, new: 125000, budget: '20%' }
+  ]);
+});
+
+test('treats any growth from zero as over a relative budget', () => {
+  const { regressions } = comparePerformance(metrics({ tbt: 0 }), metrics({ tbt: 1 }), Object.assign({}, DEFAULT_BUDGETS, { tbt: '10%' }));
+  assert.deepStrictEqual(regressions.map(regression => regression.metric), ['tbt']);
+});
+
+test('aggregates medians and 95th percentiles, skipping missing values', () => {
+  const pages = [100, 200, 300, null].map(lcp => ({ old: metrics({ lcp }), new: metrics({ lcp: lcp && lcp * 2 }) }));
+  assert.deepStrictEqual(aggregatePerformance(pages).lcp, { oldMedian: 200, newMedian: 400, oldP95: 300, newP95: 600 });
+  assert.strictEqual(aggregatePerformance([]).lcp.oldMedian, null);
+});
+
+test('formats metrics and budgets', () => {
+  assert.strictEqual(formatMetric('lcp', 850), '850 ms');
+  assert.strictEqual(formatMetric('load', 1500), '1.50 s');
+  assert.strictEqual(formatMetric('transferBytes', 2048), '2.0 KB');
+  assert.strictEqual(formatMetric('cls', 0.12), '0.12');
+  assert.strictEqual(formatMetric('ttfb', null), 'n/a');
+  assert.strictEqual(formatBudget('lcp', '500'), '+500 ms');
+  assert.strictEqual(formatBudget('transferBytes', '20%'), '+20%');
+});
+
+test('reads rounded metrics and counts the document in requests and bytes', async () => {
+  const page = {
+    evaluate: async () => ({ ttfb: 99.6, domContentLoaded: 400.2, load: null, lcp: 700.5, cls: 0.01234, tbt: 30, documentBytes: 1000 })
+  };
+  assert.deepStrictEqual(await readMetrics(page, [{ size: 500 }, {}]), {
+    ttfb: 100, domContentLoaded: 400, load: null, lcp: 701, cls: 0.012, tbt: 30, requests: 3, transferBytes: 1500
+  });
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { decodePng, encodePng } = require('../src/png');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// decodePng does not check CRCs, so hand-built test images leave them zeroed
+const chunk = (type, data) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'ascii');
+  return Buffer.concat([header, data, Buffer.alloc(4)]);
+};
+
+const png = ({ width, height, bitDepth = 8, colorType, interlace = 0 }, rows) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  header[12] = interlace;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('tEXt', Buffer.from('Comment\0ignored')),
+    chunk('IDAT', zlib.deflateSync(Buffer.from(rows.flat()))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+test('round-trips RGBA pixels', () => {
+  const image = { width: 3, height: 2, data: Buffer.from(Array.from({ length: 24 }, (_, index) => index * 10)) };
+  const decoded = decodePng(encodePng(image));
+  assert.strictEqual(decoded.width, 3);
+  assert.strictEqual(decoded.height, 2);
+  assert.deepStrictEqual(decoded.data, image.data);
+});
+
+test('writes valid chunk CRCs', () => {
+  const encoded = encodePng({ width: 1, height: 1, data: Buffer.from([0, 0, 0, 255]) });
+  // IEND always ends with the same CRC
+  assert.strictEqual(encoded.subarray(-4).toString('hex'), 'ae426082');
+});
+
+test('undoes the sub, up, average and paeth row filters', () => {
+  const decoded = decodePng(png({ width: 3, height: 4, colorType: 0 }, [
+    [1, 10, 5, 5],
+    [2, 1, 1, 1],
+    [3, 0, 0, 0],
+    [4, 0, 0, 0]
+  ]));
+  const grays = [];
+  for (let index = 0; index < decoded.data.length; index += 4) {
+    grays.push(decoded.data[index]);
+  }
+  assert.deepStrictEqual(grays, [10, 15, 20, 11, 16, 21, 5, 10, 15, 5, 10, 15]);
+});
+
+test('expands gray, gray-alpha and RGB pixels to RGBA', () => {
+  assert.deepStrictEqual([...decodePng(png({ width: 1, height: 1, colorType: 0 }, [[0, 7]])).data], [7, 7, 7, 255]);
+  assert.deepStrictEqual([...decodePng(png({ width: 1, height: 1, colorType: 4 }, [[0, 7, 128]])).data], [7, 7, 7, 128]);
+  assert.deepStrictEqual([...decodePng(png({ width: 1, height: 1, colorType: 2 }, [[0, 1, 2, 3]])).data], [1, 2, 3, 255]);
+});
+
+test('rejects files it cannot decode', () => {
+  assert.throws(() => decodePng(Buffer.from('GIF89a')), /Not a PNG file/);
+  assert.throws(() => decodePng(png({ width: 1, height: 1, bitDepth: 16, colorType: 6 }, [])), /Unsupported PNG format \(bit depth 16, colour type 6, interlace 0\)/);
+  assert.throws(() => decodePng(png({ width: 1, height: 1, colorType: 3 }, [])), /colour type 3/);
+  assert.throws(() => decodePng(png({ width: 1, height: 1, colorType: 6, interlace: 1 }, [])), /interlace 1/);
+});
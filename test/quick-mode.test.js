@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const MigrationComparator = require('../src/index');
+const { createBrowser } = require('./fixtures/browser');
+const { serveSite, page } = require('./fixtures/site');
+
+const PAGE_NAMES = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7', 'p8', 'p9', 'p10', 'p11', 'p12'];
+
+// The home page links to a dozen pages, each one level deeper again; the sitemap lists them all
+const sitePages = (base) => {
+  const pages = {
+    '/': page('Home', PAGE_NAMES.map(name => `/${name}`)),
+    '/robots.txt': [200, `User-agent: *\nSitemap: ${base}sitemap.xml\n`, { 'Content-Type': 'text/plain' }],
+    '/sitemap.xml': [200, '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+      PAGE_NAMES.map(name => `<url><loc>${base}${name}</loc></url>`).join('') + '</urlset>', { 'Content-Type': 'application/xml' }]
+  };
+  PAGE_NAMES.forEach(name => {
+    pages[`/${name}`] = page(name, [`/${name}/deep`]);
+    pages[`/${name}/deep`] = page(`${name} deep`);
+  });
+  return pages;
+};
+
+// Sites serve their pages at a base URL only known once they listen, so the pages are
+// filled in afterwards
+const serveSampleSite = async () => {
+  const pages = {};
+  const site = await serveSite(pages);
+  Object.assign(pages, sitePages(site.url));
+  return site;
+};
+
+let oldSite;
+let newSite;
+before(async () => {
+  oldSite = await serveSampleSite();
+  newSite = await serveSampleSite();
+});
+after(() => Promise.all([oldSite.close(), newSite.close()]));
+
+const logger = { log() {}, error() {} };
+const compare = (options) => {
+  oldSite.requests.length = 0;
+  newSite.requests.length = 0;
+  return new MigrationComparator(oldSite.url, newSite.url, Object.assign({
+    browser: createBrowser(),
+    logger: logger,
+    writeFiles: false,
+    checkRedirects: false,
+    mode: 'quick'
+  }, options)).compareWebsites();
+};
+const crawledPaths = (site) => site.paths().filter(path => !['/robots.txt', '/sitemap.xml'].includes(path)).sort();
+
+test('samples the shallowest pages, ten by default', async () => {
+  const results = await compare({ useSitemaps: false });
+
+  assert.strictEqual(results.testInfo.mode, 'quick');
+  assert.strictEqual(results.testInfo.sample, 'depth');
+  assert.strictEqual(results.testInfo.testType, 'simple_comparison');
+  assert.strictEqual(crawledPaths(oldSite).length, 10);
+  assert.ok(crawledPaths(oldSite).every(path => !path.endsWith('/deep')));
+  assert.strictEqual(results.summary.pagesCompared, 10);
+});
+
+test('stops the depth sample at maxPages', async () => {
+  await compare({ useSitemaps: false, maxPages: 3 });
+
+  assert.deepStrictEqual(crawledPaths(oldSite), ['/', '/p1', '/p2']);
+  assert.deepStrictEqual(crawledPaths(newSite), ['/', '/p1', '/p2']);
+});
+
+test('samples random sitemap pages and crawls only their counterparts on the new site', async () => {
+  const results = await compare({ sample: 'random', maxPages: 4 });
+
+  const sampled = crawledPaths(oldSite);
+  assert.strictEqual(results.testInfo.sample, 'random');
+  assert.strictEqual(sampled.length, 4);
+  assert.ok(sampled.includes('/'));
+  assert.ok(sampled.every(path => path === '/' || PAGE_NAMES.includes(path.slice(1))));
+  // The new site's sitemap is not read; its crawl follows the old sample
+  assert.deepStrictEqual(newSite.paths().sort(), sampled);
+  assert.deepStrictEqual(results.missingUrls, []);
+  assert.strictEqual(results.summary.pagesCompared, 4);
+});
+
+test('rejects unknown modes and samples, and samples outside quick mode', () => {
+  const create = (options) => new MigrationComparator(oldSite.url, newSite.url, Object.assign({ writeFiles: false }, options));
+
+  assert.throws(() => create({ mode: 'fast' }), /Unknown mode "fast"/);
+  assert.throws(() => create({ mode: 'quick', sample: 'first' }), /Unknown sample "first"/);
+  assert.throws(() => create({ sample: 'random' }), /Sampling only applies to quick comparisons/);
+  assert.throws(() => create({ mode: 'quick', sample: 'random', useSitemaps: false }), /cannot be used with useSitemaps: false/);
+});
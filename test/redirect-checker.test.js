@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const RedirectChecker = require('../src/redirect-checker');
+const { HostRateLimiter } = require('../src/crawler');
+
+// Paths map to [status, Location]
+const ROUTES = {
+  '/ok': [200],
+  '/': [200],
+  '/moved': [301, '/ok'],
+  '/temporary': [302, '/ok'],
+  '/twice': [301, '/moved'],
+  '/home': [301, '/'],
+  '/gone': [301, '/missing'],
+  '/loop-a': [301, '/loop-b'],
+  '/loop-b': [301, '/loop-a'],
+  '/bad-location': [301, 'http://[broken']
+};
+
+let server;
+let base;
+const requested = [];
+before(async () => {
+  server = http.createServer((req, res) => {
+    requested.push({ path: req.url, at: Date.now() });
+    const [status, location] = ROUTES[req.url] || [404];
+    res.writeHead(status, location ? { Location: location } : {});
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const logger = { log() {} };
+const check = (path, options = {}, expected = null) =>
+  new RedirectChecker(Object.assign({ logger }, options)).checkUrl(`${base}${path}`, expected && `${base}${expected}`);
+const issueTypes = (result) => result.issues.map(issue => issue.type);
+
+test('follows a redirect chain to its final status', async () => {
+  const result = await check('/moved');
+  assert.deepStrictEqual(result.chain.map(step => [step.url.slice(base.length), step.status]), [['/moved', 301], ['/ok', 200]]);
+  assert.strictEqual(result.finalUrl, `${base}/ok`);
+  assert.strictEqual(result.hops, 1);
+  assert.deepStrictEqual(result.issues, []);
+});
+
+test('flags temporary redirects, long chains and redirects to the homepage', async () => {
+  assert.deepStrictEqual(issueTypes(await check('/temporary')), ['temporary_redirect']);
+  assert.deepStrictEqual(issueTypes(await check('/twice')), ['long_chain']);
+  assert.deepStrictEqual(issueTypes(await check('/home')), ['homepage_redirect']);
+});
+
+test('flags any redirect when maxHops is 0', async () => {
+  assert.deepStrictEqual(issueTypes(await check('/moved', { maxHops: 0 })), ['long_chain']);
+  assert.deepStrictEqual(issueTypes(await check('/ok', { maxHops: 0 })), []);
+});
+
+test('flags loops, error statuses and unexpected destinations', async () => {
+  const loop = await check('/loop-a');
+  assert.deepStrictEqual(issueTypes(loop), ['redirect_loop', 'long_chain']);
+  assert.strictEqual(loop.finalUrl, null);
+  assert.deepStrictEqual(issueTypes(await check('/gone')), ['client_error']);
+  assert.deepStrictEqual(issueTypes(await check('/moved', {}, '/elsewhere')), ['unexpected_destination']);
+  assert.deepStrictEqual(issueTypes(await check('/moved', {}, '/ok/')), []);
+});
+
+test('records a malformed Location header as a failed request', async () => {
+  const result = await check('/bad-location');
+  assert.deepStrictEqual(result.issues, [{ type: 'request_failed', message: 'Invalid Location header "http://[broken"' }]);
+  assert.deepStrictEqual(result.chain.map(step => [step.status, step.location]), [[301, null]]);
+});
+
+test('spaces requests to one host with the shared rate limiter', async () => {
+  requested.length = 0;
+  const start = Date.now();
+  const checker = new RedirectChecker({ logger, rateLimiter: new HostRateLimiter(100) });
+  const { summary } = await checker.checkUrls([{ url: `${base}/twice` }, { url: `${base}/ok` }]);
+
+  assert.strictEqual(summary.checkedUrls, 2);
+  assert.strictEqual(summary.longChains, 1);
+  assert.strictEqual(requested.length, 4);
+  requested.forEach((request, index) => {
+    assert.ok(request.at - start >= index * 100, `request ${index + 1} came ${request.at - start}ms in`);
+  });
+});
+
+test('stops checking once the signal is aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const checker = new RedirectChecker({ logger, signal: controller.signal });
+  await assert.rejects(checker.checkUrls([{ url: `${base}/ok` }]), { name: 'AbortError' });
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SCHEMA_VERSION, RESULTS_SCHEMA } = require('../src/results-schema');
+const sampleResults = require('./fixtures/results');
+
+// Checks the JSON Schema keywords RESULTS_SCHEMA uses and returns the paths that fail
+function validate(schema, value, at = '$') {
+  const types = [].concat(schema.type || []);
+  const typeOf = (item) => item === null ? 'null' : Array.isArray(item) ? 'array'
+    : Number.isInteger(item) ? 'integer' : typeof item;
+  if (types.length > 0 && !types.some(type => type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer'))) {
+    return [`${at}: expected ${types.join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: expected one of ${schema.enum.join(', ')}`];
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    return [`${at}: expected ${schema.const}`];
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return [`${at}: below ${schema.minimum}`];
+  }
+  if (schema.oneOf && schema.oneOf.filter(option => validate(option, value, at).length === 0).length !== 1) {
+    return [`${at}: expected exactly one match`];
+  }
+
+  const errors = [];
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(schema.items, item, `${at}[${index}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push(`${at}.${key}: required`));
+    Object.keys(value).forEach(key => {
+      const property = (schema.properties || {})[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (property) {
+        errors.push(...validate(property, value[key], `${at}.${key}`));
+      }
+    });
+  }
+  return errors;
+}
+
+test('the schema version is semver and pinned by the schema', () => {
+  assert.match(SCHEMA_VERSION, /^\d+\.\d+\.\d+$/);
+  assert.strictEqual(RESULTS_SCHEMA.properties.schemaVersion.const, SCHEMA_VERSION);
+});
+
+test('accepts results in the written shape', () => {
+  assert.deepStrictEqual(validate(RESULTS_SCHEMA, sampleResults()), []);
+});
+
+test('rejects results missing properties or with unknown severities', () => {
+  const results = sampleResults();
+  delete results.comparedUrls;
+  results.severity.highest = 'fatal';
+  results.pageComparisons[0].changes[0].type = 'other';
+  results.summary.redirects = -1;
+
+  assert.deepStrictEqual(validate(RESULTS_SCHEMA, results), [
+    '$.comparedUrls: required',
+    '$.summary.redirects: below 0',
+    '$.severity.highest: expected exactly one match',
+    '$.pageComparisons[0].changes[0].type: expected one of content_change, visual_change, asset_change, performance_change, accessibility_change'
+  ]);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describeRun, recordRun, loadHistory, diffRuns } = require('../src/run-history');
+
+const results = (pageComparisons, missingUrls = []) => ({
+  testInfo: { oldDomain: 'https://old.test/', newDomain: 'https://new.test/' },
+  summary: { pagesCompared: 2, pagesWithChanges: pageComparisons.length, missingUrls: missingUrls.length },
+  severity: { issues: { critical: 0, warning: 1, info: 0 }, missingUrls: { count: missingUrls.length, severity: 'critical' } },
+  pageComparisons: pageComparisons,
+  missingUrls: missingUrls
+});
+
+const site = { urls: ['https://old.test/'], snapshots: { a: '' }, errors: {} };
+
+test('records a run whose options hold an injected browser, logger and signal', () => {
+  const resultsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-delta-history-'));
+  const browser = { name: 'browser' };
+  browser.self = browser;
+  try {
+    recordRun(resultsDir, describeRun({
+      runId: 'run-1',
+      mode: 'full',
+      results: results([]),
+      files: { results: 'migration_comparison_run-1.json' },
+      startedAt: Date.now(),
+      sites: { old: site, new: site },
+      options: { maxPages: 5, include: [/\/blog/], browser: browser, logger: console, signal: new AbortController().signal }
+    }));
+
+    const runs = loadHistory(resultsDir);
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual(runs[0].id, 'run-1');
+    assert.deepStrictEqual(runs[0].settings, { maxPages: 5, include: ['/\\/blog/'] });
+  } finally {
+    fs.rmSync(resultsDir, { recursive: true, force: true });
+  }
+});
+
+test('diffs runs into fixed, new and persisting issues', () => {
+  const change = (field, oldValue, newValue) => ({ field, old: oldValue, new: newValue, type: 'content_change', severity: 'warning' });
+  const earlier = results([{ url: 'https://new.test/a', changes: [change('title', 'A', 'B'), change('description', 'x', '')] }], ['https://new.test/gone']);
+  const later = results([{ url: 'https://new.test/a', changes: [change('title', 'A', 'C'), change('h1', 'A', '')] }]);
+
+  const diff = diffRuns(earlier, later);
+  assert.deepStrictEqual(diff.fixed.map(issue => issue.field).sort(), ['description', 'missingUrl']);
+  assert.deepStrictEqual(diff.introduced.map(issue => issue.field), ['h1']);
+  assert.deepStrictEqual(diff.persisting.map(issue => issue.field), ['title']);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkLinkTags, formatHreflang } = require('../src/seo-checks');
+
+const check = (oldInfo, newInfo) => checkLinkTags(oldInfo, newInfo, 'https://old.test/', 'https://new.test/');
+
+test('accepts link tags pointing at the new host', () => {
+  assert.deepStrictEqual(check({ canonical: 'https://old.test/a' }, {
+    canonical: 'https://new.test/a',
+    hreflang: [{ hreflang: 'de', href: 'https://new.test/de/a' }],
+    next: '/page/2'
+  }), []);
+});
+
+test('flags link tags still pointing at the old domain', () => {
+  const issues = check({}, {
+    canonical: 'https://OLD.test/a',
+    hreflang: [{ hreflang: 'de', href: 'https://old.test/de/a' }, { hreflang: 'fr', href: 'https://fr.example/a' }],
+    prev: 'https://old.test/page/1'
+  });
+  assert.deepStrictEqual(issues.map(issue => [issue.issue, issue.tag]), [
+    ['points_to_old_domain', 'canonical'],
+    ['points_to_old_domain', 'hreflang de'],
+    ['points_to_old_domain', 'prev']
+  ]);
+});
+
+test('flags removed and cross-domain canonicals', () => {
+  assert.deepStrictEqual(check({ canonical: 'https://old.test/a' }, {}), [
+    { issue: 'canonical_removed', tag: 'canonical', value: '', message: 'canonical removed (was https://old.test/a)' }
+  ]);
+  assert.deepStrictEqual(check({}, { canonical: 'https://cdn.example/a' }), [
+    { issue: 'cross_domain_canonical', tag: 'canonical', value: 'https://cdn.example/a', message: 'canonical points at another host (cdn.example)' }
+  ]);
+});
+
+test('formats hreflang alternates', () => {
+  assert.strictEqual(formatHreflang([{ hreflang: 'de', href: 'https://new.test/de' }, { hreflang: 'x-default', href: 'https://new.test/' }]),
+    'de: https://new.test/de, x-default: https://new.test/');
+  assert.strictEqual(formatHreflang(), '');
+});
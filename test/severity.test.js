@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSeverities, checkSeverity, severityOf, summarizeSeverity, formatCiSummary, isFailure } = require('../src/severity');
+
+const page = (url, changes) => ({ url, changes });
+
+test('parses CLI and object severity overrides', () => {
+  assert.deepStrictEqual(parseSeverities('keywords:warning, ogImage:critical'), { keywords: 'warning', ogImage: 'critical' });
+  assert.deepStrictEqual(parseSeverities({ price: 'info' }, ['price']), { price: 'info' });
+  assert.deepStrictEqual(parseSeverities(''), {});
+});
+
+test('rejects unknown fields and severities', () => {
+  assert.throws(() => parseSeverities('keywords'), /Invalid severity "keywords" \(expected field:severity\)/);
+  assert.throws(() => parseSeverities('price:info'), /Unknown field "price"/);
+  assert.throws(() => parseSeverities('title:fatal'), /Invalid severity "fatal" for title/);
+  assert.throws(() => parseSeverities(['title:info']), /expected an object or field:severity pairs/);
+  assert.throws(() => checkSeverity('all', 'failOn'), /Invalid failOn "all"/);
+  assert.strictEqual(checkSeverity(undefined, 'failOn'), null);
+});
+
+test('grades changes by field and by what changed', () => {
+  assert.strictEqual(severityOf({}, 'title', { old: 'Home', new: '' }), 'critical');
+  assert.strictEqual(severityOf({}, 'title', { old: 'Home', new: 'Start' }), 'warning');
+  assert.strictEqual(severityOf({}, 'robots', { old: 'index', new: 'noindex, follow' }), 'critical');
+  assert.strictEqual(severityOf({}, 'robots', { old: 'noindex', new: 'none' }), 'warning');
+  assert.strictEqual(severityOf({}, 'price'), 'warning');
+  assert.strictEqual(severityOf({ title: 'info' }, 'title', { old: 'Home', new: '' }), 'info');
+});
+
+test('counts changes, pages and missing URLs per severity', () => {
+  const summary = summarizeSeverity([
+    page('https://new.test/a', [{ severity: 'warning' }, { severity: 'warning' }, { severity: 'info' }]),
+    page('https://new.test/b', [{ severity: 'info' }])
+  ], ['https://new.test/gone'], { missingUrls: 'warning' });
+
+  assert.deepStrictEqual(summary, {
+    highest: 'warning',
+    issues: { critical: 0, warning: 3, info: 2 },
+    changes: { critical: 0, warning: 2, info: 2 },
+    pages: { critical: 0, warning: 1, info: 2 },
+    missingUrls: { count: 1, severity: 'warning' },
+    siteIssues: {
+      redirects: { critical: 0, warning: 0, info: 0 },
+      linkTags: { critical: 0, warning: 0, info: 0 },
+      structuredDataErrors: { critical: 0, warning: 0, info: 0 },
+      brokenLinks: { critical: 0, warning: 0, info: 0 }
+    }
+  });
+});
+
+test('grades redirect issues by whether the old URL still leads to a page', () => {
+  assert.strictEqual(severityOf({}, 'redirects', { type: 'client_error' }), 'critical');
+  assert.strictEqual(severityOf({}, 'redirects', { type: 'redirect_loop' }), 'critical');
+  assert.strictEqual(severityOf({}, 'redirects', { type: 'temporary_redirect' }), 'warning');
+  assert.strictEqual(severityOf({}, 'brokenLinks'), 'warning');
+  assert.deepStrictEqual(parseSeverities('redirects:warning,brokenLinks:critical'), { redirects: 'warning', brokenLinks: 'critical' });
+});
+
+test('counts site-wide issues, so a site full of 404s fails the run', () => {
+  const summary = summarizeSeverity([], [], {}, {
+    redirects: [{ type: 'client_error', severity: 'critical' }, { type: 'client_error', severity: 'critical' }],
+    structuredDataErrors: [{ message: 'Invalid JSON-LD', severity: 'warning' }]
+  });
+
+  assert.deepStrictEqual(summary.issues, { critical: 2, warning: 1, info: 0 });
+  assert.deepStrictEqual(summary.siteIssues.redirects, { critical: 2, warning: 0, info: 0 });
+  assert.strictEqual(isFailure(summary, 'critical'), true);
+});
+
+test('fails runs with issues at or above --fail-on', () => {
+  const severity = { highest: 'warning' };
+  assert.strictEqual(isFailure(severity, 'info'), true);
+  assert.strictEqual(isFailure(severity, 'warning'), true);
+  assert.strictEqual(isFailure(severity, 'critical'), false);
+  assert.strictEqual(isFailure(severity, null), false);
+  assert.strictEqual(isFailure({ highest: null }, 'info'), false);
+});
+
+test('summarizes the issues at or above the threshold for CI logs', () => {
+  const pageComparisons = [page('https://new.test/a', [
+    { field: 'keywords', old: 'a', new: 'b', severity: 'info' },
+    { field: 'title', old: 'Home', new: '', severity: 'critical' },
+    { field: 'headings', headingChange: 'removed', old: 'h1: Welcome', new: '', severity: 'warning' }
+  ])];
+  const results = {
+    pageComparisons: pageComparisons,
+    missingUrls: ['https://new.test/gone'],
+    severity: summarizeSeverity(pageComparisons, ['https://new.test/gone'])
+  };
+
+  assert.strictEqual(formatCiSummary(results, 'warning', 2), [
+    'web-delta: 2 critical, 1 warning, 1 info (1 page(s) with changes, 1 missing URL(s))',
+    '  [critical] missing URL https://new.test/gone',
+    '  [critical] https://new.test/a title: "Home" → (empty)',
+    '  … and 1 more',
+    'Result: FAIL (--fail-on=warning)'
+  ].join('\n'));
+  assert.strictEqual(formatCiSummary(results).split('\n').length, 3);
+});
+
+test('lists site-wide issues in the CI summary', () => {
+  const results = {
+    pageComparisons: [],
+    missingUrls: [],
+    redirects: { results: [{ url: 'https://new.test/old-page', issues: [{ type: 'client_error', message: 'Final status 404', severity: 'critical' }] }] },
+    linkTagIssues: [{ url: 'https://new.test/', tag: 'canonical', message: 'canonical points at the old domain', severity: 'warning' }],
+    structuredDataErrors: [],
+    linkAnalysis: { brokenLinks: [{ url: 'https://new.test/missing', status: 404, sourcePages: 2, severity: 'warning' }] }
+  };
+  results.severity = summarizeSeverity([], [], {}, {
+    redirects: results.redirects.results[0].issues,
+    linkTags: results.linkTagIssues,
+    brokenLinks: results.linkAnalysis.brokenLinks
+  });
+
+  assert.strictEqual(formatCiSummary(results, 'warning'), [
+    'web-delta: 1 critical, 2 warning, 0 info (0 page(s) with changes, 0 missing URL(s))',
+    '  [critical] redirect https://new.test/old-page: Final status 404',
+    '  [warning] https://new.test/ canonical: canonical points at the old domain',
+    '  [warning] broken link https://new.test/missing (404) on 2 page(s)',
+    'Result: FAIL (--fail-on=warning)'
+  ].join('\n'));
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseRobotsTxt, parseSitemap, fetchSitemapUrls, diffDiscovery } = require('../src/site-discovery');
+const { createUrlNormalizer } = require('../src/url-normalizer');
+
+const discovery = (urls, rules = []) => ({ robots: { found: true, rules }, sitemap: { urls } });
+
+test('parses robots.txt groups and sitemaps', () => {
+  const { rules, sitemaps } = parseRobotsTxt([
+    'User-agent: Googlebot',
+    'User-agent: Bingbot',
+    'Disallow: /private # staff only',
+    'Sitemap: https://old.test/sitemap.xml'
+  ].join('\n'));
+  assert.deepStrictEqual(rules, [
+    { userAgent: 'Googlebot', type: 'disallow', path: '/private' },
+    { userAgent: 'Bingbot', type: 'disallow', path: '/private' }
+  ]);
+  assert.deepStrictEqual(sitemaps, ['https://old.test/sitemap.xml']);
+});
+
+test('parses sitemap indexes and decodes entities', () => {
+  assert.deepStrictEqual(parseSitemap('<sitemapindex><sitemap><loc>https://old.test/a.xml</loc></sitemap></sitemapindex>'),
+    { isIndex: true, locations: ['https://old.test/a.xml'] });
+  assert.deepStrictEqual(parseSitemap('<urlset><url><loc><![CDATA[https://old.test/?a=1&amp;b=2]]></loc></url></urlset>').locations,
+    ['https://old.test/?a=1&b=2']);
+});
+
+test('compares sitemap URLs after normalizing them', () => {
+  const normalizeUrl = createUrlNormalizer({ trailingSlash: 'remove', dropParams: 'utm_*' });
+  const diff = diffDiscovery(
+    discovery(['https://old.test/about/', 'https://old.test/gone']),
+    discovery(['https://new.test/about?utm_source=x', 'https://new.test/fresh']),
+    url => url.replace('old.test', 'new.test'),
+    normalizeUrl
+  );
+  assert.deepStrictEqual(diff.sitemap.missingFromNewSitemap, [{ oldUrl: 'https://old.test/gone', newUrl: 'https://new.test/gone' }]);
+  assert.deepStrictEqual(diff.sitemap.addedToNewSitemap, ['https://new.test/fresh']);
+});
+
+test('reports robots.txt rule changes', () => {
+  const diff = diffDiscovery(
+    discovery([], [{ userAgent: '*', type: 'disallow', path: '/a' }]),
+    discovery([], [{ userAgent: '*', type: 'disallow', path: '/b' }]),
+    url => url
+  );
+  assert.deepStrictEqual(diff.robots.addedRules, ['* disallow: /b']);
+  assert.deepStrictEqual(diff.robots.removedRules, ['* disallow: /a']);
+});
+
+test('stops fetching sitemaps once the signal is aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(fetchSitemapUrls(['http://127.0.0.1:9/sitemap.xml'], controller.signal), { name: 'AbortError' });
+});
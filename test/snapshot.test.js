@@ -0,0 +1,87 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const MigrationComparator = require('../src/index');
+const { createBrowser } = require('./fixtures/browser');
+const { serveSite, page } = require('./fixtures/site');
+
+// Snapshots and results go to the working directory, so the tests run in a temporary one
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-delta-snapshot-'));
+
+let oldSite;
+let newSite;
+before(async () => {
+  process.chdir(dir);
+  mock.method(puppeteer, 'launch', async () => createBrowser());
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  oldSite = await serveSite({ '/': page('Home', ['/a', '/b']), '/a': page('About'), '/b': page('Blog') });
+  newSite = await serveSite({ '/': page('Home', ['/a']), '/a': page('About us') });
+});
+after(async () => {
+  await Promise.all([oldSite.close(), newSite.close()]);
+  mock.restoreAll();
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const takeSnapshot = (site, file) => new MigrationComparator(site.url, null).snapshotWebsite(site.url, file);
+
+test('saves a crawled site with its base URL, URLs and pages', async () => {
+  const file = await takeSnapshot(oldSite);
+
+  assert.strictEqual(path.dirname(file), '__snapshots');
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(data.baseUrl, oldSite.url);
+  assert.ok(data.createdAt);
+  assert.ok(data.urls.includes(`${oldSite.url}a`) && data.urls.includes(`${oldSite.url}b`));
+  assert.strictEqual(Object.keys(data.snapshots).length, 3);
+});
+
+test('compares a live site against a stored snapshot without crawling the old site again', async () => {
+  const file = await takeSnapshot(oldSite, path.join(dir, 'old.json'));
+  oldSite.requests.length = 0;
+
+  // The snapshot supplies the old domain
+  const results = await new MigrationComparator(null, newSite.url, { oldSnapshot: file }).compareWebsites();
+
+  assert.deepStrictEqual(oldSite.requests, []);
+  assert.strictEqual(results.testInfo.oldDomain, oldSite.url);
+  assert.strictEqual(results.testInfo.oldSource.type, 'snapshot');
+  assert.strictEqual(results.testInfo.newSource.type, 'live');
+  assert.deepStrictEqual(results.missingUrls, [`${newSite.url}b`]);
+  assert.ok(results.pageComparisons.some(comparison => comparison.url === `${newSite.url}a`));
+});
+
+test('compares two snapshots without requesting either site', async () => {
+  const oldFile = await takeSnapshot(oldSite, path.join(dir, 'old-both.json'));
+  const newFile = await takeSnapshot(newSite, path.join(dir, 'new-both.json'));
+  oldSite.requests.length = 0;
+  newSite.requests.length = 0;
+
+  const results = await new MigrationComparator(null, null, { oldSnapshot: oldFile, newSnapshot: newFile }).compareWebsites();
+
+  assert.deepStrictEqual(oldSite.requests.concat(newSite.requests), []);
+  assert.strictEqual(results.testInfo.newSource.type, 'snapshot');
+  // Redirects can only be checked against the live new site
+  assert.strictEqual(results.redirects, null);
+  assert.deepStrictEqual(results.missingUrls, [`${newSite.url}b`]);
+});
+
+test('refuses a snapshot of another site', async () => {
+  const file = await takeSnapshot(oldSite, path.join(dir, 'other.json'));
+  const comparator = new MigrationComparator('https://other.test/', newSite.url, { oldSnapshot: file });
+
+  await assert.rejects(comparator.compareWebsites(), new RegExp(`was taken of ${oldSite.url}, not https://other.test/`));
+});
+
+test('refuses files that are not snapshots', async () => {
+  fs.writeFileSync(path.join(dir, 'results.json'), JSON.stringify({ summary: {} }));
+  const comparator = new MigrationComparator(null, newSite.url, { oldSnapshot: path.join(dir, 'results.json') });
+
+  await assert.rejects(comparator.compareWebsites(), /expected "urls" and "snapshots"/);
+});
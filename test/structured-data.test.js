@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseStructuredData, groupByType, compareStructuredData } = require('../src/structured-data');
+
+const jsonLd = (...items) => parseStructuredData(items.map(item => JSON.stringify(item)));
+
+test('expands @graph containers and arrays and reports invalid blocks', () => {
+  const { items, errors } = parseStructuredData([
+    JSON.stringify({ '@context': 'https://schema.org', '@graph': [{ '@type': 'Organization', name: 'Acme' }, { '@type': ['Product', 'https://schema.org/Thing'] }] }),
+    JSON.stringify([{ name: 'untyped' }]),
+    '{ broken'
+  ], [{ '@type': 'http://schema.org/Review' }]);
+
+  assert.deepStrictEqual(items.map(item => [item.type, item.source]), [
+    ['Organization', 'json-ld'],
+    ['Product, Thing', 'json-ld'],
+    ['(untyped)', 'json-ld'],
+    ['Review', 'microdata']
+  ]);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].block, 3);
+  assert.match(errors[0].message, /^Invalid JSON-LD in block 3: /);
+});
+
+test('groups items by type', () => {
+  const groups = groupByType(jsonLd({ '@type': 'Offer' }, { '@type': 'Offer' }, { '@type': 'Product' }).items);
+  assert.deepStrictEqual(Object.keys(groups), ['Offer', 'Product']);
+  assert.strictEqual(groups.Offer.length, 2);
+});
+
+test('reports added and removed types', () => {
+  assert.deepStrictEqual(compareStructuredData(jsonLd({ '@type': 'Product', name: 'A' }), jsonLd({ '@type': 'Article', headline: 'A' })), [
+    { change: 'type_removed', path: 'Product', old: '1 item(s)', new: '' },
+    { change: 'type_added', path: 'Article', old: '', new: '1 item(s)' }
+  ]);
+});
+
+test('reports missing required properties once and changed nested values', () => {
+  const changes = compareStructuredData(
+    jsonLd({ '@type': 'Product', name: 'Shoe', offers: { '@type': 'Offer', price: '10', priceCurrency: 'EUR' }, sku: 'S1' }),
+    jsonLd({ '@type': 'Product', name: 'Shoe', sku: 'S2', brand: 'Acme' })
+  );
+  assert.deepStrictEqual(changes, [
+    { change: 'required_property_missing', path: 'Product.offers', old: '{"@type":"Offer","price":"10","priceCurrency":"EUR"}', new: '' },
+    { change: 'value_changed', path: 'Product.sku', old: 'S1', new: 'S2' },
+    { change: 'property_added', path: 'Product.brand', old: '', new: 'Acme' }
+  ]);
+});
+
+test('pairs items of one type in order and translates old URLs', () => {
+  const normalizeUrl = (value) => value.replace('https://old.test', 'https://new.test');
+  const changes = compareStructuredData(
+    jsonLd({ '@type': 'ListItem', position: 1, item: 'https://old.test/a' }, { '@type': 'ListItem', position: 2, item: 'https://old.test/b' }),
+    jsonLd({ '@type': 'ListItem', position: 1, item: 'https://new.test/a' }, { '@type': 'ListItem', position: 2, item: 'https://new.test/c' }),
+    normalizeUrl
+  );
+  assert.deepStrictEqual(changes, [{ change: 'value_changed', path: 'ListItem[1].item', old: 'https://old.test/b', new: 'https://new.test/c' }]);
+});
+
+test('caps the number of value changes', () => {
+  const values = (prefix) => Object.assign({ '@type': 'Thing' }, ...Array.from({ length: 60 }, (_, index) => ({ [`p${index}`]: `${prefix}${index}` })));
+  assert.strictEqual(compareStructuredData(jsonLd(values('a')), jsonLd(values('b'))).length, 50);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compilePatterns, createUrlFilter } = require('../src/url-filter');
+
+test('keeps every URL without patterns', () => {
+  assert.strictEqual(createUrlFilter()('https://old.test/anything'), true);
+});
+
+test('matches globs against the path: * within a segment, ** across segments', () => {
+  const filter = createUrlFilter({ include: '/blog/*' });
+  assert.strictEqual(filter('https://old.test/blog/post'), true);
+  assert.strictEqual(filter('https://old.test/blog/2024/post'), false);
+  assert.strictEqual(createUrlFilter({ include: '/blog/**' })('https://old.test/blog/2024/post'), true);
+});
+
+test('matches the query string too', () => {
+  const filter = createUrlFilter({ exclude: ['**?print=1'] });
+  assert.strictEqual(filter('https://old.test/a?print=1'), false);
+  assert.strictEqual(filter('https://old.test/a'), true);
+});
+
+test('exclude patterns win over include patterns', () => {
+  const filter = createUrlFilter({ include: '/docs/**', exclude: ' re:/draft , /docs/old.html' });
+  assert.strictEqual(filter('https://old.test/docs/guide'), true);
+  assert.strictEqual(filter('https://old.test/docs/draft/guide'), false);
+  assert.strictEqual(filter('https://old.test/docs/old.html'), false);
+  assert.strictEqual(filter('https://old.test/docsXold.html'), false);
+});
+
+test('escapes regex characters in globs', () => {
+  const filter = createUrlFilter({ include: '/a.html' });
+  assert.strictEqual(filter('https://old.test/a.html'), true);
+  assert.strictEqual(filter('https://old.test/aXhtml'), false);
+});
+
+test('accepts RegExp objects without their global flag', () => {
+  const [pattern] = compilePatterns([/\/shop/g]);
+  assert.strictEqual(pattern.flags, '');
+  const filter = createUrlFilter({ include: [/\/shop/g] });
+  assert.strictEqual(filter('https://old.test/shop'), true);
+  assert.strictEqual(filter('https://old.test/shop'), true);
+});
+
+test('reports invalid regular expressions', () => {
+  assert.throws(() => createUrlFilter({ include: 're:(' }), /Invalid URL pattern "re:\("/);
+});
@@ -0,0 +1,87 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UrlMapper = require('../src/url-mapper');
+const { parseCsvLine, describeRule } = require('../src/url-mapper');
+
+const mapper = () => new UrlMapper('https://old.test', 'https://new.test');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-delta-map-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const writeMap = (name, content) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+test('falls back to swapping the domain', () => {
+  assert.deepStrictEqual(mapper().map('https://old.test/about'), { url: 'https://new.test/about', rule: null });
+});
+
+test('exact pairs win over regex rules added before them', () => {
+  const urls = mapper();
+  urls.addRule('^/blog/(.*)$', '/news/$1');
+  urls.addMapping('/blog/launch', '/press/launch');
+
+  assert.strictEqual(urls.map('https://old.test/blog/launch').url, 'https://new.test/press/launch');
+  assert.strictEqual(urls.map('https://old.test/blog/other').url, 'https://new.test/news/other');
+  assert.strictEqual(urls.map('https://old.test/blog/other').rule.type, 'regex');
+});
+
+test('the first matching regex rule applies', () => {
+  const urls = mapper();
+  urls.addRule('^/shop/(.*)$', '/store/$1');
+  urls.addRule('^/shop/sale$', '/offers');
+  assert.strictEqual(urls.map('https://old.test/shop/sale').url, 'https://new.test/store/sale');
+});
+
+test('loads CSV maps with a header, comments and quoted fields', () => {
+  const urls = mapper();
+  urls.loadFile(writeMap('map.csv', [
+    'old,new',
+    '# moved during the redesign',
+    '/about,/company',
+    '"/a,b",https://elsewhere.test/c'
+  ].join('\n')));
+
+  assert.deepStrictEqual(urls.map('https://old.test/about').rule, { type: 'exact', from: '/about', to: '/company', source: 'map.csv:3' });
+  assert.strictEqual(urls.map('https://old.test/a,b').url, 'https://elsewhere.test/c');
+});
+
+test('rejects CSV rows without a destination', () => {
+  const file = writeMap('map.csv', '/about\n');
+  assert.throws(() => mapper().loadFile(file), /Invalid URL map row at .*map\.csv:1/);
+});
+
+test('loads JSON redirects as an array, an object or pairs, and rules', () => {
+  const urls = mapper();
+  urls.loadFile(writeMap('map.json', JSON.stringify({
+    redirects: [{ from: '/a', to: '/b' }, ['/c', '/d']],
+    rules: [{ pattern: '^/docs/(.*)$', replacement: '/help/$1' }]
+  })));
+  urls.loadFile(writeMap('more.json', JSON.stringify({ redirects: { '/e': '/f' } })));
+
+  assert.strictEqual(urls.map('https://old.test/a').url, 'https://new.test/b');
+  assert.strictEqual(urls.map('https://old.test/c').url, 'https://new.test/d');
+  assert.strictEqual(urls.map('https://old.test/e').rule.source, 'more.json redirects["/e"]');
+  assert.strictEqual(urls.map('https://old.test/docs/start').url, 'https://new.test/help/start');
+});
+
+test('reports invalid map files', () => {
+  assert.throws(() => mapper().loadFile(writeMap('map.json', '{')), /Invalid JSON in URL map/);
+  assert.throws(() => mapper().loadFile(writeMap('map.json', '{"rules":[{"pattern":"(","replacement":""}]}')), /Invalid regex in rule #1/);
+  assert.throws(() => mapper().loadFile(writeMap('map.txt', '')), /Unsupported URL map format "\.txt"/);
+  assert.throws(() => mapper().loadFile('/nonexistent/map.csv'), /URL map file not found/);
+});
+
+test('parses CSV lines with escaped quotes', () => {
+  assert.deepStrictEqual(parseCsvLine(' "say ""hi""" , /x '), ['say "hi"', '/x']);
+});
+
+test('describes the rule a URL was mapped by', () => {
+  assert.strictEqual(describeRule(null), 'domain swap');
+  assert.strictEqual(describeRule({ type: 'regex', pattern: '^/a', replacement: '/b', source: 'map.json rules[0]' }), '^/a → /b (map.json rules[0])');
+});
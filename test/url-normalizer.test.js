@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createUrlNormalizer } = require('../src/url-normalizer');
+
+test('leaves URLs as they are by default', () => {
+  const normalize = createUrlNormalizer();
+  assert.strictEqual(normalize('https://old.test/a/?utm_source=x&b=2&a=1#top'), 'https://old.test/a/?utm_source=x&b=2&a=1#top');
+  assert.strictEqual(normalize('https://old.test/About'), 'https://old.test/About');
+});
+
+test('strips fragments and tracking parameters and sorts the rest on request', () => {
+  const normalize = createUrlNormalizer({ stripFragment: true, sortParams: true, dropParams: 'utm_*,gclid' });
+  assert.strictEqual(normalize('https://old.test/a?utm_source=x&b=2&gclid=1&a=1#top'), 'https://old.test/a?a=1&b=2');
+  assert.strictEqual(normalize('https://old.test/a?UTM_Medium=x'), 'https://old.test/a');
+});
+
+test('keeps the encoding of untouched query strings', () => {
+  assert.strictEqual(createUrlNormalizer()('https://old.test/search?a=1&q=a%20b'), 'https://old.test/search?a=1&q=a%20b');
+});
+
+test('drops every parameter but the allowed ones in drop mode', () => {
+  const normalize = createUrlNormalizer({ query: 'drop', allowParams: 'page,sort' });
+  assert.strictEqual(normalize('https://old.test/list?session=1&sort=name&page=2'), 'https://old.test/list?sort=name&page=2');
+});
+
+test('drops parameters matching a wildcard in keep mode', () => {
+  const normalize = createUrlNormalizer({ dropParams: ['ref_*'] });
+  assert.strictEqual(normalize('https://old.test/?ref_home=1&utm_source=x&q=1'), 'https://old.test/?utm_source=x&q=1');
+});
+
+test('adds trailing slashes except on file names', () => {
+  const normalize = createUrlNormalizer({ trailingSlash: 'add' });
+  assert.strictEqual(normalize('https://old.test/about'), 'https://old.test/about/');
+  assert.strictEqual(normalize('https://old.test/feed.xml'), 'https://old.test/feed.xml');
+});
+
+test('removes trailing slashes except on the root', () => {
+  const normalize = createUrlNormalizer({ trailingSlash: 'remove' });
+  assert.strictEqual(normalize('https://old.test/about//'), 'https://old.test/about');
+  assert.strictEqual(normalize('https://old.test/'), 'https://old.test/');
+});
+
+test('lowercases paths on request', () => {
+  assert.strictEqual(createUrlNormalizer({ lowercasePaths: true })('https://old.test/About?Q=A'), 'https://old.test/about?Q=A');
+});
+
+test('leaves invalid and non-http URLs alone', () => {
+  const normalize = createUrlNormalizer({ trailingSlash: 'add' });
+  assert.strictEqual(normalize('not a url'), 'not a url');
+  assert.strictEqual(normalize('mailto:team@old.test'), 'mailto:team@old.test');
+});
@@ -0,0 +1,79 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compareImages, thumbnail, diffScreenshots } = require('../src/visual-diff');
+const { decodePng, encodePng } = require('../src/png');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-delta-visual-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A solid image, optionally with some pixels painted another color
+const image = (width, height, color, painted = {}) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let index = 0; index < width * height; index++) {
+    Buffer.from(painted[index] || color).copy(data, index * 4);
+  }
+  return { width, height, data };
+};
+const white = [255, 255, 255, 255];
+const black = [0, 0, 0, 255];
+
+test('finds no changes between identical images or within the tolerance', () => {
+  assert.strictEqual(compareImages(image(4, 4, white), image(4, 4, white)).mismatch, 0);
+  assert.strictEqual(compareImages(image(4, 4, white), image(4, 4, [240, 240, 240, 255])).changedPixels, 0);
+  assert.strictEqual(compareImages(image(4, 4, white), image(4, 4, [200, 255, 255, 255])).changedPixels, 16);
+});
+
+test('marks changed pixels red and fades the rest', () => {
+  const result = compareImages(image(2, 2, white), image(2, 2, white, { 3: black }));
+  assert.strictEqual(result.changedPixels, 1);
+  assert.strictEqual(result.mismatch, 25);
+  assert.deepStrictEqual([...result.diff.data.subarray(12, 16)], [255, 0, 0, 255]);
+  assert.deepStrictEqual([...result.diff.data.subarray(0, 4)], [255, 255, 255, 255]);
+});
+
+test('counts pixels only one image covers as changed', () => {
+  const result = compareImages(image(2, 2, white), image(2, 3, white));
+  assert.strictEqual(result.height, 3);
+  assert.strictEqual(result.changedPixels, 2);
+  assert.strictEqual(result.mismatch, 33.33);
+});
+
+test('skips ignored regions', () => {
+  const result = compareImages(image(4, 4, white), image(4, 4, black), [{ x: 0, y: 0, width: 4, height: 2 }]);
+  assert.strictEqual(result.changedPixels, 8);
+  assert.strictEqual(result.mismatch, 100);
+  assert.deepStrictEqual([...result.diff.data.subarray(0, 4)], [200, 220, 255, 255]);
+});
+
+test('averages pixels into thumbnails', () => {
+  const small = thumbnail(image(4, 2, white, { 0: black, 1: black, 4: black, 5: black }), 2);
+  assert.deepStrictEqual(small, { width: 2, height: 1, data: Buffer.from([0, 0, 0, 255, 255, 255, 255, 255]) });
+  assert.strictEqual(thumbnail(image(2, 2, white), 320).width, 2);
+});
+
+test('diffs screenshot files, writing the diff and thumbnails', () => {
+  const write = (name, picture) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, encodePng(picture));
+    return file;
+  };
+  const result = diffScreenshots(
+    { file: write('old.png', image(4, 4, white)), ignoreRegions: [{ x: 0, y: 0, width: 4, height: 1 }] },
+    { file: write('new.png', image(4, 5, white, { 15: black })), ignoreRegions: [] },
+    path.join(dir, 'diffs'),
+    'page-1'
+  );
+
+  assert.deepStrictEqual(Object.assign({}, result, { files: Object.keys(result.files) }), {
+    mismatch: 31.25,
+    changedPixels: 5,
+    oldSize: '4x4',
+    newSize: '4x5',
+    ignoredRegions: 1,
+    files: ['diff', 'oldThumbnail', 'newThumbnail', 'diffThumbnail']
+  });
+  assert.strictEqual(decodePng(fs.readFileSync(result.files.diff)).height, 5);
+});